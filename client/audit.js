@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const chalk = require('chalk');
+const ora = require('ora');
+const NodeClient = require('./node-client');
+const RecoveryFile = require('./recovery');
+const Downloader = require('./download');
+const config = require('../config');
+
+class Auditor {
+    constructor(directoryServer = config.directoryServer.url) {
+        this.directoryServer = directoryServer;
+        this.downloader = new Downloader(directoryServer);
+    }
+    
+    async auditFile(recoveryFilePath, options = {}) {
+        console.log(chalk.cyan.bold('\nStarting Storage Audit'));
+        console.log(chalk.gray(`Recovery file: ${recoveryFilePath}`));
+        
+        try {
+            const spinner = ora('Reading recovery file...').start();
+            const recoveryData = await RecoveryFile.load(recoveryFilePath, { passphrase: options.recoveryPassphrase });
+            spinner.succeed(`Recovery file loaded (${RecoveryFile.countFragments(recoveryData)} fragments)`);
+            
+            const auditSpinner = ora('Challenging storage nodes...').start();
+            const segments = RecoveryFile.getSegments(recoveryData);
+            const results = [];
+            let usedChallenges = 0;
+            let minProvenPartitions = Infinity;
+            
+            for (const segment of segments) {
+                let provenPartitions = 0;
+                
+                for (const partition of segment.partitions) {
+                    auditSpinner.text = `Challenging fragments of partition ${segment.index}/${partition.index}...`;
+                    const partitionResults = await Promise.all(partition.fragments.map(fragment => this.auditFragment(fragment)));
+                    
+                    partitionResults.forEach((result, r) => {
+                        if (result.challengeUsed) usedChallenges++;
+                        results.push({
+                            label: `${segment.index}/${partition.index}-${partition.fragments[r].redundancyIndex}`,
+                            ...result
+                        });
+                    });
+                    
+                    if (partitionResults.some(result => result.status === 'proven')) {
+                        provenPartitions++;
+                    }
+                }
+                
+                minProvenPartitions = Math.min(minProvenPartitions, provenPartitions);
+            }
+            
+            // A revealed nonce could be replayed by a node that cached the answer, so each challenge is used once
+            if (usedChallenges > 0) {
+                await RecoveryFile.save(recoveryFilePath, recoveryData);
+            }
+            
+            const proven = results.filter(r => r.status === 'proven').length;
+            auditSpinner.succeed(`Audited ${results.length} fragments`);
+            
+            console.log(chalk.cyan.bold('\nPer-Fragment Results'));
+            console.log(chalk.gray('----------------------------------------'));
+            for (const result of results) {
+                const line = `${result.label.padEnd(10)} ${result.fragmentId.substring(0, 12)}...  ${result.nodeAddress.padEnd(22)}`;
+                if (result.status === 'proven') {
+                    console.log(chalk.green(`${line} proven (${result.remaining} challenges left)`));
+                } else if (result.status === 'no-challenges') {
+                    console.log(chalk.gray(`${line} ${result.message}`));
+                } else {
+                    console.log(chalk.red(`${line} ${result.status}: ${result.message}`));
+                }
+            }
+            console.log(chalk.gray('----------------------------------------'));
+            
+            let minRequired = segments[0].partitions.length;
+            if (recoveryData.reedSolomonConfig) {
+                minRequired = recoveryData.reedSolomonConfig.dataShards;
+            }
+            const recoverable = minProvenPartitions >= minRequired;
+            
+            console.log(chalk.cyan(`\nProven fragments: ${proven}/${results.length}`));
+            if (recoverable) {
+                console.log(chalk.green(`Nodes proved enough data for recovery (${minProvenPartitions}/${minRequired} partitions in the weakest segment)`));
+            } else {
+                console.log(chalk.red(`Nodes could not prove enough data for recovery (${minProvenPartitions}/${minRequired} partitions in the weakest segment)`));
+            }
+            
+            return {
+                total: results.length,
+                proven,
+                recoverable,
+                results
+            };
+        
+        } catch (error) {
+            console.error(chalk.red.bold('\nAudit Failed:'), error.message);
+            throw error;
+        }
+    }
+    
+    /**
+     * Challenges the first node that still holds the fragment: the recorded
+     * node, its new address, or a node it was drained to.
+     */
+    async auditFragment(fragment) {
+        const result = {
+            fragmentId: fragment.fragmentId,
+            nodeAddress: fragment.nodeAddress,
+            challengeUsed: false
+        };
+        
+        const unused = (fragment.challenges || []).filter(challenge => !challenge.usedAt);
+        if (unused.length === 0) {
+            const message = fragment.challenges ? 'all challenges used' : 'uploaded without challenges';
+            return { ...result, status: 'no-challenges', message };
+        }
+        
+        const challenge = unused[0];
+        let failure = null;
+        
+        for await (const location of this.downloader.fragmentLocations(fragment)) {
+            let answer;
+            try {
+                answer = await NodeClient.fromAddress(location.nodeAddress).challengeFragment(fragment.fragmentId, {
+                    nonce: challenge.nonce,
+                    offset: challenge.offset,
+                    length: challenge.length
+                });
+            } catch (error) {
+                if (error.response && error.response.status === 404) {
+                    failure = { status: 'missing', message: 'node no longer has the fragment' };
+                } else if (!failure) {
+                    failure = { status: error.response ? 'failed' : 'unreachable', message: error.message };
+                }
+                continue;
+            }
+            
+            // The nonce is now revealed, so a wrong answer is not retried elsewhere
+            challenge.usedAt = Date.now();
+            const answered = { ...result, nodeAddress: location.nodeAddress, challengeUsed: true, remaining: unused.length - 1 };
+            
+            const expected = Buffer.from(challenge.expected, 'hex');
+            const actual = Buffer.from(String(answer), 'hex');
+            if (actual.length === expected.length && crypto.timingSafeEqual(actual, expected)) {
+                return { ...answered, status: 'proven' };
+            }
+            return { ...answered, status: 'failed', message: 'wrong answer, data is corrupted or missing' };
+        }
+        return { ...result, ...failure };
+    }
+}
+
+module.exports = Auditor;
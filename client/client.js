@@ -4,26 +4,74 @@ const { Command } = require('commander');
 const chalk = require('chalk');
 const Uploader = require('./upload');
 const Downloader = require('./download');
+const Deleter = require('./delete');
+const Auditor = require('./audit');
+const Repairer = require('./repair');
+const Renewer = require('./renew');
+const Rekeyer = require('./rekey');
+const KeySplitter = require('./key-split');
+const KeySlots = require('./key-slots');
+const KeyShares = require('./key-shares');
+const RecoveryFile = require('./recovery');
 const fs = require('fs').promises;
 const path = require('path');
 const config = require('../config');
+const constants = require('../shared/constants');
 
 const program = new Command();
 
+// Kept out of option defaults so the passphrase never shows up in --help output
+function getRecoveryPassphrase(options) {
+    return options.recoveryPassphrase || process.env.RECOVERY_PASSPHRASE || null;
+}
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// "90d", "12h", "2w" and so on, in milliseconds
+function parseDuration(value) {
+    const match = /^(\d+)([smhdw])$/.exec(String(value).trim());
+    if (!match || parseInt(match[1]) === 0) {
+        throw new Error(`Invalid duration "${value}": use a number followed by s, m, h, d or w, e.g. 90d`);
+    }
+    return parseInt(match[1]) * DURATION_UNITS[match[2]];
+}
+
+// For options given once per value, such as --share
+function collect(value, previous) {
+    return previous.concat([value]);
+}
+
 program
     .name('mysterium')
     .description('Mysterium Network - Distributed Encrypted Storage Client')
     .version('3.0.0');
 
 program
-    .command('upload <file>')
+    .command('upload [file]')
     .description('Upload a file to the Mysterium network')
     .option('-p, --partitions <number>', 'Number of partitions', '10')
     .option('-r, --redundancy <number>', 'Redundancy factor', '3')
     .option('-s, --server <url>', 'Directory server URL', config.directoryServer.url)
-    .option('--no-compression', 'Disable compression')
+    .option('--compression <codec>', 'Compress before encrypting: auto, brotli, gzip or none', 'auto')
+    .option('--no-compression', 'Same as --compression none')
     .option('--no-reed-solomon', 'Disable Reed-Solomon error correction')
     .option('-m, --master-password <password>', 'Master password for encryption')
+    .option('--key-file <path>', 'Key file that unlocks the file, instead of or together with the password')
+    .option('--kdf <spec>', 'Password KDF: scrypt[:N=..,r=..,p=..] or pbkdf2[:iterations=..]', constants.KEY_SLOTS.KDF)
+    .option('--segment-size <mb>', 'Segment size in MB (memory per segment in flight)', String(constants.STREAMING.SEGMENT_SIZE / 1024 / 1024))
+    .option('-c, --concurrency <number>', 'Segments processed in parallel', String(constants.STREAMING.CONCURRENCY))
+    .option('--upload-concurrency <number>', 'Fragment uploads in flight per segment', String(constants.NETWORK.UPLOAD_CONCURRENCY))
+    .option('--failure-domain <domain>', 'Keep copies of each partition on distinct: node, subnet or country', 'node')
+    .option('--allow-regions <codes>', 'Only store fragments on nodes in these countries (e.g. DE,FR)')
+    .option('--deny-regions <codes>', 'Never store fragments on nodes in these countries')
+    .option('--ttl <duration>', 'Let nodes drop the fragments after this long unless renewed (e.g. 90d)')
+    .option('--audit-challenges <number>', 'Proof-of-storage challenges kept per fragment; each audit uses one', String(constants.AUDIT.CHALLENGES_PER_FRAGMENT))
+    .option('--privacy', 'Pad segments to size buckets and send nodes opaque tags instead of file metadata')
+    .option('--fragment-size <kb>', 'Make every fragment exactly this size (implies --privacy)')
+    .option('--key-hierarchy', 'Derive fragment keys from the master key instead of storing one per fragment')
+    .option('--protect-recovery', 'Seal the .myst recovery file under a passphrase')
+    .option('--recovery-passphrase <passphrase>', 'Passphrase for --protect-recovery (or set RECOVERY_PASSPHRASE)')
+    .option('--resume <journal>', 'Continue an interrupted upload from its .myst.journal file')
     .action(async (file, options) => {
         try {
             console.log(chalk.blue.bold(`
@@ -33,6 +81,24 @@ program
             `));
             console.log(chalk.cyan(`Directory Server: ${options.server}`));
             
+            if (options.resume) {
+                // Layout and keys come from the journal; only the password and passphrase are asked for again
+                const uploader = new Uploader(options.server);
+                await uploader.resumeUpload(options.resume, {
+                    masterPassword: options.masterPassword,
+                    keyFile: options.keyFile,
+                    concurrency: parseInt(options.concurrency),
+                    uploadConcurrency: parseInt(options.uploadConcurrency),
+                    recoveryPassphrase: getRecoveryPassphrase(options)
+                });
+                return;
+            }
+            
+            if (!file) {
+                console.error(chalk.red('\nNo file given. Pass a file to upload, or --resume <journal>.'));
+                process.exit(1);
+            }
+            
             // Check if file exists
             try {
                 await fs.access(file);
@@ -45,15 +111,35 @@ program
                 process.exit(1);
             }
             
+            const recoveryPassphrase = getRecoveryPassphrase(options);
+            if (options.protectRecovery && !recoveryPassphrase) {
+                console.error(chalk.red('\n--protect-recovery needs a passphrase: use --recovery-passphrase or set RECOVERY_PASSPHRASE'));
+                process.exit(1);
+            }
+            
             const uploader = new Uploader(options.server);
             await uploader.uploadFile(file, {
                 partitions: parseInt(options.partitions),
                 redundancy: parseInt(options.redundancy),
-                compression: options.compression,
+                compression: options.compression === false ? 'none' : options.compression,
                 reedSolomon: options.reedSolomon,
-                masterPassword: options.masterPassword
+                masterPassword: options.masterPassword,
+                keyFile: options.keyFile,
+                kdf: options.masterPassword || options.keyFile ? options.kdf : null,
+                segmentSize: Math.floor(parseFloat(options.segmentSize) * 1024 * 1024),
+                concurrency: parseInt(options.concurrency),
+                uploadConcurrency: parseInt(options.uploadConcurrency),
+                recoveryPassphrase: options.protectRecovery ? recoveryPassphrase : null,
+                keyHierarchy: Boolean(options.keyHierarchy),
+                failureDomain: options.failureDomain,
+                allowRegions: options.allowRegions,
+                denyRegions: options.denyRegions,
+                ttl: options.ttl ? parseDuration(options.ttl) : null,
+                auditChallenges: parseInt(options.auditChallenges),
+                privacy: Boolean(options.privacy),
+                fragmentSize: options.fragmentSize ? Math.floor(parseFloat(options.fragmentSize) * 1024) : null
             });
-            
+        
         } catch (error) {
             console.error(chalk.red.bold('\nUpload failed'));
             console.error(chalk.red('Error:'), error.message);
@@ -79,6 +165,11 @@ program
     .option('-o, --output <path>', 'Output file path')
     .option('-s, --server <url>', 'Directory server URL', config.directoryServer.url)
     .option('-m, --master-password <password>', 'Master password if used during upload')
+    .option('--key-file <path>', 'Key file if used during upload')
+    .option('--share <share>', 'Key share from split-key, or a file holding one (repeat for each share)', collect, [])
+    .option('-c, --concurrency <number>', 'Segments downloaded in parallel', String(constants.STREAMING.CONCURRENCY))
+    .option('--recovery-passphrase <passphrase>', 'Passphrase of a sealed recovery file (or set RECOVERY_PASSPHRASE)')
+    .option('--update-recovery', 'Write fragment locations that moved back into the recovery file')
     .action(async (recoveryFile, options) => {
         try {
             console.log(chalk.blue.bold(`
@@ -116,9 +207,27 @@ program
                 process.exit(1);
             }
             
-            const downloader = new Downloader(options.server);
-            await downloader.downloadFile(recoveryFile, options.output, options.masterPassword);
+            let recoveryPassphrase = getRecoveryPassphrase(options);
+            let masterKey = null;
+            if (options.share.length > 0) {
+                const recovered = await KeyShares.recover(recoveryFile, await KeyShares.read(options.share));
+                if (recovered.kind === 'recovery-passphrase') {
+                    recoveryPassphrase = recovered.secret.toString('utf8');
+                } else {
+                    masterKey = recovered.secret;
+                }
+                console.log(chalk.green(`Rebuilt the ${recovered.kind.replace('-', ' ')} from ${options.share.length} key shares`));
+            }
             
+            const downloader = new Downloader(options.server);
+            await downloader.downloadFile(recoveryFile, options.output, options.masterPassword, {
+                concurrency: parseInt(options.concurrency),
+                keyFile: options.keyFile,
+                masterKey,
+                recoveryPassphrase,
+                updateRecovery: Boolean(options.updateRecovery)
+            });
+        
         } catch (error) {
             console.error(chalk.red.bold('\nDownload failed'));
             console.error(chalk.red('Error:'), error.message);
@@ -138,6 +247,7 @@ program
     .command('verify <recoveryFile>')
     .description('Verify fragment availability')
     .option('-s, --server <url>', 'Directory server URL', config.directoryServer.url)
+    .option('--recovery-passphrase <passphrase>', 'Passphrase of a sealed recovery file (or set RECOVERY_PASSPHRASE)')
     .action(async (recoveryFile, options) => {
         try {
             // Check if recovery file exists
@@ -149,8 +259,11 @@ program
             }
             
             const downloader = new Downloader(options.server);
-            await downloader.verifyAvailability(recoveryFile);
-            
+            const result = await downloader.verifyAvailability(recoveryFile, { recoveryPassphrase: getRecoveryPassphrase(options) });
+            if (result.residencyViolations.length > 0) {
+                process.exit(1);
+            }
+        
         } catch (error) {
             console.error(chalk.red.bold('\nVerification failed'));
             console.error(chalk.red('Error:'), error.message);
@@ -158,10 +271,254 @@ program
         }
     });
 
+program
+    .command('audit <recoveryFile>')
+    .description('Prove that nodes still hold the fragments (proof-of-storage challenges)')
+    .option('-s, --server <url>', 'Directory server URL', config.directoryServer.url)
+    .option('--recovery-passphrase <passphrase>', 'Passphrase of a sealed recovery file (or set RECOVERY_PASSPHRASE)')
+    .action(async (recoveryFile, options) => {
+        try {
+            // Check if recovery file exists
+            try {
+                await fs.access(recoveryFile);
+            } catch {
+                console.error(chalk.red(`Recovery file not found: ${recoveryFile}`));
+                process.exit(1);
+            }
+            
+            const auditor = new Auditor(options.server);
+            const result = await auditor.auditFile(recoveryFile, { recoveryPassphrase: getRecoveryPassphrase(options) });
+            
+            if (!result.recoverable) {
+                process.exit(1);
+            }
+        
+        } catch (error) {
+            console.error(chalk.red.bold('\nAudit failed'));
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+program
+    .command('repair <recoveryFile>')
+    .description('Restore the redundancy of a file by replacing lost fragments')
+    .option('-s, --server <url>', 'Directory server URL', config.directoryServer.url)
+    .option('--recovery-passphrase <passphrase>', 'Passphrase of a sealed recovery file (or set RECOVERY_PASSPHRASE)')
+    .option('-m, --master-password <password>', 'Master password, needed for password-protected key-hierarchy files')
+    .option('--key-file <path>', 'Key file, if the file is unlocked with one')
+    .action(async (recoveryFile, options) => {
+        try {
+            // Check if recovery file exists
+            try {
+                await fs.access(recoveryFile);
+            } catch {
+                console.error(chalk.red(`Recovery file not found: ${recoveryFile}`));
+                process.exit(1);
+            }
+            
+            const repairer = new Repairer(options.server);
+            const result = await repairer.repairFile(recoveryFile, {
+                recoveryPassphrase: getRecoveryPassphrase(options),
+                masterPassword: options.masterPassword,
+                keyFile: options.keyFile
+            });
+            
+            if (result.unrecoverable > 0 || result.underReplicated > 0) {
+                process.exit(1);
+            }
+        
+        } catch (error) {
+            console.error(chalk.red.bold('\nRepair failed'));
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+program
+    .command('renew <recoveryFile>')
+    .description('Extend the lease on every fragment of a file')
+    .option('-s, --server <url>', 'Directory server URL', config.directoryServer.url)
+    .option('--ttl <duration>', 'New lease length from now (default: the one used at upload)')
+    .option('--recovery-passphrase <passphrase>', 'Passphrase of a sealed recovery file (or set RECOVERY_PASSPHRASE)')
+    .action(async (recoveryFile, options) => {
+        try {
+            // Check if recovery file exists
+            try {
+                await fs.access(recoveryFile);
+            } catch {
+                console.error(chalk.red(`Recovery file not found: ${recoveryFile}`));
+                process.exit(1);
+            }
+            
+            const renewer = new Renewer(options.server);
+            const result = await renewer.renewFile(recoveryFile, {
+                recoveryPassphrase: getRecoveryPassphrase(options),
+                ttl: options.ttl ? parseDuration(options.ttl) : null
+            });
+            
+            if (result.failed > 0) {
+                process.exit(1);
+            }
+        
+        } catch (error) {
+            console.error(chalk.red.bold('\nRenewal failed'));
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+program
+    .command('rekey <recoveryFile>')
+    .description('Change, add or remove the passwords that unlock a file, without touching its fragments')
+    .option('-s, --server <url>', 'Directory server URL', config.directoryServer.url)
+    .option('-m, --master-password <password>', 'A current password of the file')
+    .option('--key-file <path>', 'A current key file of the file')
+    .option('--new-password <password>', 'Replace the current password (or set one on an unprotected file)')
+    .option('--new-key-file <path>', 'Replace the current credentials with this key file (with --new-password: both)')
+    .option('--add-password <password>', 'Add another password that unlocks the file')
+    .option('--add-key-file <path>', 'Add a key file that unlocks the file (with --add-password: both together)')
+    .option('--remove', 'Remove the slot the current credentials open; it must not be the only one')
+    .option('--remove-password <password>', 'Remove a password; it must not be the only one')
+    .option('--kdf <spec>', 'KDF for the new slot, or alone to wrap the current slot again: scrypt[:N=..,r=..,p=..] or pbkdf2[:iterations=..]')
+    .option('--recovery-passphrase <passphrase>', 'Passphrase of a sealed recovery file (or set RECOVERY_PASSPHRASE)')
+    .action(async (recoveryFile, options) => {
+        try {
+            // Check if recovery file exists
+            try {
+                await fs.access(recoveryFile);
+            } catch {
+                console.error(chalk.red(`Recovery file not found: ${recoveryFile}`));
+                process.exit(1);
+            }
+            
+            const rekeyer = new Rekeyer(options.server);
+            await rekeyer.rekeyFile(recoveryFile, {
+                recoveryPassphrase: getRecoveryPassphrase(options),
+                masterPassword: options.masterPassword,
+                keyFile: options.keyFile,
+                newPassword: options.newPassword,
+                newKeyFile: options.newKeyFile,
+                addPassword: options.addPassword,
+                addKeyFile: options.addKeyFile,
+                remove: Boolean(options.remove),
+                removePassword: options.removePassword,
+                kdf: options.kdf
+            });
+        
+        } catch (error) {
+            console.error(chalk.red.bold('\nRekey failed'));
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+program
+    .command('split-key <recoveryFile>')
+    .description('Split the master key into shares for trustees, any --threshold of which rebuild it')
+    .requiredOption('--shares <n>', 'Number of shares to create')
+    .requiredOption('--threshold <n>', 'Number of shares needed to rebuild the key')
+    .option('--secret <secret>', 'What to split: master-key, or recovery-passphrase of a sealed .myst file', 'master-key')
+    .option('-m, --master-password <password>', 'A current password of the file')
+    .option('--key-file <path>', 'A current key file of the file')
+    .option('-o, --output <dir>', 'Also write each share to its own file in this directory')
+    .option('-s, --server <url>', 'Directory server URL', config.directoryServer.url)
+    .option('--recovery-passphrase <passphrase>', 'Passphrase of a sealed recovery file (or set RECOVERY_PASSPHRASE)')
+    .action(async (recoveryFile, options) => {
+        try {
+            // Check if recovery file exists
+            try {
+                await fs.access(recoveryFile);
+            } catch {
+                console.error(chalk.red(`Recovery file not found: ${recoveryFile}`));
+                process.exit(1);
+            }
+            
+            const splitter = new KeySplitter(options.server);
+            await splitter.splitKey(recoveryFile, {
+                shares: parseInt(options.shares),
+                threshold: parseInt(options.threshold),
+                secret: options.secret,
+                masterPassword: options.masterPassword,
+                keyFile: options.keyFile,
+                outputDir: options.output,
+                recoveryPassphrase: getRecoveryPassphrase(options)
+            });
+        
+        } catch (error) {
+            console.error(chalk.red.bold('\nKey split failed'));
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+program
+    .command('combine-key <recoveryFile>')
+    .description('Rebuild a split key from shares and open the file with a new password or key file')
+    .option('--share <share>', 'Key share from split-key, or a file holding one (repeat for each share)', collect, [])
+    .option('--new-password <password>', 'Password that opens the file from now on')
+    .option('--new-key-file <path>', 'Key file that opens the file from now on (with --new-password: both)')
+    .option('--kdf <spec>', 'KDF for the new slot: scrypt[:N=..,r=..,p=..] or pbkdf2[:iterations=..]')
+    .option('--recovery-passphrase <passphrase>', 'Passphrase of a sealed recovery file (or set RECOVERY_PASSPHRASE)')
+    .action(async (recoveryFile, options) => {
+        try {
+            // Check if recovery file exists
+            try {
+                await fs.access(recoveryFile);
+            } catch {
+                console.error(chalk.red(`Recovery file not found: ${recoveryFile}`));
+                process.exit(1);
+            }
+            
+            const splitter = new KeySplitter();
+            await splitter.combineKey(recoveryFile, options.share, {
+                newPassword: options.newPassword,
+                newKeyFile: options.newKeyFile,
+                kdf: options.kdf,
+                recoveryPassphrase: getRecoveryPassphrase(options)
+            });
+        
+        } catch (error) {
+            console.error(chalk.red.bold('\nKey combine failed'));
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+program
+    .command('delete <recoveryFile>')
+    .description('Delete a file\'s fragments from every storage node')
+    .option('-s, --server <url>', 'Directory server URL', config.directoryServer.url)
+    .option('--recovery-passphrase <passphrase>', 'Passphrase of a sealed recovery file (or set RECOVERY_PASSPHRASE)')
+    .action(async (recoveryFile, options) => {
+        try {
+            // Check if recovery file exists
+            try {
+                await fs.access(recoveryFile);
+            } catch {
+                console.error(chalk.red(`Recovery file not found: ${recoveryFile}`));
+                process.exit(1);
+            }
+            
+            const deleter = new Deleter(options.server);
+            const result = await deleter.deleteFile(recoveryFile, { recoveryPassphrase: getRecoveryPassphrase(options) });
+            
+            if (result.failed > 0) {
+                process.exit(1);
+            }
+        
+        } catch (error) {
+            console.error(chalk.red.bold('\nDelete failed'));
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
 program
     .command('info <recoveryFile>')
     .description('Show information about a recovery file')
-    .action(async (recoveryFile) => {
+    .option('--recovery-passphrase <passphrase>', 'Passphrase of a sealed recovery file (or set RECOVERY_PASSPHRASE)')
+    .action(async (recoveryFile, options) => {
         try {
             // Check if recovery file exists
             try {
@@ -171,7 +528,27 @@ program
                 process.exit(1);
             }
             
-            const data = JSON.parse(await fs.readFile(recoveryFile, 'utf8'));
+            const envelope = await RecoveryFile.readEnvelope(recoveryFile);
+            const sealed = RecoveryFile.isSealed(envelope);
+            const recoveryPassphrase = getRecoveryPassphrase(options);
+            
+            if (sealed && !recoveryPassphrase) {
+                console.log(chalk.cyan.bold('\nRecovery File Information'));
+                console.log(chalk.gray('----------------------------------------'));
+                console.log(chalk.white('File Name:'), envelope.metadata.fileName);
+                console.log(chalk.white('Original Size:'), `${(envelope.metadata.originalSize / 1024 / 1024).toFixed(2)} MB`);
+                console.log(chalk.white('Segments:'), envelope.metadata.segments);
+                console.log(chalk.white('Total Fragments:'), envelope.metadata.fragments);
+                console.log(chalk.white('Created:'), new Date(envelope.metadata.timestamp).toLocaleString());
+                console.log(chalk.yellow('Sealed:'), `YES - ${envelope.kdf.algorithm} (N=${envelope.kdf.N}, r=${envelope.kdf.r}, p=${envelope.kdf.p}), ${envelope.cipher.algorithm}`);
+                console.log(chalk.gray('----------------------------------------'));
+                console.log(chalk.gray('Keys and fragment locations are sealed. Use --recovery-passphrase to show them.'));
+                return;
+            }
+            
+            const data = sealed
+                ? await RecoveryFile.load(recoveryFile, { passphrase: recoveryPassphrase })
+                : envelope;
             
             console.log(chalk.cyan.bold('\nRecovery File Information'));
             console.log(chalk.gray('----------------------------------------'));
@@ -179,12 +556,33 @@ program
             console.log(chalk.white('Original Size:'), `${(data.originalSize / 1024 / 1024).toFixed(2)} MB`);
             console.log(chalk.white('File Hash:'), data.fileHash);
             console.log(chalk.white('Version:'), data.version || '1.0');
-            console.log(chalk.white('Compressed:'), data.compressed ? 'Yes' : 'No');
+            if (data.compression) {
+                const codec = data.compression.codec === 'auto' ? `auto (${data.compression.segmentsCompressed}/${RecoveryFile.getSegments(data).length} segments compressed)` : data.compression.codec;
+                console.log(chalk.white('Compression:'), `${codec}, before encryption`);
+            } else {
+                console.log(chalk.white('Compression:'), data.compressed ? 'deflate, after encryption (legacy)' : 'none');
+            }
             console.log(chalk.white('Reed-Solomon:'), data.reedSolomon ? 'Yes' : 'No');
-            console.log(chalk.white('Partitions:'), data.partitions.length);
-            console.log(chalk.white('Total Fragments:'), 
-                data.partitions.reduce((sum, p) => sum + p.fragments.length, 0));
+            if (data.privacy) {
+                console.log(chalk.white('Privacy:'), data.privacy.padding === 'fixed'
+                    ? `Yes (every fragment ${(data.privacy.fragmentSize / 1024).toFixed(2)} KB, opaque tags)`
+                    : 'Yes (padded to size buckets, opaque tags)');
+            } else {
+                console.log(chalk.white('Privacy:'), 'No');
+            }
+            const segments = RecoveryFile.getSegments(data);
+            console.log(chalk.white('Segments:'), segments.length);
+            console.log(chalk.white('Partitions per Segment:'), segments[0].partitions.length);
+            console.log(chalk.white('Total Fragments:'), RecoveryFile.countFragments(data));
             console.log(chalk.white('Created:'), new Date(data.timestamp).toLocaleString());
+            console.log(chalk.white('Sealed:'), sealed ? `Yes (${envelope.kdf.algorithm})` : 'No');
+            if (data.lease) {
+                const expired = data.lease.expiresAt <= Date.now();
+                console.log(expired ? chalk.red('Lease:') : chalk.white('Lease:'),
+                    `${expired ? 'expired' : 'expires'} ${new Date(data.lease.expiresAt).toLocaleString()} (renew with: node client/client.js renew ${recoveryFile})`);
+            } else {
+                console.log(chalk.white('Lease:'), 'None - fragments are kept until deleted');
+            }
             
             if (data.security) {
                 console.log(chalk.cyan.bold('\nSecurity Information'));
@@ -197,21 +595,31 @@ program
                     
                     if (data.security.masterEncryption.passwordProtected) {
                         console.log(chalk.yellow('Password Protected:'), 'YES - Password required for download');
-                        console.log(chalk.yellow('Key Derivation:'), 'PBKDF2 (100,000 iterations)');
+                        const { keySlots } = data.security.masterEncryption;
+                        if (keySlots) {
+                            console.log(chalk.yellow('Key Slots:'), `${keySlots.length}, each wrapping a random master key`);
+                            keySlots.forEach(slot => {
+                                console.log(chalk.gray(`  ${slot.id}: ${KeySlots.describeFactors(slot.factors)}, ${KeySlots.describeKdf(slot.kdf)}`));
+                            });
+                        } else {
+                            console.log(chalk.yellow('Key Derivation:'), 'PBKDF2 (100,000 iterations) - run rekey to move to key slots');
+                        }
                     } else {
                         console.log(chalk.white('Password Protected:'), 'NO - Anyone with .myst file can download');
                     }
                 }
                 
                 if (data.security.fragmentEncryption) {
-                    console.log(chalk.white('Fragment Keys:'), data.security.fragmentEncryption.totalUniqueKeys);
+                    console.log(chalk.white('Fragment Keys:'), data.security.fragmentEncryption.keyHierarchy
+                        ? `${data.security.fragmentEncryption.totalUniqueKeys} (derived with HKDF-SHA256, none stored)`
+                        : data.security.fragmentEncryption.totalUniqueKeys);
                 }
             }
             
             console.log(chalk.gray('----------------------------------------'));
             
             const nodeDistribution = {};
-            data.partitions.forEach(p => {
+            RecoveryFile.getPartitions(data).forEach(p => {
                 p.fragments.forEach(f => {
                     const nodeAddr = f.nodeAddress;
                     nodeDistribution[nodeAddr] = (nodeDistribution[nodeAddr] || 0) + 1;
@@ -223,7 +631,7 @@ program
             Object.entries(nodeDistribution).forEach(([node, count]) => {
                 console.log(chalk.white(`${node}:`), `${count} fragments`);
             });
-            
+        
         } catch (error) {
             console.error(chalk.red.bold('\nFailed to read recovery file'));
             console.error(chalk.red('Error:'), error.message);
@@ -300,7 +708,7 @@ program
                 console.log(chalk.gray('To start a storage node, run:'));
                 console.log(chalk.cyan('  node storage-node/server.js 9001'));
             }
-            
+        
         } catch (error) {
             console.error(chalk.red.bold('\nFailed to get network stats'));
             console.error(chalk.red('Error Type:'), error.constructor.name);
@@ -441,7 +849,7 @@ program
             console.log(chalk.gray(`  Nodes available: ${nodesResponse.data.nodes.length}`));
             
             console.log(chalk.green.bold('\nAll tests passed! Server is working correctly.'));
-            
+        
         } catch (error) {
             console.log(chalk.red.bold('\nConnection failed'));
             console.log(chalk.red('Error:'), error.message);
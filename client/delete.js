@@ -0,0 +1,120 @@
+const chalk = require('chalk');
+const ora = require('ora');
+const NodeClient = require('./node-client');
+const RecoveryFile = require('./recovery');
+const Downloader = require('./download');
+const config = require('../config');
+
+class Deleter {
+    constructor(directoryServer = config.directoryServer.url) {
+        this.directoryServer = directoryServer;
+        this.downloader = new Downloader(directoryServer);
+    }
+    
+    async deleteFile(recoveryFilePath, options = {}) {
+        console.log(chalk.cyan.bold('\nStarting Delete Process'));
+        console.log(chalk.gray(`Recovery file: ${recoveryFilePath}`));
+        console.log(chalk.gray(`Directory Server: ${this.directoryServer}`));
+        
+        try {
+            const spinner = ora('Reading recovery file...').start();
+            const recoveryData = await RecoveryFile.load(recoveryFilePath, { passphrase: options.recoveryPassphrase });
+            spinner.succeed(`Recovery file loaded (${RecoveryFile.countFragments(recoveryData)} fragments)`);
+            
+            // Each node drops its own location record from the directory once it deletes a fragment
+            const deleteSpinner = ora('Asking nodes to delete fragments...').start();
+            const results = [];
+            
+            for (const segment of RecoveryFile.getSegments(recoveryData)) {
+                for (const partition of segment.partitions) {
+                    const partitionResults = await Promise.all(partition.fragments.map(fragment => {
+                        deleteSpinner.text = `Deleting fragment ${segment.index}/${partition.index} from ${fragment.nodeAddress}...`;
+                        return this.deleteFragment(fragment);
+                    }));
+                    
+                    partitionResults.forEach((result, r) => {
+                        results.push({
+                            label: `${segment.index}/${partition.index}-${partition.fragments[r].redundancyIndex}`,
+                            ...result
+                        });
+                    });
+                }
+            }
+            
+            const removed = results.filter(r => r.status === 'deleted' || r.status === 'not-found');
+            const failed = results.filter(r => r.status !== 'deleted' && r.status !== 'not-found');
+            
+            if (failed.length === 0) {
+                deleteSpinner.succeed(`Removed ${removed.length} fragments`);
+            } else {
+                deleteSpinner.warn(`Removed ${removed.length}/${results.length} fragments`);
+            }
+            
+            console.log(chalk.cyan.bold('\nPer-Fragment Results'));
+            console.log(chalk.gray('----------------------------------------'));
+            for (const result of results) {
+                const line = `${result.label.padEnd(10)} ${result.fragmentId.substring(0, 12)}...  ${result.nodeAddress.padEnd(22)}`;
+                if (result.status === 'deleted') {
+                    console.log(chalk.green(`${line} deleted`));
+                } else if (result.status === 'not-found') {
+                    console.log(chalk.gray(`${line} already gone`));
+                } else {
+                    console.log(chalk.red(`${line} ${result.status}: ${result.message}`));
+                }
+            }
+            console.log(chalk.gray('----------------------------------------'));
+            
+            if (failed.length === 0) {
+                console.log(chalk.green.bold('\nDelete Complete'));
+                console.log(chalk.gray(`The recovery file ${recoveryFilePath} can no longer restore this file and may be removed.`));
+            } else {
+                console.log(chalk.yellow.bold(`\n${failed.length} fragment(s) could not be deleted`));
+                console.log(chalk.gray('Keep the recovery file and run the delete command again later.'));
+            }
+            
+            return {
+                total: results.length,
+                deleted: removed.length,
+                failed: failed.length,
+                results
+            };
+        
+        } catch (error) {
+            console.error(chalk.red.bold('\nDelete Failed:'), error.message);
+            throw error;
+        }
+    }
+    
+    /**
+     * Deletes a fragment wherever it currently is: the recorded node, its
+     * new address, or a node it was drained to.
+     */
+    async deleteFragment(fragment) {
+        let result = {
+            fragmentId: fragment.fragmentId,
+            nodeAddress: fragment.nodeAddress
+        };
+        
+        if (!fragment.deletionSecret) {
+            return { ...result, status: 'no-secret', message: 'uploaded before deletion support' };
+        }
+        
+        for await (const location of this.downloader.fragmentLocations(fragment)) {
+            try {
+                await NodeClient.fromAddress(location.nodeAddress).deleteFragment(fragment.fragmentId, fragment.deletionSecret);
+                return { ...result, nodeAddress: location.nodeAddress, status: 'deleted' };
+            } catch (error) {
+                if (error.response && error.response.status === 404) {
+                    result = { ...result, status: 'not-found' };
+                } else if (error.response && error.response.status === 403) {
+                    result = { ...result, status: 'forbidden', message: 'node rejected the deletion secret' };
+                } else if (!result.status) {
+                    result = { ...result, status: error.response ? 'failed' : 'unreachable', message: error.message };
+                }
+            }
+        }
+        return result;
+    }
+}
+
+module.exports = Deleter;
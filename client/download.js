@@ -1,34 +1,124 @@
 const axios = require('axios');
 const fs = require('fs').promises;
+const fsSync = require('fs');
 const chalk = require('chalk');
 const ora = require('ora');
 const crypto = require('crypto');
-const { CryptoUtils, FileUtils, ReedSolomon, NetworkUtils } = require('./utils');
+const { pipeline } = require('stream/promises');
+const { CryptoUtils, CompressionUtils, FileUtils, ReedSolomon, NetworkUtils } = require('./utils');
+const { OrderedSegmentReader, HashingPassThrough } = require('./pipeline');
+const NodeClient = require('./node-client');
+const RecoveryFile = require('./recovery');
+const PlacementPolicy = require('./placement');
+const KeySlots = require('./key-slots');
+const constants = require('../shared/constants');
 const config = require('../config');
 
 class Downloader {
     constructor(directoryServer = config.directoryServer.url) {
         this.directoryServer = directoryServer;
+        this.nodeIdentities = new Map();
+        this.latencies = new Map();
     }
     
-    async downloadFile(recoveryFilePath, outputPath = null, masterPassword = null) {
+    /**
+     * Looks up the identity key the directory has bound to a node, so
+     * retrieved fragments can be checked against it, along with the
+     * address and country it currently reports from. Resolves to null when
+     * the directory cannot vouch for the node.
+     */
+    async resolveNodeIdentity(nodeId) {
+        if (!nodeId) return null;
+        if (this.nodeIdentities.has(nodeId)) {
+            return this.nodeIdentities.get(nodeId);
+        }
+        
+        // The pending lookup is cached, so partitions fetched in parallel ask about each node once
+        const lookup = axios.get(`${this.directoryServer}/node/${nodeId}`, { timeout: 5000 }).then(
+            response => ({
+                id: nodeId,
+                publicKey: response.data.publicKey,
+                address: response.data.address,
+                port: response.data.port,
+                country: response.data.country
+            }),
+            error => {
+                if (!error.response || error.response.status !== 404) {
+                    this.nodeIdentities.delete(nodeId);
+                }
+                // An unreachable directory should not block downloads; such fragments go unchecked
+                return null;
+            }
+        );
+        this.nodeIdentities.set(nodeId, lookup);
+        return lookup;
+    }
+    
+    /**
+     * Where a fragment can be fetched from, best guess first: the address
+     * the directory has for the fragment's node (nodes keep their ID when
+     * their IP changes), then the address in the recovery file, then any
+     * other node the directory says holds the fragment, e.g. after the
+     * original node was drained. The directory is only asked about other
+     * holders once the first two have failed.
+     */
+    async *fragmentLocations(fragment) {
+        const seen = new Set();
+        const node = await this.resolveNodeIdentity(fragment.nodeId);
+        
+        if (node && node.address) {
+            const nodeAddress = `${node.address}:${node.port}`;
+            seen.add(nodeAddress);
+            yield { nodeId: fragment.nodeId, nodeAddress, identity: node };
+        }
+        if (!seen.has(fragment.nodeAddress)) {
+            seen.add(fragment.nodeAddress);
+            yield { nodeId: fragment.nodeId, nodeAddress: fragment.nodeAddress, identity: node };
+        }
+        
+        for (const holder of await this.findFragmentHolders(fragment.fragmentId)) {
+            const nodeAddress = `${holder.address}:${holder.port}`;
+            if (holder.id === fragment.nodeId || seen.has(nodeAddress)) continue;
+            seen.add(nodeAddress);
+            yield { nodeId: holder.id, nodeAddress, identity: await this.resolveNodeIdentity(holder.id) };
+        }
+    }
+    
+    async findFragmentHolders(fragmentId) {
+        try {
+            const response = await axios.get(`${this.directoryServer}/fragment/${fragmentId}`, { timeout: 5000 });
+            return response.data.nodes.filter(node => node.status === 'active');
+        } catch (error) {
+            return [];
+        }
+    }
+    
+    async downloadFile(recoveryFilePath, outputPath = null, masterPassword = null, options = {}) {
+        const { concurrency = constants.STREAMING.CONCURRENCY, recoveryPassphrase = null, updateRecovery = false } = options;
+        
         console.log(chalk.cyan.bold('\nStarting Download Process'));
         console.log(chalk.gray(`Recovery file: ${recoveryFilePath}`));
         console.log(chalk.gray(`Directory Server: ${this.directoryServer}`));
         
         try {
             const spinner = ora('Reading recovery file...').start();
-            const recoveryData = JSON.parse(await fs.readFile(recoveryFilePath, 'utf8'));
+            let recoveryData;
+            try {
+                recoveryData = await RecoveryFile.load(recoveryFilePath, { passphrase: recoveryPassphrase });
+            } catch (error) {
+                spinner.fail('Could not open recovery file');
+                throw error;
+            }
             spinner.succeed('Recovery file loaded');
             
             if (recoveryData.security.masterEncryption.passwordProtected) {
-                if (!masterPassword) {
-                    throw new Error('This file is password protected. Use --master-password option.');
+                if (!masterPassword && !options.keyFile && !options.masterKey) {
+                    throw new Error('This file is password protected. Use --master-password, --key-file or --share option.');
                 }
                 console.log(chalk.yellow('Password protected file - password required'));
             }
             
-            if (recoveryData.version === '3.0' && recoveryData.security?.doubleEncryption) {
+            if (recoveryData.security?.doubleEncryption) {
                 console.log(chalk.green(`Security: Double encryption detected`));
                 console.log(chalk.gray(`  Master encryption: ${recoveryData.security.masterEncryption.algorithm}`));
                 console.log(chalk.gray(`  Fragment keys: ${recoveryData.security.fragmentEncryption.totalUniqueKeys}`));
@@ -37,143 +127,85 @@ class Downloader {
                 }
             }
             
+            const segments = RecoveryFile.getSegments(recoveryData);
+            
             console.log(chalk.gray(`Original file: ${recoveryData.fileName}`));
             console.log(chalk.gray(`Size: ${(recoveryData.originalSize / 1024 / 1024).toFixed(2)} MB`));
-            console.log(chalk.gray(`Partitions: ${recoveryData.partitions.length}`));
+            console.log(chalk.gray(`Segments: ${segments.length}, Partitions per segment: ${segments[0].partitions.length}`));
             
             if (recoveryData.reedSolomonConfig) {
                 console.log(chalk.gray(`Reed-Solomon: ${recoveryData.reedSolomonConfig.dataShards} data + ${recoveryData.reedSolomonConfig.parityShards} parity shards`));
             }
             
-            const downloadSpinner = ora('Downloading encrypted fragments...').start();
-            const downloadedFragments = await this.downloadFragmentsWithRetry(recoveryData.partitions, downloadSpinner);
-            const successfulDownloads = downloadedFragments.filter(p => p !== null).length;
-            downloadSpinner.succeed(`Downloaded ${successfulDownloads} partitions`);
-            
-            const fragmentDecryptSpinner = ora('Decrypting fragments (Layer 2)...').start();
-            const fragmentDecrypted = await this.decryptFragmentLayer(
-                downloadedFragments,
-                recoveryData.partitions
-            );
-            fragmentDecryptSpinner.succeed('Fragment encryption removed');
-            
-            const reconstructSpinner = ora('Reconstructing master-encrypted file...').start();
-            let masterEncryptedBuffer;
-            
-            if (recoveryData.reedSolomon && recoveryData.reedSolomonConfig) {
-                try {
-                    const dataShards = recoveryData.reedSolomonConfig.dataShards;
-                    const parityShards = recoveryData.reedSolomonConfig.parityShards;
-                    
-                    console.log(chalk.gray(`\nUsing Reed-Solomon: ${dataShards} data shards, ${parityShards} parity shards`));
-                    console.log(chalk.gray(`Valid fragments: ${fragmentDecrypted.filter(f => f !== null).length}/${fragmentDecrypted.length}`));
-                    
-                    masterEncryptedBuffer = ReedSolomon.decode(
-                        fragmentDecrypted,
-                        dataShards,
-                        parityShards
-                    );
-                } catch (rsError) {
-                    console.error(chalk.yellow('Reed-Solomon decode failed:', rsError.message));
-                    console.log(chalk.yellow('Attempting simple merge...'));
-                    const validPartitions = fragmentDecrypted.filter(p => p !== null);
-                    if (validPartitions.length < recoveryData.reedSolomonConfig.dataShards) {
-                        throw new Error(`Not enough partitions for recovery. Have ${validPartitions.length}, need ${recoveryData.reedSolomonConfig.dataShards}`);
-                    }
-                    masterEncryptedBuffer = FileUtils.mergePartitions(validPartitions.slice(0, recoveryData.reedSolomonConfig.dataShards));
-                }
-            } else {
-                const validPartitions = fragmentDecrypted.filter(p => p !== null);
-                if (validPartitions.length !== recoveryData.partitions.length) {
-                    throw new Error(`Missing partitions and no error correction available. Have ${validPartitions.length}, need ${recoveryData.partitions.length}`);
-                }
-                masterEncryptedBuffer = FileUtils.mergePartitions(validPartitions);
-            }
-            
-            reconstructSpinner.succeed('Master-encrypted file reconstructed');
-            
-            if (recoveryData.compressed) {
-                const decompressSpinner = ora('Decompressing...').start();
-                try {
-                    masterEncryptedBuffer = CryptoUtils.decompress(masterEncryptedBuffer);
-                    decompressSpinner.succeed('Decompressed successfully');
-                } catch (decompError) {
-                    decompressSpinner.fail('Decompression failed');
-                    throw new Error('Decompression failed: ' + decompError.message);
-                }
-            }
-            
-            const verifyMasterSpinner = ora('Verifying master encrypted data...').start();
-            const masterEncryptedHash = CryptoUtils.calculateChecksum(masterEncryptedBuffer);
-            if (masterEncryptedHash !== recoveryData.security.masterEncryption.encryptedHash) {
-                verifyMasterSpinner.fail('Master encrypted data integrity check failed');
-                throw new Error('Master encrypted data integrity check failed');
+            const keySpinner = ora('Preparing master key...').start();
+            if (recoveryData.security.masterEncryption.passwordProtected) {
+                keySpinner.text = 'Deriving key from password...';
             }
-            verifyMasterSpinner.succeed('Master encrypted data verified');
-            
-            const masterDecryptSpinner = ora('Decrypting with master key (Layer 1)...').start();
-            
             let masterKey;
-            if (recoveryData.security.masterEncryption.passwordProtected) {
-                if (!masterPassword) {
-                    masterDecryptSpinner.fail('Password required');
-                    throw new Error('Master password is required for this file');
-                }
-                
-                const salt = Buffer.from(recoveryData.security.masterEncryption.salt, 'base64');
-                masterKey = crypto.pbkdf2Sync(masterPassword, salt, 100000, 32, 'sha256');
-                masterDecryptSpinner.text = 'Deriving key from password...';
-            } else {
-                masterKey = Buffer.from(recoveryData.security.masterEncryption.key, 'base64');
+            try {
+                // A key rebuilt from shares stands in for the password
+                masterKey = options.masterKey || await this.resolveMasterKey(recoveryData, { password: masterPassword, keyFile: options.keyFile });
+            } catch (error) {
+                keySpinner.fail('Could not unlock the master key');
+                throw error;
             }
+            const fragmentRootKey = this.resolveFragmentRootKey(recoveryData, masterKey);
+            keySpinner.succeed('Master key ready');
             
-            const masterIV = Buffer.from(recoveryData.security.masterEncryption.iv, 'base64');
-            const masterTag = Buffer.from(recoveryData.security.masterEncryption.tag, 'base64');
+            const outputFilePath = outputPath || recoveryData.fileName;
+            const partialPath = `${outputFilePath}.partial`;
+            const stats = { fragments: 0, relocated: new Map() };
+            
+            const downloadSpinner = ora('Downloading and decrypting segments...').start();
+            const reader = new OrderedSegmentReader(
+                segments.length,
+                index => this.downloadSegment(recoveryData, segments[index], { masterKey, fragmentRootKey }, downloadSpinner, stats),
+                concurrency
+            );
+            const hasher = new HashingPassThrough();
             
-            let originalFile;
             try {
-                originalFile = CryptoUtils.decrypt(
-                    masterEncryptedBuffer,
-                    masterKey,
-                    masterIV,
-                    masterTag
-                );
-                masterDecryptSpinner.succeed('Master encryption removed');
-            } catch (decryptError) {
-                masterDecryptSpinner.fail('Master decryption failed');
-                if (recoveryData.security.masterEncryption.passwordProtected) {
-                    throw new Error('Incorrect password or corrupted file');
-                }
-                throw new Error('Master decryption failed: ' + decryptError.message);
+                await pipeline(reader, hasher, fsSync.createWriteStream(partialPath));
+            } catch (error) {
+                downloadSpinner.fail('Segment reconstruction failed');
+                await fs.rm(partialPath, { force: true });
+                throw error;
             }
+            downloadSpinner.succeed(`Reconstructed ${segments.length} segment(s) from ${stats.fragments} fragments`);
             
             const verifySpinner = ora('Verifying file integrity...').start();
-            const fileHash = CryptoUtils.calculateChecksum(originalFile);
+            const fileHash = hasher.digest();
             
             if (fileHash !== recoveryData.fileHash) {
                 verifySpinner.fail('File integrity check failed');
                 console.error(chalk.red(`Expected hash: ${recoveryData.fileHash}`));
                 console.error(chalk.red(`Actual hash:   ${fileHash}`));
+                await fs.rm(partialPath, { force: true });
                 throw new Error('Downloaded file hash does not match original');
             }
             
             verifySpinner.succeed('File integrity verified');
             
-            const saveSpinner = ora('Saving file...').start();
-            const outputFilePath = outputPath || recoveryData.fileName;
-            await fs.writeFile(outputFilePath, originalFile);
-            saveSpinner.succeed(`File saved: ${outputFilePath}`);
+            await fs.rename(partialPath, outputFilePath);
             
             console.log(chalk.green.bold('\nDownload Complete'));
             console.log(chalk.cyan('Security Summary:'));
-            console.log(chalk.gray(`  - Fragment decryption: ${successfulDownloads} fragments`));
-            console.log(chalk.gray(`  - Master decryption: Applied`));
+            console.log(chalk.gray(`  - Fragment decryption: ${stats.fragments} fragments`));
+            console.log(chalk.gray(`  - Master decryption: Applied to ${segments.length} segment(s)`));
             console.log(chalk.gray(`  - File integrity: Verified`));
-            console.log(chalk.gray(`  - File size: ${originalFile.length} bytes`));
+            console.log(chalk.gray(`  - File size: ${hasher.totalLength} bytes`));
             console.log(chalk.gray(`File saved to: ${outputFilePath}`));
             
-            return outputFilePath;
+            if (stats.relocated.size > 0) {
+                if (updateRecovery) {
+                    await this.updateFragmentLocations(recoveryFilePath, recoveryData, stats.relocated);
+                } else {
+                    console.log(chalk.yellow(`${stats.relocated.size} fragment(s) were found at a new address; use --update-recovery to record them in the recovery file`));
+                }
+            }
             
+            return outputFilePath;
+        
         } catch (error) {
             console.error(chalk.red.bold('\nDownload Failed:'), error.message);
             if (error.stack) {
@@ -183,50 +215,311 @@ class Downloader {
         }
     }
     
-    async downloadFragmentsWithRetry(partitionMap, spinner) {
+    /**
+     * Unlocks the master key with a password, a key file or both, as the
+     * file's key slots require.
+     */
+    async resolveMasterKey(recoveryData, { password = null, keyFile = null } = {}) {
+        const masterEncryption = recoveryData.security.masterEncryption;
+        
+        if (masterEncryption.passwordProtected) {
+            const credentials = await KeySlots.credentials({ password, keyFile });
+            if (!credentials) {
+                throw new Error('Master password or key file is required for this file');
+            }
+            if (masterEncryption.keySlots) {
+                const unlocked = await KeySlots.unlock(masterEncryption.keySlots, credentials);
+                if (!unlocked) {
+                    throw new Error('Incorrect password or key file: they open none of this file\'s key slots');
+                }
+                return unlocked.masterKey;
+            }
+            // Files from before key slots derived the master key from the password itself
+            if (!password || keyFile) {
+                throw new Error('This file was protected with a password alone; use --master-password');
+            }
+            const salt = Buffer.from(masterEncryption.salt, 'base64');
+            return crypto.pbkdf2Sync(password, salt, 100000, 32, 'sha256');
+        }
+        
+        return Buffer.from(masterEncryption.key, 'base64');
+    }
+    
+    resolveFragmentRootKey(recoveryData, masterKey) {
+        const fragmentEncryption = recoveryData.security.fragmentEncryption;
+        if (!fragmentEncryption || !fragmentEncryption.keyHierarchy) {
+            return null;
+        }
+        return CryptoUtils.deriveFragmentRootKey(masterKey, recoveryData.fileId);
+    }
+    
+    async updateFragmentLocations(recoveryFilePath, recoveryData, relocated) {
+        const backupPath = `${recoveryFilePath}.${Date.now()}.bak`;
+        await fs.copyFile(recoveryFilePath, backupPath);
+        
+        for (const [fragment, location] of relocated) {
+            fragment.nodeId = location.nodeId;
+            fragment.nodeAddress = location.nodeAddress;
+            if (location.identity && location.identity.country) {
+                fragment.country = location.identity.country;
+            }
+        }
+        await RecoveryFile.save(recoveryFilePath, recoveryData);
+        console.log(chalk.green(`Recorded ${relocated.size} new fragment location(s) in ${recoveryFilePath} (previous version kept as ${backupPath})`));
+    }
+    
+    async downloadSegment(recoveryData, segment, { masterKey, fragmentRootKey }, spinner, stats) {
+        // Vandermonde parity can stand in for any shard, so dataShards verified shards are enough
+        const rsConfig = recoveryData.reedSolomon && recoveryData.reedSolomonConfig;
+        const needed = rsConfig && rsConfig.matrix ? rsConfig.dataShards : segment.partitions.length;
+        const downloadedFragments = await this.downloadFragmentsWithRetry(segment.partitions, spinner, segment.index, { needed });
+        stats.fragments += downloadedFragments.filter(p => p !== null).length;
+        for (const downloaded of downloadedFragments) {
+            if (downloaded && downloaded.location.nodeAddress !== downloaded.fragment.nodeAddress) {
+                stats.relocated.set(downloaded.fragment, downloaded.location);
+            }
+        }
+        
+        spinner.text = `Decrypting segment ${segment.index} fragments (Layer 2)...`;
+        const fragmentDecrypted = await this.decryptFragmentLayer(downloadedFragments, segment.partitions, {
+            fragmentRootKey,
+            segmentIndex: segment.index
+        });
+        
+        // Derived fragment keys come from the master key, so a wrong password already fails here
+        if (fragmentRootKey && downloadedFragments.some(f => f !== null) && fragmentDecrypted.every(f => f === null)) {
+            if (recoveryData.security.masterEncryption.passwordProtected) {
+                throw new Error('Incorrect password or corrupted file');
+            }
+            throw new Error(`No fragment of segment ${segment.index} could be decrypted`);
+        }
+        
+        spinner.text = `Reconstructing segment ${segment.index}...`;
+        let masterEncryptedBuffer = this.reconstructSegment(recoveryData, segment, fragmentDecrypted);
+        
+        // Files from before compression moved ahead of encryption compressed the ciphertext
+        if (recoveryData.compressed) {
+            try {
+                masterEncryptedBuffer = CompressionUtils.decompress(masterEncryptedBuffer, 'deflate');
+            } catch (decompError) {
+                throw new Error(`Decompression of segment ${segment.index} failed: ${decompError.message}`);
+            }
+        }
+        
+        if (CryptoUtils.calculateChecksum(masterEncryptedBuffer) !== segment.encryptedHash) {
+            throw new Error(`Master encrypted data integrity check failed for segment ${segment.index}`);
+        }
+        
+        spinner.text = `Decrypting segment ${segment.index} with master key (Layer 1)...`;
+        let plaintext;
+        try {
+            plaintext = CryptoUtils.decrypt(
+                masterEncryptedBuffer,
+                masterKey,
+                Buffer.from(segment.iv, 'base64'),
+                Buffer.from(segment.tag, 'base64')
+            );
+        } catch (decryptError) {
+            if (recoveryData.security.masterEncryption.passwordProtected) {
+                throw new Error('Incorrect password or corrupted file');
+            }
+            throw new Error('Master decryption failed: ' + decryptError.message);
+        }
+        
+        if (segment.contentLength !== undefined) {
+            plaintext = plaintext.subarray(0, segment.contentLength);
+        }
+        if (segment.codec && segment.codec !== 'none') {
+            try {
+                plaintext = CompressionUtils.decompress(plaintext, segment.codec, segment.size);
+            } catch (decompError) {
+                throw new Error(`Decompression of segment ${segment.index} (${segment.codec}) failed: ${decompError.message}`);
+            }
+        }
+        
+        if (plaintext.length !== segment.size) {
+            throw new Error(`Segment ${segment.index} has ${plaintext.length} bytes, expected ${segment.size}`);
+        }
+        
+        console.log(chalk.gray(`  Segment ${segment.index} reconstructed (${plaintext.length} bytes)`));
+        return plaintext;
+    }
+    
+    reconstructSegment(recoveryData, segment, fragmentDecrypted) {
+        if (recoveryData.reedSolomon && recoveryData.reedSolomonConfig) {
+            const { dataShards, parityShards, matrix } = recoveryData.reedSolomonConfig;
+            const validCount = fragmentDecrypted.filter(f => f !== null).length;
+            
+            console.log(chalk.gray(`  Segment ${segment.index}: ${validCount}/${fragmentDecrypted.length} valid shards (${dataShards} needed)`));
+            
+            // Recovery files written before the Vandermonde encoder carry parity that cannot be decoded
+            if (!matrix && fragmentDecrypted.slice(0, dataShards).some(f => f === null)) {
+                throw new Error('This recovery file was created with the legacy parity format; all data shards are required to reconstruct it');
+            }
+            
+            try {
+                return ReedSolomon.decode(
+                    fragmentDecrypted,
+                    dataShards,
+                    parityShards,
+                    segment.encodedLength
+                );
+            } catch (rsError) {
+                throw new Error(`Reed-Solomon decode failed for segment ${segment.index}: ${rsError.message}`);
+            }
+        }
+        
+        const validPartitions = fragmentDecrypted.filter(p => p !== null);
+        if (validPartitions.length !== segment.partitions.length) {
+            throw new Error(`Missing partitions and no error correction available. Have ${validPartitions.length}, need ${segment.partitions.length}`);
+        }
+        return FileUtils.mergePartitions(validPartitions);
+    }
+    
+    /**
+     * Downloads one copy of each partition. Partitions still in flight once
+     * `needed` of them have arrived are cancelled and come back as null.
+     */
+    async downloadFragmentsWithRetry(partitionMap, spinner, segmentIndex = 0, { needed = partitionMap.length } = {}) {
+        const enough = new AbortController();
+        let downloaded = 0;
+        
         const downloadPromises = partitionMap.map(async (partition, index) => {
-            for (const fragment of partition.fragments) {
-                try {
-                    const parts = fragment.nodeAddress.split(':');
-                    const nodeUrl = NetworkUtils.formatNodeUrl(parts[0], parts[1]);
-                    
-                    spinner.text = `Downloading fragment ${index} from ${fragment.nodeAddress}...`;
-                    
-                    const response = await axios.get(
-                        `${nodeUrl}/retrieve/${fragment.fragmentId}`,
-                        { timeout: 30000 }
-                    );
-                    
-                    if (response.data.success) {
-                        const downloadedChecksum = CryptoUtils.calculateChecksum(
-                            Buffer.from(response.data.data, 'base64')
-                        );
-                        
-                        if (downloadedChecksum === fragment.checksum) {
-                            console.log(chalk.gray(`  Partition ${index} downloaded from ${fragment.nodeAddress}`));
-                            return {
-                                index,
-                                data: response.data.data,
-                                fragment: fragment
-                            };
-                        } else {
-                            console.log(chalk.yellow(`  Checksum mismatch for partition ${index}`));
-                        }
+            const result = await this.downloadPartition(partition, index, segmentIndex, spinner, enough.signal);
+            if (result) {
+                downloaded++;
+                if (downloaded >= needed && !enough.signal.aborted) {
+                    enough.abort();
+                    if (downloaded < partitionMap.length) {
+                        console.log(chalk.gray(`  Segment ${segmentIndex}: ${downloaded} shards verified, not waiting for the rest`));
                     }
-                } catch (error) {
-                    console.log(chalk.yellow(`  Fragment ${fragment.fragmentId.substring(0, 8)} unavailable: ${error.message}`));
                 }
+            } else if (!enough.signal.aborted) {
+                console.error(chalk.red(`Failed to download any copy of partition ${segmentIndex}/${index}`));
             }
-            
-            console.error(chalk.red(`Failed to download any copy of partition ${index}`));
-            return null;
+            return result;
         });
         
         const results = await Promise.all(downloadPromises);
         return results;
     }
     
-    async decryptFragmentLayer(downloadedFragments, partitionMap) {
+    /**
+     * Hedged fetch of one partition. Copies are tried fastest node first;
+     * if a request has not answered within HEDGE_DELAY the next copy is
+     * requested too, and a failed request starts the next one at once. The
+     * first copy that verifies wins and the other requests are cancelled.
+     */
+    async downloadPartition(partition, index, segmentIndex, spinner, signal) {
+        const fragments = await this.rankFragments(partition.fragments);
+        const cancel = new AbortController();
+        
+        return new Promise(resolve => {
+            let next = 0;
+            let running = 0;
+            let settled = false;
+            let hedgeTimer = null;
+            
+            const finish = result => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(hedgeTimer);
+                signal.removeEventListener('abort', onEnough);
+                cancel.abort();
+                resolve(result);
+            };
+            const onEnough = () => finish(null);
+            
+            const launch = () => {
+                clearTimeout(hedgeTimer);
+                if (settled) return;
+                if (next >= fragments.length) {
+                    if (running === 0) finish(null);
+                    return;
+                }
+                
+                const fragment = fragments[next++];
+                running++;
+                this.fetchFragment(fragment, `${segmentIndex}/${index}`, spinner, cancel.signal).then(
+                    ({ data, location }) => finish({ index, data, fragment, location }),
+                    () => {
+                        running--;
+                        launch();
+                    }
+                );
+                hedgeTimer = setTimeout(launch, constants.NETWORK.HEDGE_DELAY);
+            };
+            
+            if (signal.aborted) return finish(null);
+            signal.addEventListener('abort', onEnough);
+            launch();
+        });
+    }
+    
+    /**
+     * Fetches a fragment from wherever it can be found (see
+     * fragmentLocations) and checks it against the recorded checksum.
+     */
+    async fetchFragment(fragment, label, spinner, signal) {
+        for await (const location of this.fragmentLocations(fragment)) {
+            if (signal.aborted) break;
+            try {
+                const nodeClient = NodeClient.fromAddress(location.nodeAddress, location.identity);
+                
+                spinner.text = `Downloading fragment ${label} from ${location.nodeAddress}...`;
+                
+                const data = await nodeClient.retrieveFragment(fragment.fragmentId, { signal });
+                const downloadedChecksum = CryptoUtils.calculateChecksum(data);
+                
+                if (downloadedChecksum === fragment.checksum) {
+                    console.log(chalk.gray(`  Partition ${label} downloaded from ${location.nodeAddress}`));
+                    return { data, location };
+                }
+                console.log(chalk.yellow(`  Checksum mismatch for partition ${label} from ${location.nodeAddress}`));
+            } catch (error) {
+                if (signal.aborted) break;
+                console.log(chalk.yellow(`  Fragment ${fragment.fragmentId.substring(0, 8)} unavailable at ${location.nodeAddress}: ${error.message}`));
+            }
+        }
+        throw new Error(`No copy of fragment ${fragment.fragmentId.substring(0, 8)} could be fetched`);
+    }
+    
+    /**
+     * Orders a partition's copies by the measured round trip to the node
+     * currently holding them. Unreachable nodes go last rather than being
+     * dropped: the directory may still know where the fragment went.
+     */
+    async rankFragments(fragments) {
+        const ranked = await Promise.all(fragments.map(async (fragment, order) => {
+            const node = await this.resolveNodeIdentity(fragment.nodeId);
+            const nodeAddress = node && node.address ? `${node.address}:${node.port}` : fragment.nodeAddress;
+            return { fragment, order, latency: await this.measureLatency(nodeAddress) };
+        }));
+        return ranked
+            .sort((a, b) => a.latency - b.latency || a.order - b.order)
+            .map(entry => entry.fragment);
+    }
+    
+    async measureLatency(nodeAddress) {
+        if (!this.latencies.has(nodeAddress)) {
+            // Cache the pending measurement so concurrent partitions ping each node once
+            this.latencies.set(nodeAddress, (async () => {
+                const separator = nodeAddress.lastIndexOf(':');
+                const nodeUrl = NetworkUtils.formatNodeUrl(nodeAddress.substring(0, separator), nodeAddress.substring(separator + 1));
+                const start = Date.now();
+                try {
+                    // A node this slow to answer a ping ranks last anyway, so do not wait longer for it
+                    await axios.get(`${nodeUrl}/ping`, { timeout: constants.NETWORK.LATENCY_PROBE_TIMEOUT });
+                    return Date.now() - start;
+                } catch (error) {
+                    return Infinity;
+                }
+            })());
+        }
+        return this.latencies.get(nodeAddress);
+    }
+    
+    async decryptFragmentLayer(downloadedFragments, partitionMap, { fragmentRootKey = null, segmentIndex = 0 } = {}) {
         const decryptedPartitions = new Array(partitionMap.length);
         
         for (let i = 0; i < downloadedFragments.length; i++) {
@@ -239,20 +532,32 @@ class Downloader {
             
             try {
                 const encryption = downloaded.fragment.encryption;
+                let decrypted;
                 
-                let key = Buffer.from(encryption.key, 'base64');
-                
-                if (encryption.salt) {
-                    const salt = Buffer.from(encryption.salt, 'base64');
-                    key = crypto.pbkdf2Sync(key, salt, 10000, 32, 'sha256');
+                if (!encryption) {
+                    // Key-hierarchy fragments: the key is derived, the IV and tag are inside the fragment
+                    if (!fragmentRootKey) {
+                        throw new Error('Fragment has no key record and no root key is available');
+                    }
+                    const partitionIndex = partitionMap[downloaded.index].index;
+                    const key = CryptoUtils.deriveFragmentKey(fragmentRootKey, segmentIndex, partitionIndex, downloaded.fragment.redundancyIndex);
+                    decrypted = CryptoUtils.openFragment(downloaded.data, key);
+                } else {
+                    let key = Buffer.from(encryption.key, 'base64');
+                    
+                    // Fragments from older clients ran their random key through PBKDF2
+                    if (encryption.salt) {
+                        const salt = Buffer.from(encryption.salt, 'base64');
+                        key = crypto.pbkdf2Sync(key, salt, 10000, 32, 'sha256');
+                    }
+                    
+                    const iv = Buffer.from(encryption.iv, 'base64');
+                    const tag = Buffer.from(encryption.tag, 'base64');
+                    const encrypted = downloaded.data;
+                    
+                    decrypted = CryptoUtils.decrypt(encrypted, key, iv, tag);
                 }
                 
-                const iv = Buffer.from(encryption.iv, 'base64');
-                const tag = Buffer.from(encryption.tag, 'base64');
-                const encrypted = Buffer.from(downloaded.data, 'base64');
-                
-                const decrypted = CryptoUtils.decrypt(encrypted, key, iv, tag);
-                
                 const expectedChecksum = partitionMap[downloaded.index].originalChecksum;
                 const actualChecksum = CryptoUtils.calculateChecksum(decrypted);
                 
@@ -263,7 +568,7 @@ class Downloader {
                     console.log(chalk.gray(`  Decrypted partition ${downloaded.index}`));
                     decryptedPartitions[downloaded.index] = decrypted;
                 }
-                
+            
             } catch (error) {
                 console.error(chalk.red(`Failed to decrypt partition ${downloaded.index}:`, error.message));
                 decryptedPartitions[downloaded.index] = null;
@@ -273,11 +578,35 @@ class Downloader {
         return decryptedPartitions;
     }
     
-    async verifyAvailability(recoveryFilePath) {
+    /**
+     * Fragments sitting outside the regions the recovery file was uploaded
+     * under. The directory's current view of a node wins over the country
+     * recorded at upload time, since a node may have moved since.
+     */
+    async findResidencyViolations(recoveryData) {
+        const policy = PlacementPolicy.fromRecovery(recoveryData);
+        if (!policy.restrictsRegions) return [];
+        
+        const violations = [];
+        for (const segment of RecoveryFile.getSegments(recoveryData)) {
+            for (const partition of segment.partitions) {
+                for (const fragment of partition.fragments) {
+                    const identity = await this.resolveNodeIdentity(fragment.nodeId);
+                    const country = (identity && identity.country) || fragment.country || 'Unknown';
+                    if (!policy.allows({ country })) {
+                        violations.push({ segment: segment.index, partition: partition.index, fragment, country });
+                    }
+                }
+            }
+        }
+        return violations;
+    }
+    
+    async verifyAvailability(recoveryFilePath, options = {}) {
         console.log(chalk.cyan.bold('\nChecking Fragment Availability'));
         
         try {
-            const recoveryData = JSON.parse(await fs.readFile(recoveryFilePath, 'utf8'));
+            const recoveryData = await RecoveryFile.load(recoveryFilePath, { passphrase: options.recoveryPassphrase });
             
             if (recoveryData.security?.doubleEncryption) {
                 console.log(chalk.green(`Double encryption enabled`));
@@ -291,40 +620,66 @@ class Downloader {
             let totalFragments = 0;
             let availableFragments = 0;
             let uniqueKeys = new Set();
+            const segments = RecoveryFile.getSegments(recoveryData);
+            let minAvailablePartitions = Infinity;
             
-            for (const partition of recoveryData.partitions) {
-                for (const fragment of partition.fragments) {
-                    totalFragments++;
+            for (const segment of segments) {
+                let availablePartitions = 0;
+                
+                for (const partition of segment.partitions) {
+                    let partitionAvailable = false;
                     
-                    if (fragment.encryption?.key) {
-                        uniqueKeys.add(fragment.encryption.key);
+                    for (const fragment of partition.fragments) {
+                        totalFragments++;
+                        
+                        if (fragment.encryption?.key) {
+                            uniqueKeys.add(fragment.encryption.key);
+                        }
+                        
+                        let reachable = false;
+                        for await (const location of this.fragmentLocations(fragment)) {
+                            try {
+                                const parts = location.nodeAddress.split(':');
+                                const nodeUrl = NetworkUtils.formatNodeUrl(parts[0], parts[1]);
+                                await axios.get(`${nodeUrl}/ping`, { timeout: 5000 });
+                                reachable = true;
+                                break;
+                            } catch (error) {
+                                continue;
+                            }
+                        }
+                        
+                        if (reachable) {
+                            availableFragments++;
+                            partitionAvailable = true;
+                        } else {
+                            console.log(chalk.yellow(`Node offline: ${fragment.nodeAddress}`));
+                        }
                     }
                     
-                    try {
-                        const parts = fragment.nodeAddress.split(':');
-                        const nodeUrl = NetworkUtils.formatNodeUrl(parts[0], parts[1]);
-                        await axios.get(`${nodeUrl}/ping`, { timeout: 5000 });
-                        availableFragments++;
-                    } catch (error) {
-                        console.log(chalk.yellow(`Node offline: ${fragment.nodeAddress}`));
-                    }
+                    if (partitionAvailable) availablePartitions++;
                 }
+                
+                minAvailablePartitions = Math.min(minAvailablePartitions, availablePartitions);
             }
             
             const availability = (availableFragments / totalFragments * 100).toFixed(2);
             console.log(chalk.cyan(`\nFragment availability: ${availability}%`));
             console.log(chalk.gray(`${availableFragments}/${totalFragments} fragments accessible`));
-            console.log(chalk.gray(`${uniqueKeys.size} unique fragment encryption keys`));
+            if (recoveryData.security?.fragmentEncryption?.keyHierarchy) {
+                console.log(chalk.gray(`${totalFragments} fragment encryption keys derived from the master key`));
+            } else {
+                console.log(chalk.gray(`${uniqueKeys.size} unique fragment encryption keys`));
+            }
             console.log(chalk.gray(`1 master encryption key`));
             
-            let minRequired = recoveryData.partitions.length;
+            let minRequired = segments[0].partitions.length;
             if (recoveryData.reedSolomonConfig) {
                 minRequired = recoveryData.reedSolomonConfig.dataShards;
             }
             
-            const availablePartitions = recoveryData.partitions.filter(p => 
-                p.fragments.some(() => true)
-            ).length;
+            // Every segment has to be recoverable on its own; report the weakest one
+            const availablePartitions = minAvailablePartitions;
             
             if (availablePartitions >= minRequired) {
                 console.log(chalk.green(`Sufficient fragments for file recovery (${availablePartitions}/${minRequired} required)`));
@@ -332,14 +687,28 @@ class Downloader {
                 console.log(chalk.red(`Insufficient fragments for recovery (${availablePartitions}/${minRequired} required)`));
             }
             
+            const policy = PlacementPolicy.fromRecovery(recoveryData);
+            const residencyViolations = await this.findResidencyViolations(recoveryData);
+            if (policy.restrictsRegions) {
+                if (residencyViolations.length === 0) {
+                    console.log(chalk.green(`All fragments within the allowed regions (${policy.describeRegions()})`));
+                } else {
+                    console.log(chalk.red(`${residencyViolations.length} fragment(s) outside the allowed regions (${policy.describeRegions()}):`));
+                    for (const violation of residencyViolations) {
+                        console.log(chalk.red(`  segment ${violation.segment}, partition ${violation.partition} on ${violation.fragment.nodeAddress} (${violation.country})`));
+                    }
+                }
+            }
+            
             return {
                 total: totalFragments,
                 available: availableFragments,
                 percentage: availability,
-                uniqueKeys: uniqueKeys.size + 1,
-                recoverable: availablePartitions >= minRequired
+                uniqueKeys: (recoveryData.security?.fragmentEncryption?.keyHierarchy ? totalFragments : uniqueKeys.size) + 1,
+                recoverable: availablePartitions >= minRequired,
+                residencyViolations
             };
-            
+        
         } catch (error) {
             console.error(chalk.red('Failed to check availability:'), error.message);
             throw error;
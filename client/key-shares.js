@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const ReedSolomonEncoder = require('./reed-solomon');
+const RecoveryFile = require('./recovery');
+
+const gf = new ReedSolomonEncoder();
+
+const SHARE_PREFIX = 'myst-share1';
+const SECRET_KINDS = { key: 'master-key', seal: 'recovery-passphrase' };
+const DIGEST_LENGTH = 4;
+
+/**
+ * Shamir secret sharing over GF(256), on the field arithmetic of the
+ * Reed-Solomon encoder. Each byte of the secret is the constant term of
+ * its own random polynomial of degree threshold - 1; a share is every
+ * polynomial evaluated at the share's x. Any `threshold` shares rebuild
+ * the secret by Lagrange interpolation at 0, fewer reveal nothing.
+ *
+ * Shares are printed as
+ *   myst-share1-<kind>-<file>-<set>-t<threshold>-x<x>-<hex>-<check>
+ * where <file> ties them to one recovery file, <set> to one split, and
+ * <check> catches typos in a single share. The shared secret ends in a
+ * short digest of itself, so shares that do not belong together are
+ * noticed once combined.
+ */
+class KeyShares {
+    static split(secret, { shares, threshold }) {
+        if (!(Number.isInteger(threshold) && threshold >= 2)) {
+            throw new Error('The threshold must be at least 2');
+        }
+        if (!(Number.isInteger(shares) && shares >= threshold && shares < gf.GF_SIZE)) {
+            throw new Error(`The number of shares must be from the threshold (${threshold}) to ${gf.GF_SIZE - 1}`);
+        }
+        
+        const coefficients = [secret];
+        for (let k = 1; k < threshold; k++) {
+            coefficients.push(crypto.randomBytes(secret.length));
+        }
+        
+        const points = [];
+        for (let x = 1; x <= shares; x++) {
+            const powers = coefficients.map((_, k) => gf.power(x, k));
+            points.push({ x, data: gf.combineShards(powers, coefficients, Buffer.alloc(secret.length)) });
+        }
+        return points;
+    }
+    
+    static combine(points) {
+        // Lagrange basis polynomials evaluated at 0; subtraction is XOR in GF(2^8)
+        const basis = points.map((point, j) => points.reduce((product, other, m) => m === j
+            ? product
+            : gf.multiply(product, gf.divide(other.x, other.x ^ point.x)), 1));
+        return gf.combineShards(basis, points.map(point => point.data), Buffer.alloc(points[0].data.length));
+    }
+    
+    /**
+     * Ties shares to a recovery file through fields that stay readable when
+     * the file is sealed.
+     */
+    static async fileTag(recoveryFilePath) {
+        const document = await RecoveryFile.readEnvelope(recoveryFilePath);
+        const visible = RecoveryFile.isSealed(document) ? document.metadata : document;
+        return crypto.createHash('sha256')
+            .update(JSON.stringify(['mysterium/key-shares/v1', visible.fileName, visible.originalSize, visible.timestamp]))
+            .digest('hex')
+            .substring(0, 8);
+    }
+    
+    static async create(recoveryFilePath, secret, kind, { shares, threshold }) {
+        const digest = crypto.createHash('sha256').update(secret).digest().subarray(0, DIGEST_LENGTH);
+        const file = await this.fileTag(recoveryFilePath);
+        const set = crypto.randomBytes(4).toString('hex');
+        
+        return this.split(Buffer.concat([secret, digest]), { shares, threshold })
+            .map(({ x, data }) => this.encode({ kind, file, set, threshold, x, data }));
+    }
+    
+    /**
+     * Rebuilds the secret from printed shares of the given recovery file.
+     * Resolves to { kind: 'master-key' | 'recovery-passphrase', secret }.
+     */
+    static async recover(recoveryFilePath, shareStrings) {
+        if (shareStrings.length === 0) {
+            throw new Error('No key shares given');
+        }
+        const shares = shareStrings.map(share => this.decode(share));
+        const [first] = shares;
+        
+        if (shares.some(share => share.kind !== first.kind || share.set !== first.set ||
+            share.threshold !== first.threshold || share.data.length !== first.data.length)) {
+            throw new Error('These shares come from different splits');
+        }
+        if (first.file !== await this.fileTag(recoveryFilePath)) {
+            throw new Error(`These shares belong to another recovery file than ${recoveryFilePath}`);
+        }
+        
+        const distinct = [...new Map(shares.map(share => [share.x, share])).values()];
+        if (distinct.length < first.threshold) {
+            throw new Error(`${first.threshold} different shares are needed, got ${distinct.length}`);
+        }
+        
+        const combined = this.combine(distinct.slice(0, first.threshold));
+        const secret = combined.subarray(0, combined.length - DIGEST_LENGTH);
+        const digest = crypto.createHash('sha256').update(secret).digest().subarray(0, DIGEST_LENGTH);
+        if (!digest.equals(combined.subarray(combined.length - DIGEST_LENGTH))) {
+            throw new Error('The shares do not combine into a valid secret; one of them may have been altered');
+        }
+        return { kind: SECRET_KINDS[first.kind], secret };
+    }
+    
+    /**
+     * Each value is either a share or the path of a file holding one, as
+     * written by split-key --output.
+     */
+    static async read(values) {
+        return Promise.all(values.map(async value => value.startsWith(SHARE_PREFIX)
+            ? value
+            : (await fs.readFile(value, 'utf8')).trim()));
+    }
+    
+    static encode({ kind, file, set, threshold, x, data }) {
+        const body = [SHARE_PREFIX, kind, file, set, `t${threshold}`, `x${x}`, data.toString('hex')].join('-');
+        return `${body}-${this.checksum(body)}`;
+    }
+    
+    static decode(share) {
+        const parts = share.trim().split('-');
+        const match = parts.length === 9 && `${parts[0]}-${parts[1]}` === SHARE_PREFIX &&
+            SECRET_KINDS[parts[2]] && /^t\d+$/.test(parts[5]) && /^x\d+$/.test(parts[6]) && /^([0-9a-f]{2})+$/.test(parts[7]);
+        if (!match) {
+            throw new Error(`Not a key share: ${share.substring(0, 40)}...`);
+        }
+        
+        const body = parts.slice(0, 8).join('-');
+        if (this.checksum(body) !== parts[8]) {
+            throw new Error(`Share ${parts[6]} has a typo: its checksum does not match`);
+        }
+        const decoded = {
+            kind: parts[2],
+            file: parts[3],
+            set: parts[4],
+            threshold: parseInt(parts[5].substring(1)),
+            x: parseInt(parts[6].substring(1)),
+            data: Buffer.from(parts[7], 'hex')
+        };
+        // x = 0 would be the secret itself, so no split produces it
+        if (decoded.x < 1 || decoded.x >= gf.GF_SIZE || decoded.threshold < 2) {
+            throw new Error(`Share ${parts[6]} is out of range`);
+        }
+        return decoded;
+    }
+    
+    static checksum(body) {
+        return crypto.createHash('sha256').update(body).digest('hex').substring(0, 8);
+    }
+}
+
+module.exports = KeyShares;
\ No newline at end of file
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { promisify } = require('util');
+const constants = require('../shared/constants');
+
+const scrypt = promisify(crypto.scrypt);
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+// Above this scrypt needs more than 1 GB of memory per unlock attempt
+const MAX_SCRYPT_MEMORY = 1024 * 1024 * 1024;
+
+/**
+ * Envelope encryption of a file's master key. The master key is random;
+ * every way of unlocking the file (a password, a key file, or both) has a
+ * key slot holding the master key wrapped with AES-256-GCM under a key
+ * derived from those factors. Passwords are changed by replacing slots, so
+ * no fragment or segment has to be touched.
+ */
+class KeySlots {
+    /**
+     * Reads the unlock factors given on the command line, or returns null
+     * when there are none. A key file stands in for its SHA-256, so any file
+     * of enough random bytes will do.
+     */
+    static async credentials({ password = null, keyFile = null } = {}) {
+        if (!password && !keyFile) return null;
+        
+        let keyFileDigest = null;
+        if (keyFile) {
+            const contents = await fs.readFile(keyFile);
+            if (contents.length < constants.KEY_SLOTS.MIN_KEY_FILE_SIZE) {
+                throw new Error(`Key file ${keyFile} holds ${contents.length} bytes; use at least ${constants.KEY_SLOTS.MIN_KEY_FILE_SIZE} random bytes (e.g. openssl rand -out my.key 64)`);
+            }
+            keyFileDigest = crypto.createHash('sha256').update(contents).digest();
+        }
+        return { password, keyFileDigest };
+    }
+    
+    static factors(credentials) {
+        const factors = [];
+        if (credentials.password) factors.push('password');
+        if (credentials.keyFileDigest) factors.push('key-file');
+        return factors;
+    }
+    
+    static describeFactors(factors = ['password']) {
+        return factors.map(factor => factor === 'key-file' ? 'key file' : factor).join(' + ');
+    }
+    
+    /**
+     * Parses --kdf: `scrypt` or `pbkdf2`, optionally with parameters such as
+     * `scrypt:N=262144,r=8,p=1` or `pbkdf2:iterations=1000000`.
+     */
+    static parseKdf(spec = constants.KEY_SLOTS.KDF) {
+        const [name, params = ''] = spec.split(':');
+        let kdf;
+        if (name.toLowerCase() === 'scrypt') {
+            kdf = {
+                algorithm: 'scrypt',
+                N: constants.KEY_SLOTS.SCRYPT_N,
+                r: constants.KEY_SLOTS.SCRYPT_R,
+                p: constants.KEY_SLOTS.SCRYPT_P
+            };
+        } else if (name.toLowerCase() === 'pbkdf2') {
+            kdf = { algorithm: 'PBKDF2', hash: 'sha256', iterations: constants.KEY_SLOTS.PBKDF2_ITERATIONS };
+        } else {
+            throw new Error(`Unknown KDF "${name}"; use scrypt or pbkdf2`);
+        }
+        
+        for (const pair of params.split(',').filter(Boolean)) {
+            const [key, value] = pair.split('=');
+            if (!(key in kdf) || key === 'algorithm' || key === 'hash') {
+                throw new Error(`Unknown ${kdf.algorithm} parameter "${key}"`);
+            }
+            kdf[key] = Number(value);
+        }
+        this.checkKdf(kdf, true);
+        return kdf;
+    }
+    
+    /**
+     * Rejects parameters that would exhaust memory or time. Slots read from
+     * a file are held to the upper bounds only, new slots also to a floor.
+     */
+    static checkKdf(kdf, creating = false) {
+        if (kdf.algorithm === 'scrypt') {
+            const { N, r, p } = kdf;
+            const valid = Number.isInteger(N) && N >= (creating ? 16384 : 2) && (N & (N - 1)) === 0 &&
+                Number.isInteger(r) && r >= 1 && r <= 32 &&
+                Number.isInteger(p) && p >= 1 && p <= 16 &&
+                128 * N * r <= MAX_SCRYPT_MEMORY;
+            if (!valid) {
+                throw new Error(creating
+                    ? 'scrypt needs N a power of two of at least 16384, r from 1 to 32, p from 1 to 16, and N × r × 128 bytes within 1 GB'
+                    : 'Key slot derivation parameters are out of range');
+            }
+        } else if (kdf.algorithm === 'PBKDF2') {
+            const { iterations } = kdf;
+            if (!(Number.isInteger(iterations) && iterations >= (creating ? 100000 : 1) && iterations <= 10000000)) {
+                throw new Error(creating
+                    ? 'PBKDF2 needs from 100,000 to 10,000,000 iterations'
+                    : 'Key slot derivation parameters are out of range');
+            }
+        } else {
+            throw new Error(`Unsupported key slot derivation: ${kdf.algorithm}`);
+        }
+    }
+    
+    static describeKdf(kdf) {
+        return kdf.algorithm === 'scrypt'
+            ? `scrypt (N=${kdf.N}, r=${kdf.r}, p=${kdf.p})`
+            : `PBKDF2-${kdf.hash.toUpperCase()} (${kdf.iterations.toLocaleString()} iterations)`;
+    }
+    
+    static async create(masterKey, credentials, kdf = this.parseKdf()) {
+        const slot = {
+            id: crypto.randomBytes(8).toString('hex'),
+            factors: this.factors(credentials),
+            kdf: { ...kdf, salt: crypto.randomBytes(32).toString('base64') },
+            iv: crypto.randomBytes(12).toString('base64'),
+            tag: null,
+            wrappedKey: null
+        };
+        
+        const wrappingKey = await this.deriveWrappingKey(credentials, slot.kdf);
+        const cipher = crypto.createCipheriv('aes-256-gcm', wrappingKey, Buffer.from(slot.iv, 'base64'));
+        cipher.setAAD(this.slotAad(slot));
+        slot.wrappedKey = Buffer.concat([cipher.update(masterKey), cipher.final()]).toString('base64');
+        slot.tag = cipher.getAuthTag().toString('base64');
+        return slot;
+    }
+    
+    /**
+     * Finds the slot the credentials open. Only slots needing exactly the
+     * given factors are tried. Resolves to { masterKey, slot }, or null when
+     * the credentials open none of them.
+     */
+    static async unlock(slots, credentials) {
+        const factors = this.factors(credentials).join('+');
+        
+        for (const slot of slots) {
+            // Slots from before key files always took a password alone
+            if ((slot.factors || ['password']).join('+') !== factors) continue;
+            
+            const wrappingKey = await this.deriveWrappingKey(credentials, slot.kdf);
+            try {
+                const decipher = crypto.createDecipheriv('aes-256-gcm', wrappingKey, Buffer.from(slot.iv, 'base64'));
+                decipher.setAAD(this.slotAad(slot));
+                decipher.setAuthTag(Buffer.from(slot.tag, 'base64'));
+                const masterKey = Buffer.concat([decipher.update(Buffer.from(slot.wrappedKey, 'base64')), decipher.final()]);
+                return { masterKey, slot };
+            } catch (error) {
+                // Wrong credentials for this slot; try the next
+            }
+        }
+        return null;
+    }
+    
+    static async deriveWrappingKey(credentials, kdf) {
+        this.checkKdf(kdf);
+        
+        // The factors a slot needs are bound into its tag, so plain concatenation is unambiguous
+        const material = Buffer.concat([
+            Buffer.from(credentials.password || '', 'utf8'),
+            credentials.keyFileDigest || Buffer.alloc(0)
+        ]);
+        const salt = Buffer.from(kdf.salt, 'base64');
+        
+        if (kdf.algorithm === 'scrypt') {
+            return scrypt(material, salt, 32, {
+                N: kdf.N,
+                r: kdf.r,
+                p: kdf.p,
+                maxmem: 128 * kdf.N * kdf.r + 1024 * 1024
+            });
+        }
+        return pbkdf2(material, salt, kdf.iterations, 32, kdf.hash);
+    }
+    
+    // Binds the slot's ID, factors and KDF parameters into the tag, so they cannot be swapped or weakened
+    static slotAad(slot) {
+        const { kdf } = slot;
+        if (!slot.factors) {
+            return Buffer.from(JSON.stringify(['mysterium/key-slot/v1', slot.id, kdf.algorithm, kdf.hash, kdf.iterations, kdf.salt]), 'utf8');
+        }
+        return Buffer.from(JSON.stringify(['mysterium/key-slot/v2', slot.id, slot.factors, kdf]), 'utf8');
+    }
+}
+
+module.exports = KeySlots;
\ No newline at end of file
@@ -0,0 +1,119 @@
+const chalk = require('chalk');
+const ora = require('ora');
+const fs = require('fs').promises;
+const path = require('path');
+const RecoveryFile = require('./recovery');
+const Rekeyer = require('./rekey');
+const KeySlots = require('./key-slots');
+const KeyShares = require('./key-shares');
+const config = require('../config');
+
+class KeySplitter {
+    constructor(directoryServer = config.directoryServer.url) {
+        // Unlocking a key and adding a slot work exactly as they do for rekey
+        this.rekeyer = new Rekeyer(directoryServer);
+    }
+    
+    /**
+     * Splits the master key, or the passphrase of a sealed recovery file,
+     * into shares of which any `threshold` rebuild it. The recovery file
+     * itself is not changed.
+     */
+    async splitKey(recoveryFilePath, options = {}) {
+        const { shares, threshold, secret = 'master-key', masterPassword = null, keyFile = null, recoveryPassphrase = null, outputDir = null } = options;
+        if (!['master-key', 'recovery-passphrase'].includes(secret)) {
+            throw new Error(`Unknown secret "${secret}" (expected master-key or recovery-passphrase)`);
+        }
+        // Rejects bad counts before any key is derived
+        KeyShares.split(Buffer.alloc(1), { shares, threshold });
+        
+        console.log(chalk.cyan.bold('\nSplitting Key'));
+        console.log(chalk.gray(`Recovery file: ${recoveryFilePath}`));
+        console.log(chalk.gray(`Secret: ${secret}, ${shares} shares, any ${threshold} rebuild it`));
+        
+        try {
+            const spinner = ora('Reading recovery file...').start();
+            const sealed = RecoveryFile.isSealed(await RecoveryFile.readEnvelope(recoveryFilePath));
+            const recoveryData = await RecoveryFile.load(recoveryFilePath, { passphrase: recoveryPassphrase });
+            spinner.succeed('Recovery file loaded');
+            
+            let printed;
+            if (secret === 'recovery-passphrase') {
+                if (!sealed) {
+                    throw new Error('This recovery file is not sealed, so it has no passphrase to split');
+                }
+                printed = await KeyShares.create(recoveryFilePath, Buffer.from(recoveryPassphrase, 'utf8'), 'seal', { shares, threshold });
+            } else {
+                const current = await KeySlots.credentials({ password: masterPassword, keyFile });
+                const { masterKey } = await this.rekeyer.unlockMasterKey(recoveryData, current);
+                printed = await KeyShares.create(recoveryFilePath, masterKey, 'key', { shares, threshold });
+            }
+            
+            console.log(chalk.green.bold(`\n${shares} Key Shares`));
+            console.log(chalk.gray('----------------------------------------'));
+            printed.forEach((share, i) => console.log(`${chalk.white(`Share ${i + 1}:`)} ${share}`));
+            console.log(chalk.gray('----------------------------------------'));
+            
+            if (outputDir) {
+                await fs.mkdir(outputDir, { recursive: true });
+                for (let i = 0; i < printed.length; i++) {
+                    const sharePath = path.join(outputDir, `${path.basename(recoveryFilePath)}.share-${i + 1}.txt`);
+                    await fs.writeFile(sharePath, `${printed[i]}\n`, { mode: 0o600, flag: 'wx' });
+                }
+                console.log(chalk.gray(`Shares written to ${outputDir}`));
+            }
+            
+            console.log(chalk.yellow(`Give each share to a different trustee; any ${threshold} of them rebuild the ${secret.replace('-', ' ')}.`));
+            if (secret === 'master-key' && !recoveryData.security.masterEncryption.passwordProtected) {
+                console.log(chalk.yellow('This recovery file holds the master key in the clear, so it opens without any share.'));
+                console.log(chalk.yellow(`Protect it first: node client/client.js rekey ${recoveryFilePath} --new-password <password>`));
+            }
+            if (secret === 'recovery-passphrase') {
+                console.log(chalk.gray('Shares rebuild the passphrase only; a password-protected file still needs its password.'));
+            }
+            
+            return { shares: printed };
+        
+        } catch (error) {
+            console.error(chalk.red.bold('\nKey Split Failed:'), error.message);
+            throw error;
+        }
+    }
+    
+    /**
+     * Rebuilds a split secret from shares. A master key gets a new key slot
+     * for the given password or key file; a recovery passphrase is printed.
+     */
+    async combineKey(recoveryFilePath, shareValues, options = {}) {
+        const { newPassword = null, newKeyFile = null, kdf = null, recoveryPassphrase = null } = options;
+        
+        const spinner = ora('Combining key shares...').start();
+        let recovered;
+        try {
+            recovered = await KeyShares.recover(recoveryFilePath, await KeyShares.read(shareValues));
+        } catch (error) {
+            spinner.fail('Could not combine the shares');
+            throw error;
+        }
+        spinner.succeed(`Rebuilt the ${recovered.kind.replace('-', ' ')} from ${shareValues.length} shares`);
+        
+        if (recovered.kind === 'recovery-passphrase') {
+            console.log(chalk.white('\nRecovery passphrase:'), recovered.secret.toString('utf8'));
+            return { kind: recovered.kind };
+        }
+        
+        if (!newPassword && !newKeyFile) {
+            throw new Error('Give --new-password and/or --new-key-file: the rebuilt key is stored only as a new key slot');
+        }
+        await this.rekeyer.rekeyFile(recoveryFilePath, {
+            masterKey: recovered.secret,
+            addPassword: newPassword,
+            addKeyFile: newKeyFile,
+            kdf,
+            recoveryPassphrase
+        });
+        return { kind: recovered.kind };
+    }
+}
+
+module.exports = KeySplitter;
\ No newline at end of file
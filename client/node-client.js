@@ -0,0 +1,215 @@
+const axios = require('axios');
+const { NetworkUtils, CryptoUtils } = require('./utils');
+const Signing = require('../shared/signing');
+const constants = require('../shared/constants');
+
+const REQUEST_TIMEOUT = 30000;
+
+/**
+ * Talks to a single storage node. Prefers the binary transport
+ * (PUT/GET /fragments/:id with application/octet-stream bodies) when the
+ * node advertises it and falls back to the original base64 JSON routes
+ * (/store and /retrieve) for older nodes.
+ *
+ * Given the node's identity (its ID and the public key the directory has
+ * bound to it), store receipts and retrieved fragments must carry that
+ * key's signature, so a different process answering at the node's old
+ * address is caught.
+ */
+class NodeClient {
+    static capabilityCache = new Map();
+    
+    constructor(address, port, capabilities = null, identity = null) {
+        this.address = address;
+        this.port = port;
+        this.baseUrl = NetworkUtils.formatNodeUrl(address, port);
+        this.identity = identity;
+        
+        if (Array.isArray(capabilities)) {
+            NodeClient.capabilityCache.set(this.baseUrl, capabilities);
+        }
+    }
+    
+    static fromAddress(nodeAddress, identity = null) {
+        const separator = nodeAddress.lastIndexOf(':');
+        return new NodeClient(nodeAddress.substring(0, separator), nodeAddress.substring(separator + 1), null, identity);
+    }
+    
+    /**
+     * Checks a signed statement against the expected identity. Nodes the
+     * directory has no key for (older nodes) are not checked.
+     */
+    verifyStatement(statement, signature) {
+        if (!this.identity || !this.identity.publicKey) return;
+        
+        if (statement.nodeId !== this.identity.id || !Signing.verify(statement, signature, this.identity.publicKey)) {
+            const error = new Error(`Node identity check failed: ${this.address}:${this.port} did not answer as node ${this.identity.id.substring(0, 8)}...`);
+            error.code = 'NODE_IDENTITY_MISMATCH';
+            throw error;
+        }
+    }
+    
+    verifyReceipt(response, { fragmentId, checksum, size }) {
+        const receipt = response.receipt || {};
+        this.verifyStatement({ type: 'store-receipt', ...receipt }, response.signature);
+        
+        if (this.identity && this.identity.publicKey &&
+            (receipt.fragmentId !== fragmentId || receipt.checksum !== checksum || receipt.size !== size)) {
+            throw new Error('Store receipt does not match the uploaded fragment');
+        }
+        return response;
+    }
+    
+    async getCapabilities({ signal } = {}) {
+        if (NodeClient.capabilityCache.has(this.baseUrl)) {
+            return NodeClient.capabilityCache.get(this.baseUrl);
+        }
+        
+        // Failures propagate (and are not cached) so an unreachable node is reported as such
+        const response = await axios.get(`${this.baseUrl}/ping`, { timeout: 5000, signal });
+        const capabilities = response.data.capabilities || [];
+        
+        NodeClient.capabilityCache.set(this.baseUrl, capabilities);
+        return capabilities;
+    }
+    
+    async supportsBinaryTransport(options) {
+        const capabilities = await this.getCapabilities(options);
+        return capabilities.includes(constants.CAPABILITIES.BINARY_TRANSPORT);
+    }
+    
+    async storeFragment(fragmentId, data, { checksum, metadata, deletionHash, expiresAt = null }) {
+        if (await this.supportsBinaryTransport()) {
+            const headers = {
+                'Content-Type': 'application/octet-stream',
+                'X-Fragment-Checksum': checksum,
+                'X-Fragment-Metadata': Buffer.from(JSON.stringify(metadata || {})).toString('base64')
+            };
+            if (deletionHash) {
+                headers['X-Deletion-Hash'] = deletionHash;
+            }
+            if (expiresAt) {
+                headers['X-Fragment-Expires'] = String(expiresAt);
+            }
+            
+            const response = await axios.put(`${this.baseUrl}/fragments/${fragmentId}`, data, {
+                headers,
+                timeout: REQUEST_TIMEOUT,
+                maxContentLength: Infinity,
+                maxBodyLength: Infinity
+            });
+            return this.verifyReceipt(response.data, { fragmentId, checksum, size: data.length });
+        }
+        
+        const response = await axios.post(`${this.baseUrl}/store`, {
+            fragmentId,
+            data: data.toString('base64'),
+            checksum,
+            metadata,
+            deletionHash,
+            expiresAt
+        }, {
+            timeout: REQUEST_TIMEOUT,
+            maxContentLength: Infinity,
+            maxBodyLength: Infinity
+        });
+        return this.verifyReceipt(response.data, { fragmentId, checksum, size: data.length });
+    }
+    
+    /**
+     * `signal` (an AbortSignal) cancels the request, e.g. once another
+     * replica of the same partition has arrived.
+     */
+    async retrieveFragment(fragmentId, { signal } = {}) {
+        if (await this.supportsBinaryTransport({ signal })) {
+            const response = await axios.get(`${this.baseUrl}/fragments/${fragmentId}`, {
+                responseType: 'arraybuffer',
+                timeout: REQUEST_TIMEOUT,
+                maxContentLength: Infinity,
+                signal
+            });
+            const data = Buffer.from(response.data);
+            this.verifyStatement({
+                type: 'retrieve',
+                nodeId: response.headers['x-node-id'],
+                fragmentId,
+                checksum: CryptoUtils.calculateChecksum(data)
+            }, response.headers['x-node-signature']);
+            return data;
+        }
+        
+        const response = await axios.get(`${this.baseUrl}/retrieve/${fragmentId}`, {
+            timeout: REQUEST_TIMEOUT,
+            maxContentLength: Infinity,
+            signal
+        });
+        if (!response.data.success) {
+            throw new Error(response.data.message || 'Fragment retrieval failed');
+        }
+        const data = Buffer.from(response.data.data, 'base64');
+        this.verifyStatement({
+            type: 'retrieve',
+            nodeId: response.data.nodeId,
+            fragmentId,
+            checksum: CryptoUtils.calculateChecksum(data)
+        }, response.data.signature);
+        return data;
+    }
+    
+    async hasFragment(fragmentId) {
+        try {
+            if (await this.supportsBinaryTransport()) {
+                await axios.head(`${this.baseUrl}/fragments/${fragmentId}`, { timeout: REQUEST_TIMEOUT });
+            } else {
+                // Older nodes have no HEAD route, so the only way to tell is to fetch the fragment
+                await this.retrieveFragment(fragmentId);
+            }
+            return true;
+        } catch (error) {
+            if (error.response && error.response.status === 404) {
+                return false;
+            }
+            throw error;
+        }
+    }
+    
+    async deleteFragment(fragmentId, deletionSecret) {
+        const capabilities = await this.getCapabilities();
+        if (!capabilities.includes(constants.CAPABILITIES.FRAGMENT_DELETION)) {
+            throw new Error('Node does not support fragment deletion');
+        }
+        
+        const response = await axios.delete(`${this.baseUrl}/fragments/${fragmentId}`, {
+            headers: { 'X-Deletion-Secret': deletionSecret },
+            timeout: REQUEST_TIMEOUT
+        });
+        return response.data;
+    }
+    
+    async renewLease(fragmentId, deletionSecret, expiresAt) {
+        const capabilities = await this.getCapabilities();
+        if (!capabilities.includes(constants.CAPABILITIES.FRAGMENT_LEASE)) {
+            throw new Error('Node does not support fragment leases');
+        }
+        
+        const response = await axios.post(`${this.baseUrl}/fragments/${fragmentId}/lease`, { expiresAt }, {
+            headers: { 'X-Deletion-Secret': deletionSecret },
+            timeout: REQUEST_TIMEOUT
+        });
+        return response.data;
+    }
+    
+    async challengeFragment(fragmentId, { nonce, offset, length }) {
+        const capabilities = await this.getCapabilities();
+        if (!capabilities.includes(constants.CAPABILITIES.STORAGE_CHALLENGE)) {
+            throw new Error('Node does not support storage challenges');
+        }
+        
+        const response = await axios.post(`${this.baseUrl}/fragments/${fragmentId}/challenge`, {
+            nonce, offset, length
+        }, { timeout: REQUEST_TIMEOUT });
+        return response.data.hmac;
+    }
+}
+
+module.exports = NodeClient;
@@ -0,0 +1,82 @@
+const chalk = require('chalk');
+const constants = require('../shared/constants');
+
+/**
+ * The storage nodes one upload hands fragments to. Candidates are offered
+ * in rotation, starting after the node last used; a node that fails
+ * `blacklistThreshold` times in a row is dropped for the rest of the
+ * upload. When every node has been dropped or already tried, `replenish`
+ * asks the directory for nodes not seen yet.
+ */
+class NodePool {
+    constructor(nodes, { fetchMore = null, blacklistThreshold = constants.NETWORK.BLACKLIST_THRESHOLD } = {}) {
+        this.nodes = nodes.slice();
+        this.fetchMore = fetchMore;
+        this.blacklistThreshold = blacklistThreshold;
+        this.failures = new Map();
+        this.blacklist = new Set();
+        this.cursor = 0;
+        this.refill = null;
+    }
+    
+    candidates(exclude = new Set()) {
+        const ordered = [];
+        for (let i = 0; i < this.nodes.length; i++) {
+            const node = this.nodes[(this.cursor + i) % this.nodes.length];
+            if (!this.blacklist.has(node.id) && !exclude.has(node.id)) {
+                ordered.push(node);
+            }
+        }
+        return ordered;
+    }
+    
+    markUsed(node) {
+        const index = this.nodes.indexOf(node);
+        if (index !== -1) {
+            this.cursor = (index + 1) % this.nodes.length;
+        }
+    }
+    
+    reportSuccess(node) {
+        this.failures.delete(node.id);
+    }
+    
+    reportFailure(node) {
+        const failures = (this.failures.get(node.id) || 0) + 1;
+        this.failures.set(node.id, failures);
+        
+        if (failures >= this.blacklistThreshold && !this.blacklist.has(node.id)) {
+            this.blacklist.add(node.id);
+            console.log(chalk.red(`  Node ${node.address}:${node.port} failed ${failures} times in a row; not using it for the rest of this upload`));
+            return true;
+        }
+        return false;
+    }
+    
+    /**
+     * Adds nodes the pool has not seen. Concurrent callers share one
+     * directory request. Resolves to the number of nodes added.
+     */
+    async replenish() {
+        if (!this.fetchMore) return 0;
+        
+        if (!this.refill) {
+            const known = new Set(this.nodes.map(node => node.id));
+            this.refill = this.fetchMore(known)
+                .then(nodes => {
+                    const fresh = nodes.filter(node => !known.has(node.id));
+                    this.nodes.push(...fresh);
+                    if (fresh.length > 0) {
+                        console.log(chalk.cyan(`  Added ${fresh.length} more storage node(s) from the directory`));
+                    }
+                    return fresh.length;
+                })
+                .finally(() => {
+                    this.refill = null;
+                });
+        }
+        return this.refill;
+    }
+}
+
+module.exports = NodePool;
\ No newline at end of file
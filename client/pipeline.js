@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const { Transform, Writable, Readable } = require('stream');
+
+/**
+ * Cuts a byte stream into fixed-size segments ({ index, offset, data }),
+ * hashing the whole input on the way through. Only the final segment may
+ * be shorter than segmentSize; an empty input still yields one segment.
+ */
+class SegmentChunker extends Transform {
+    constructor(segmentSize) {
+        super({ readableObjectMode: true, readableHighWaterMark: 1 });
+        this.segmentSize = segmentSize;
+        this.chunks = [];
+        this.bufferedLength = 0;
+        this.index = 0;
+        this.totalLength = 0;
+        this.hash = crypto.createHash('sha256');
+    }
+    
+    _transform(chunk, encoding, callback) {
+        this.hash.update(chunk);
+        this.chunks.push(chunk);
+        this.bufferedLength += chunk.length;
+        
+        while (this.bufferedLength >= this.segmentSize) {
+            const buffered = Buffer.concat(this.chunks, this.bufferedLength);
+            this.emitSegment(buffered.subarray(0, this.segmentSize));
+            const rest = buffered.subarray(this.segmentSize);
+            this.chunks = rest.length > 0 ? [rest] : [];
+            this.bufferedLength = rest.length;
+        }
+        
+        callback();
+    }
+    
+    _flush(callback) {
+        if (this.bufferedLength > 0 || this.index === 0) {
+            this.emitSegment(Buffer.concat(this.chunks, this.bufferedLength));
+        }
+        this.chunks = [];
+        this.bufferedLength = 0;
+        callback();
+    }
+    
+    emitSegment(data) {
+        // Copy so the segment does not pin the (possibly larger) concatenated buffer
+        const segment = { index: this.index, offset: this.totalLength, data: Buffer.from(data) };
+        this.index++;
+        this.totalLength += data.length;
+        this.push(segment);
+    }
+    
+    digest() {
+        return this.hash.digest('hex');
+    }
+}
+
+/**
+ * Object-mode sink that runs an async worker for each item with at most
+ * `concurrency` items in flight. Back-pressure stops the upstream source
+ * while the pool is full, so memory stays bounded by the pool size.
+ */
+class ConcurrentWriter extends Writable {
+    constructor(worker, concurrency = 1) {
+        super({ objectMode: true, highWaterMark: 1 });
+        this.worker = worker;
+        this.concurrency = Math.max(1, concurrency);
+        this.active = new Set();
+        this.failure = null;
+    }
+    
+    _write(item, encoding, callback) {
+        if (this.failure) {
+            return callback(this.failure);
+        }
+        
+        const task = Promise.resolve()
+            .then(() => this.worker(item))
+            .catch(error => {
+                this.failure = this.failure || error;
+            })
+            .finally(() => this.active.delete(task));
+        this.active.add(task);
+        
+        if (this.active.size < this.concurrency) {
+            return callback();
+        }
+        Promise.race(this.active).then(() => callback(this.failure));
+    }
+    
+    _final(callback) {
+        Promise.all(this.active).then(() => callback(this.failure));
+    }
+}
+
+/**
+ * Runs an async worker over every item with at most `concurrency` in
+ * flight. After the first failure no new items are started; the ones
+ * already running are awaited and the failure is rethrown.
+ */
+async function runConcurrently(items, concurrency, worker) {
+    let next = 0;
+    let failure = null;
+    
+    const lanes = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, async () => {
+        while (!failure && next < items.length) {
+            const index = next++;
+            try {
+                await worker(items[index], index);
+            } catch (error) {
+                failure = failure || error;
+            }
+        }
+    });
+    
+    await Promise.all(lanes);
+    if (failure) throw failure;
+}
+
+/**
+ * Emits `count` buffers produced by an async loader, strictly in index
+ * order, while loading up to `concurrency` of them ahead.
+ */
+class OrderedSegmentReader extends Readable {
+    constructor(count, loader, concurrency = 1) {
+        super();
+        this.count = count;
+        this.loader = loader;
+        this.concurrency = Math.max(1, concurrency);
+        this.pending = new Map();
+        this.nextToStart = 0;
+        this.nextToEmit = 0;
+        this.waiting = false;
+    }
+    
+    _read() {
+        this.pump();
+    }
+    
+    pump() {
+        while (this.nextToStart < this.count && this.pending.size < this.concurrency) {
+            const index = this.nextToStart++;
+            const promise = Promise.resolve().then(() => this.loader(index));
+            promise.catch(() => {});
+            this.pending.set(index, promise);
+        }
+        
+        if (this.waiting) return;
+        
+        if (this.nextToEmit >= this.count) {
+            this.push(null);
+            return;
+        }
+        
+        const index = this.nextToEmit;
+        this.waiting = true;
+        this.pending.get(index).then(buffer => {
+            this.pending.delete(index);
+            this.nextToEmit++;
+            this.waiting = false;
+            if (this.push(buffer)) {
+                this.pump();
+            }
+        }, error => {
+            this.destroy(error);
+        });
+    }
+}
+
+/**
+ * Pass-through that hashes everything flowing through it.
+ */
+class HashingPassThrough extends Transform {
+    constructor(algorithm = 'sha256') {
+        super();
+        this.hash = crypto.createHash(algorithm);
+        this.totalLength = 0;
+    }
+    
+    _transform(chunk, encoding, callback) {
+        this.hash.update(chunk);
+        this.totalLength += chunk.length;
+        callback(null, chunk);
+    }
+    
+    digest() {
+        return this.hash.digest('hex');
+    }
+}
+
+module.exports = {
+    SegmentChunker,
+    ConcurrentWriter,
+    runConcurrently,
+    OrderedSegmentReader,
+    HashingPassThrough
+};
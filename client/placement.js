@@ -0,0 +1,221 @@
+const net = require('net');
+
+const FAILURE_DOMAINS = ['node', 'subnet', 'country'];
+const REGION_CODE_PATTERN = /^[A-Z]{2}$/;
+
+// Load on the node first, then on its subnet, then on its country
+function compareScores(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return 0;
+}
+
+/**
+ * Where the copies of a partition may go. Copies of one partition always
+ * sit in different failure domains: different nodes, or with a wider
+ * domain different subnets (/24 for IPv4, /48 for IPv6) or countries.
+ *
+ * A policy may also restrict the countries fragments are stored in. A node
+ * whose country the directory could not determine is never inside an
+ * allow list, but is not caught by a deny list either.
+ */
+class PlacementPolicy {
+    constructor(failureDomain = 'node', { allowRegions = null, denyRegions = null } = {}) {
+        if (!FAILURE_DOMAINS.includes(failureDomain)) {
+            throw new Error(`Unknown failure domain "${failureDomain}" (expected one of: ${FAILURE_DOMAINS.join(', ')})`);
+        }
+        this.failureDomain = failureDomain;
+        this.allowRegions = PlacementPolicy.parseRegions(allowRegions);
+        this.denyRegions = PlacementPolicy.parseRegions(denyRegions);
+    }
+    
+    static fromRecovery(recoveryData) {
+        const placement = recoveryData.placement || {};
+        return new PlacementPolicy(placement.failureDomain || 'node', {
+            allowRegions: placement.allowRegions,
+            denyRegions: placement.denyRegions
+        });
+    }
+    
+    /**
+     * Accepts "DE,FR" or ["de", "fr"]; returns upper-case ISO 3166 codes,
+     * or null for no restriction.
+     */
+    static parseRegions(regions) {
+        if (!regions) return null;
+        
+        const codes = (Array.isArray(regions) ? regions : String(regions).split(','))
+            .map(code => code.trim().toUpperCase())
+            .filter(Boolean);
+        for (const code of codes) {
+            if (!REGION_CODE_PATTERN.test(code)) {
+                throw new Error(`Invalid region "${code}": use two-letter country codes such as DE or FR`);
+            }
+        }
+        return codes.length > 0 ? Array.from(new Set(codes)) : null;
+    }
+    
+    static subnetOf(address) {
+        const host = address.startsWith('::ffff:') ? address.substring(7) : address;
+        
+        if (net.isIPv4(host)) {
+            return `${host.split('.').slice(0, 3).join('.')}.0/24`;
+        }
+        if (net.isIPv6(host)) {
+            // Expand "::" so the first three groups are the real /48 prefix
+            const [head, tail = ''] = host.split('::');
+            const headGroups = head ? head.split(':') : [];
+            const tailGroups = tail ? tail.split(':') : [];
+            const groups = host.includes('::')
+                ? [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+                : headGroups;
+            return `${groups.slice(0, 3).map(group => parseInt(group, 16).toString(16)).join(':')}::/48`;
+        }
+        // A hostname is its own subnet: nothing more can be told without resolving it
+        return host;
+    }
+    
+    static domainsOf(node) {
+        return {
+            node: node.id,
+            subnet: this.subnetOf(node.address),
+            country: node.country || 'Unknown'
+        };
+    }
+    
+    /**
+     * The node a recovery file fragment sits on, in the shape placement
+     * works with. Older fragment entries carry no country.
+     */
+    static fragmentNode(fragment) {
+        const separator = fragment.nodeAddress.lastIndexOf(':');
+        return {
+            id: fragment.nodeId || fragment.nodeAddress,
+            address: fragment.nodeAddress.substring(0, separator),
+            country: fragment.country
+        };
+    }
+    
+    get restrictsRegions() {
+        return Boolean(this.allowRegions || this.denyRegions);
+    }
+    
+    allows(node) {
+        const country = node.country || 'Unknown';
+        if (this.allowRegions && !this.allowRegions.includes(country)) return false;
+        if (this.denyRegions && this.denyRegions.includes(country)) return false;
+        return true;
+    }
+    
+    describeRegions() {
+        const rules = [];
+        if (this.allowRegions) rules.push(`only ${this.allowRegions.join(', ')}`);
+        if (this.denyRegions) rules.push(`not ${this.denyRegions.join(', ')}`);
+        return rules.length > 0 ? rules.join('; ') : 'any';
+    }
+    
+    get domainLabel() {
+        return this.failureDomain === 'country' ? 'countries' : `${this.failureDomain}s`;
+    }
+    
+    domainOf(node) {
+        return PlacementPolicy.domainsOf(node)[this.failureDomain];
+    }
+    
+    /**
+     * Fails up front when the nodes cannot give every partition `copies`
+     * distinct failure domains.
+     */
+    check(nodes, copies) {
+        const domains = new Set(nodes.map(node => this.domainOf(node)));
+        if (domains.size < copies) {
+            const error = new Error(`Placement needs ${copies} distinct ${this.domainLabel} for ${copies} copies of each partition, but the available nodes span only ${domains.size}`);
+            error.code = 'PLACEMENT_UNSATISFIABLE';
+            throw error;
+        }
+    }
+    
+    forSegment() {
+        return new SegmentPlacement(this);
+    }
+    
+    describe() {
+        const description = { failureDomain: this.failureDomain, distinctNodesPerPartition: true };
+        if (this.allowRegions) description.allowRegions = this.allowRegions;
+        if (this.denyRegions) description.denyRegions = this.denyRegions;
+        return description;
+    }
+}
+
+/**
+ * Placement state for one segment: which nodes hold (or are about to
+ * receive) each partition, and how many of the segment's fragments sit in
+ * each node, subnet and country. Among the nodes a partition may still
+ * use, the least loaded come first, so RS shards spread out as well.
+ */
+class SegmentPlacement {
+    constructor(policy) {
+        this.policy = policy;
+        this.holders = new Map();
+        this.load = new Map();
+    }
+    
+    add(partitionIndex, node) {
+        if (!this.holders.has(partitionIndex)) {
+            this.holders.set(partitionIndex, new Map());
+        }
+        this.holders.get(partitionIndex).set(node.id, node);
+        this.adjustLoad(node, 1);
+    }
+    
+    remove(partitionIndex, node) {
+        const holders = this.holders.get(partitionIndex);
+        if (holders && holders.delete(node.id)) {
+            this.adjustLoad(node, -1);
+        }
+    }
+    
+    /**
+     * Picks the node for the next copy of a partition from `candidates`
+     * (in preference order) and reserves it. Returns null when every
+     * candidate shares a failure domain with an existing copy.
+     */
+    choose(partitionIndex, candidates) {
+        const holders = this.holders.get(partitionIndex) || new Map();
+        const taken = new Set(Array.from(holders.values()).map(node => this.policy.domainOf(node)));
+        
+        let best = null;
+        let bestScore = null;
+        for (const node of candidates) {
+            if (holders.has(node.id) || taken.has(this.policy.domainOf(node))) continue;
+            
+            const score = this.scoreOf(node);
+            // Strictly lower only, so ties keep the candidates' own order
+            if (!best || compareScores(score, bestScore) < 0) {
+                best = node;
+                bestScore = score;
+            }
+        }
+        
+        if (best) {
+            this.add(partitionIndex, best);
+        }
+        return best;
+    }
+    
+    scoreOf(node) {
+        const domains = PlacementPolicy.domainsOf(node);
+        return FAILURE_DOMAINS.map(level => this.load.get(`${level}:${domains[level]}`) || 0);
+    }
+    
+    adjustLoad(node, delta) {
+        const domains = PlacementPolicy.domainsOf(node);
+        for (const level of FAILURE_DOMAINS) {
+            const key = `${level}:${domains[level]}`;
+            this.load.set(key, (this.load.get(key) || 0) + delta);
+        }
+    }
+}
+
+module.exports = PlacementPolicy;
\ No newline at end of file
@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const constants = require('../shared/constants');
+
+/**
+ * Padmé: rounds a length up so that only the top bits of its exponent's
+ * size remain, which leaks O(log log n) bits about the length at a cost
+ * of at most ~12% padding.
+ */
+function padme(length) {
+    if (length < 2) return length;
+    const exponent = Math.floor(Math.log2(length));
+    const exponentBits = Math.floor(Math.log2(exponent)) + 1;
+    // Arithmetic instead of bit masks, which stop working past 2^31
+    const step = 2 ** (exponent - exponentBits);
+    return Math.ceil(length / step) * step;
+}
+
+/**
+ * What nodes and the directory may learn about an upload. In privacy mode
+ * every segment is padded before master encryption, either to a Padmé
+ * bucket or, with a fixed fragment size, to exactly what fills every
+ * fragment. Fragments carry only an opaque tag shared by the copies of
+ * one partition, instead of the file ID and shard indices.
+ */
+class PrivacyPolicy {
+    constructor({ fragmentSize = null, tagKey = null } = {}) {
+        if (fragmentSize !== null && !(Number.isSafeInteger(fragmentSize) && fragmentSize >= constants.PRIVACY.MIN_FRAGMENT_SIZE)) {
+            throw new Error(`The fixed fragment size must be at least ${constants.PRIVACY.MIN_FRAGMENT_SIZE / 1024} KB`);
+        }
+        this.fragmentSize = fragmentSize;
+        this.tagKey = tagKey ? Buffer.from(tagKey, 'base64') : crypto.randomBytes(32);
+    }
+    
+    static fromRecovery(recoveryData) {
+        return recoveryData.privacy ? new PrivacyPolicy(recoveryData.privacy) : null;
+    }
+    
+    /**
+     * Bytes of master ciphertext a segment is padded to when every fragment
+     * has the fixed size: the shards' share of each fragment, times the
+     * data shards. Derived fragment keys keep an IV and tag in the fragment.
+     */
+    segmentCapacity(dataShards, keyHierarchy) {
+        if (!this.fragmentSize) return null;
+        
+        const overhead = keyHierarchy ? constants.ENCRYPTION.IV_LENGTH + constants.ENCRYPTION.TAG_LENGTH : 0;
+        return (this.fragmentSize - overhead) * dataShards;
+    }
+    
+    paddedLength(length, capacity = null) {
+        if (capacity) return capacity;
+        return Math.max(constants.PRIVACY.MIN_PADDED_LENGTH, padme(length));
+    }
+    
+    pad(data, capacity = null) {
+        const length = this.paddedLength(data.length, capacity);
+        if (data.length > length) {
+            throw new Error(`Segment of ${data.length} bytes does not fit the ${length} bytes a fixed-size segment holds`);
+        }
+        // Padding sits under master encryption, so zeros look like anything else
+        return Buffer.concat([data, Buffer.alloc(length - data.length)]);
+    }
+    
+    tag(segmentIndex, partitionIndex) {
+        return crypto.createHmac('sha256', this.tagKey)
+            .update(`mysterium/partition-tag/${segmentIndex}/${partitionIndex}`)
+            .digest('hex')
+            .substring(0, 32);
+    }
+    
+    describe() {
+        return {
+            padding: this.fragmentSize ? 'fixed' : 'padme',
+            fragmentSize: this.fragmentSize,
+            tagKey: this.tagKey.toString('base64')
+        };
+    }
+}
+
+module.exports = PrivacyPolicy;
\ No newline at end of file
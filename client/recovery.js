@@ -0,0 +1,189 @@
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { promisify } = require('util');
+const constants = require('../shared/constants');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SEALED_FORMAT = 'mysterium-sealed-recovery';
+
+// Passphrases of files opened by load(), so save() can seal them again
+const sealPassphrases = new WeakMap();
+
+/**
+ * Helpers for reading .myst recovery files across format versions.
+ *
+ * Version 4.0 files describe the upload as a list of segments, each with
+ * its own master-encryption IV/tag and partitions. Older files hold a
+ * single top-level partition list, which is presented here as one segment
+ * so callers only deal with one shape.
+ *
+ * A recovery file may also be sealed: the whole document encrypted under
+ * a scrypt-derived passphrase key, with a few non-secret fields left
+ * readable in the envelope.
+ */
+class RecoveryFile {
+    static async load(recoveryFilePath, { passphrase = null } = {}) {
+        const document = JSON.parse(await fs.readFile(recoveryFilePath, 'utf8'));
+        if (!this.isSealed(document)) {
+            return document;
+        }
+        
+        if (!passphrase) {
+            const error = new Error('This recovery file is sealed. Use --recovery-passphrase or set RECOVERY_PASSPHRASE.');
+            error.code = 'RECOVERY_SEALED';
+            throw error;
+        }
+        
+        const recoveryData = await this.unseal(document, passphrase);
+        sealPassphrases.set(recoveryData, passphrase);
+        return recoveryData;
+    }
+    
+    static async save(recoveryFilePath, recoveryData, { passphrase = null } = {}) {
+        const sealWith = passphrase || sealPassphrases.get(recoveryData);
+        const document = sealWith ? await this.seal(recoveryData, sealWith) : recoveryData;
+        
+        // Write beside the target and rename, so an interrupted save never truncates the only copy of the keys
+        const tempPath = `${recoveryFilePath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(document, null, 2), 'utf8');
+        await fs.rename(tempPath, recoveryFilePath);
+        
+        if (sealWith) {
+            sealPassphrases.set(recoveryData, sealWith);
+        }
+    }
+    
+    /**
+     * Reads only what is visible without the passphrase: the envelope of a
+     * sealed file, or the document itself when it is not sealed.
+     */
+    static async readEnvelope(recoveryFilePath) {
+        return JSON.parse(await fs.readFile(recoveryFilePath, 'utf8'));
+    }
+    
+    static isSealed(document) {
+        return Boolean(document) && document.format === SEALED_FORMAT;
+    }
+    
+    static async seal(recoveryData, passphrase) {
+        const salt = crypto.randomBytes(32);
+        const iv = crypto.randomBytes(12);
+        const kdf = {
+            algorithm: 'scrypt',
+            salt: salt.toString('base64'),
+            N: constants.RECOVERY_SEAL.SCRYPT_N,
+            r: constants.RECOVERY_SEAL.SCRYPT_R,
+            p: constants.RECOVERY_SEAL.SCRYPT_P,
+            keyLength: 32
+        };
+        const envelope = {
+            format: SEALED_FORMAT,
+            version: 1,
+            metadata: {
+                fileName: recoveryData.fileName,
+                originalSize: recoveryData.originalSize,
+                timestamp: recoveryData.timestamp,
+                segments: this.getSegments(recoveryData).length,
+                fragments: this.countFragments(recoveryData)
+            },
+            kdf,
+            cipher: {
+                algorithm: 'AES-256-GCM',
+                iv: iv.toString('base64'),
+                tag: null
+            },
+            ciphertext: null
+        };
+        
+        const key = await this.deriveSealKey(passphrase, kdf);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        cipher.setAAD(this.sealedAad(envelope));
+        const ciphertext = Buffer.concat([cipher.update(JSON.stringify(recoveryData), 'utf8'), cipher.final()]);
+        
+        envelope.cipher.tag = cipher.getAuthTag().toString('base64');
+        envelope.ciphertext = ciphertext.toString('base64');
+        return envelope;
+    }
+    
+    static async unseal(envelope, passphrase) {
+        const key = await this.deriveSealKey(passphrase, envelope.kdf);
+        
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.cipher.iv, 'base64'));
+            decipher.setAAD(this.sealedAad(envelope));
+            decipher.setAuthTag(Buffer.from(envelope.cipher.tag, 'base64'));
+            const plaintext = Buffer.concat([
+                decipher.update(Buffer.from(envelope.ciphertext, 'base64')),
+                decipher.final()
+            ]);
+            return JSON.parse(plaintext.toString('utf8'));
+        } catch (error) {
+            throw new Error('Incorrect recovery passphrase, or the recovery file has been tampered with');
+        }
+    }
+    
+    static async deriveSealKey(passphrase, kdf) {
+        if (kdf.algorithm !== 'scrypt') {
+            throw new Error(`Unsupported recovery file key derivation: ${kdf.algorithm}`);
+        }
+        // The parameters come from the file, so refuse values that would exhaust memory
+        if (kdf.N > 2 ** 20 || kdf.r > 32 || kdf.p > 16) {
+            throw new Error('Recovery file key derivation parameters are out of range');
+        }
+        
+        return scrypt(passphrase, Buffer.from(kdf.salt, 'base64'), kdf.keyLength, {
+            N: kdf.N,
+            r: kdf.r,
+            p: kdf.p,
+            maxmem: 128 * kdf.N * kdf.r * kdf.p + 1024 * 1024
+        });
+    }
+    
+    /**
+     * The readable envelope fields are bound into the GCM tag, so editing
+     * the metadata or the KDF parameters makes unsealing fail.
+     */
+    static sealedAad(envelope) {
+        const { metadata, kdf, cipher } = envelope;
+        return Buffer.from(JSON.stringify([
+            envelope.format,
+            envelope.version,
+            [metadata.fileName, metadata.originalSize, metadata.timestamp, metadata.segments, metadata.fragments],
+            [kdf.algorithm, kdf.salt, kdf.N, kdf.r, kdf.p, kdf.keyLength],
+            [cipher.algorithm, cipher.iv]
+        ]), 'utf8');
+    }
+    
+    static isSegmented(recoveryData) {
+        return Array.isArray(recoveryData.segments);
+    }
+    
+    static getSegments(recoveryData) {
+        if (this.isSegmented(recoveryData)) {
+            return recoveryData.segments;
+        }
+        
+        const masterEncryption = recoveryData.security.masterEncryption;
+        return [{
+            index: 0,
+            offset: 0,
+            size: recoveryData.originalSize,
+            iv: masterEncryption.iv,
+            tag: masterEncryption.tag,
+            encryptedHash: masterEncryption.encryptedHash,
+            encodedLength: recoveryData.reedSolomonConfig ? recoveryData.reedSolomonConfig.dataLength : undefined,
+            partitions: recoveryData.partitions
+        }];
+    }
+    
+    static getPartitions(recoveryData) {
+        return this.getSegments(recoveryData).flatMap(segment => segment.partitions);
+    }
+    
+    static countFragments(recoveryData) {
+        return this.getPartitions(recoveryData).reduce((sum, p) => sum + p.fragments.length, 0);
+    }
+}
+
+module.exports = RecoveryFile;
\ No newline at end of file
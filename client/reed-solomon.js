@@ -2,122 +2,243 @@ class ReedSolomonEncoder {
     constructor() {
         this.GF_SIZE = 256;
         this.PRIMITIVE_POLYNOMIAL = 0x11D;
-        
+
         this.expTable = new Uint8Array(this.GF_SIZE * 2);
         this.logTable = new Uint8Array(this.GF_SIZE);
-        
+        this.mulTable = new Uint8Array(this.GF_SIZE * this.GF_SIZE);
+        this.matrixCache = new Map();
+
         this.initializeTables();
     }
-    
+
     initializeTables() {
         let x = 1;
-        
+
         for (let i = 0; i < this.GF_SIZE - 1; i++) {
             this.expTable[i] = x;
             this.logTable[x] = i;
-            
+
             x <<= 1;
             if (x >= this.GF_SIZE) {
                 x ^= this.PRIMITIVE_POLYNOMIAL;
                 x &= this.GF_SIZE - 1;
             }
         }
-        
+
         for (let i = this.GF_SIZE - 1; i < this.GF_SIZE * 2; i++) {
             this.expTable[i] = this.expTable[i - (this.GF_SIZE - 1)];
         }
+
+        // Full product table so the per-byte inner loops are a single lookup
+        for (let a = 0; a < this.GF_SIZE; a++) {
+            for (let b = 0; b < this.GF_SIZE; b++) {
+                this.mulTable[a * this.GF_SIZE + b] = this.multiply(a, b);
+            }
+        }
     }
-    
+
     multiply(a, b) {
         if (a === 0 || b === 0) return 0;
         return this.expTable[this.logTable[a] + this.logTable[b]];
     }
-    
+
     divide(a, b) {
         if (a === 0) return 0;
         if (b === 0) throw new Error('Division by zero');
         return this.expTable[this.logTable[a] - this.logTable[b] + (this.GF_SIZE - 1)];
     }
-    
+
+    power(a, n) {
+        if (n === 0) return 1;
+        if (a === 0) return 0;
+        return this.expTable[(this.logTable[a] * n) % (this.GF_SIZE - 1)];
+    }
+
+    multiplyMatrices(a, b) {
+        const result = [];
+        for (let r = 0; r < a.length; r++) {
+            const row = new Uint8Array(b[0].length);
+            for (let c = 0; c < b[0].length; c++) {
+                let value = 0;
+                for (let i = 0; i < b.length; i++) {
+                    value ^= this.multiply(a[r][i], b[i][c]);
+                }
+                row[c] = value;
+            }
+            result.push(row);
+        }
+        return result;
+    }
+
+    invertMatrix(matrix) {
+        const size = matrix.length;
+        // Gauss-Jordan elimination on [matrix | identity]
+        const work = matrix.map((row, r) => {
+            const extended = new Uint8Array(size * 2);
+            extended.set(row);
+            extended[size + r] = 1;
+            return extended;
+        });
+
+        for (let col = 0; col < size; col++) {
+            let pivot = col;
+            while (pivot < size && work[pivot][col] === 0) {
+                pivot++;
+            }
+            if (pivot === size) {
+                throw new Error('Matrix is singular');
+            }
+            if (pivot !== col) {
+                [work[pivot], work[col]] = [work[col], work[pivot]];
+            }
+
+            const pivotValue = work[col][col];
+            if (pivotValue !== 1) {
+                for (let c = 0; c < size * 2; c++) {
+                    work[col][c] = this.divide(work[col][c], pivotValue);
+                }
+            }
+
+            for (let r = 0; r < size; r++) {
+                const factor = work[r][col];
+                if (r === col || factor === 0) continue;
+                for (let c = 0; c < size * 2; c++) {
+                    work[r][c] ^= this.multiply(factor, work[col][c]);
+                }
+            }
+        }
+
+        return work.map(row => row.slice(size));
+    }
+
+    /**
+     * Systematic encoding matrix: a (data + parity) x data Vandermonde matrix
+     * multiplied by the inverse of its top square, so the first rows are the
+     * identity (data shards pass through unchanged) and any `dataShards` rows
+     * form an invertible matrix.
+     */
+    getEncodingMatrix(dataShards, parityShards) {
+        const cacheKey = `${dataShards}:${parityShards}`;
+        if (this.matrixCache.has(cacheKey)) {
+            return this.matrixCache.get(cacheKey);
+        }
+
+        const totalShards = dataShards + parityShards;
+        const vandermonde = [];
+        for (let r = 0; r < totalShards; r++) {
+            const row = new Uint8Array(dataShards);
+            for (let c = 0; c < dataShards; c++) {
+                row[c] = this.power(r, c);
+            }
+            vandermonde.push(row);
+        }
+
+        const topInverse = this.invertMatrix(vandermonde.slice(0, dataShards));
+        const matrix = this.multiplyMatrices(vandermonde, topInverse);
+
+        this.matrixCache.set(cacheKey, matrix);
+        return matrix;
+    }
+
+    /**
+     * Accumulates sum(coefficients[j] * inputs[j]) into output, byte by byte.
+     */
+    combineShards(coefficients, inputs, output) {
+        for (let j = 0; j < inputs.length; j++) {
+            const coefficient = coefficients[j];
+            if (coefficient === 0) continue;
+
+            const input = inputs[j];
+            const offset = coefficient * this.GF_SIZE;
+            for (let i = 0; i < output.length; i++) {
+                output[i] ^= this.mulTable[offset + input[i]];
+            }
+        }
+        return output;
+    }
+
+    validateShardCounts(dataShards, parityShards) {
+        if (dataShards < 1) {
+            throw new Error('At least one data shard is required');
+        }
+        if (parityShards < 0) {
+            throw new Error('Parity shard count cannot be negative');
+        }
+        if (dataShards + parityShards > this.GF_SIZE) {
+            throw new Error(`Too many shards (${dataShards + parityShards}); GF(256) supports at most ${this.GF_SIZE}`);
+        }
+    }
+
     encode(data, dataShards, parityShards) {
+        this.validateShardCounts(dataShards, parityShards);
+
         const shards = [];
-        const shardSize = Math.ceil(data.length / dataShards);
-        
+        const shardSize = Math.max(1, Math.ceil(data.length / dataShards));
+
+        // The last data shard is zero-padded; callers must keep data.length to strip it on decode
         for (let i = 0; i < dataShards; i++) {
             const start = i * shardSize;
             const end = Math.min(start + shardSize, data.length);
             const shard = Buffer.alloc(shardSize);
-            data.copy(shard, 0, start, end);
+            if (start < end) {
+                data.copy(shard, 0, start, end);
+            }
             shards.push(shard);
         }
-        
+
+        const matrix = this.getEncodingMatrix(dataShards, parityShards);
         for (let p = 0; p < parityShards; p++) {
-            const parityShard = Buffer.alloc(shardSize);
-            
-            for (let i = 0; i < shardSize; i++) {
-                let parityByte = 0;
-                
-                for (let j = 0; j < dataShards; j++) {
-                    if (i < shards[j].length) {
-                        const coefficient = this.getCoefficient(p, j);
-                        parityByte ^= this.multiply(shards[j][i], coefficient);
-                    }
-                }
-                
-                parityShard[i] = parityByte;
-            }
-            
-            shards.push(parityShard);
+            shards.push(this.combineShards(matrix[dataShards + p], shards.slice(0, dataShards), Buffer.alloc(shardSize)));
         }
-        
+
         return shards;
     }
-    
-    getCoefficient(parityIndex, dataIndex) {
-        return this.expTable[(parityIndex + 1) * (dataIndex + 1) % (this.GF_SIZE - 1)];
-    }
-    
-    decode(shards, dataShards, parityShards) {
-        const availableShards = [];
-        const missingIndices = [];
-        
-        for (let i = 0; i < shards.length; i++) {
+
+    /**
+     * Reconstructs the original data from any `dataShards` of the shards.
+     * Missing shards are null/undefined. `dataLength` is the pre-padding
+     * length passed to encode; without it the padded data is returned.
+     */
+    decode(shards, dataShards, parityShards, dataLength = null) {
+        this.validateShardCounts(dataShards, parityShards);
+
+        const available = [];
+        for (let i = 0; i < dataShards + parityShards && available.length < dataShards; i++) {
             if (shards[i] !== null && shards[i] !== undefined) {
-                availableShards.push({ index: i, data: shards[i] });
-            } else if (i < dataShards) {
-                missingIndices.push(i);
+                available.push(i);
             }
         }
-        
-        if (missingIndices.length === 0) {
-            return Buffer.concat(shards.slice(0, dataShards));
+
+        if (available.length < dataShards) {
+            throw new Error(`Not enough shards for recovery. Have ${available.length}, need ${dataShards}`);
         }
-        
-        if (availableShards.length < dataShards) {
-            throw new Error(`Not enough shards for recovery. Have ${availableShards.length}, need ${dataShards}`);
+
+        const shardSize = shards[available[0]].length;
+        if (available.some(i => shards[i].length !== shardSize)) {
+            throw new Error('Shards have inconsistent sizes');
         }
-        
-        const recoveredShards = [];
-        let availableIndex = 0;
-        
+
+        const dataShardList = shards.slice(0, dataShards);
+        const missingData = [];
         for (let i = 0; i < dataShards; i++) {
-            if (shards[i] !== null && shards[i] !== undefined) {
-                recoveredShards.push(shards[i]);
-            } else {
-                while (availableShards[availableIndex].index < dataShards && 
-                       availableShards[availableIndex].index !== i) {
-                    availableIndex++;
-                }
-                
-                if (availableIndex < availableShards.length) {
-                    recoveredShards.push(availableShards[availableIndex].data);
-                    availableIndex++;
-                }
+            if (dataShardList[i] === null || dataShardList[i] === undefined) {
+                missingData.push(i);
             }
         }
-        
-        return Buffer.concat(recoveredShards);
+
+        if (missingData.length > 0) {
+            const matrix = this.getEncodingMatrix(dataShards, parityShards);
+            const decodeMatrix = this.invertMatrix(available.map(i => matrix[i]));
+            const inputs = available.map(i => shards[i]);
+
+            for (const i of missingData) {
+                dataShardList[i] = this.combineShards(decodeMatrix[i], inputs, Buffer.alloc(shardSize));
+            }
+        }
+
+        const merged = Buffer.concat(dataShardList);
+        return dataLength === null || dataLength === undefined ? merged : merged.subarray(0, dataLength);
     }
 }
 
-module.exports = ReedSolomonEncoder;
\ No newline at end of file
+module.exports = ReedSolomonEncoder;
@@ -0,0 +1,191 @@
+const chalk = require('chalk');
+const ora = require('ora');
+const RecoveryFile = require('./recovery');
+const Downloader = require('./download');
+const KeySlots = require('./key-slots');
+const config = require('../config');
+
+class Rekeyer {
+    constructor(directoryServer = config.directoryServer.url) {
+        this.directoryServer = directoryServer;
+        this.downloader = new Downloader(directoryServer);
+    }
+    
+    /**
+     * Changes which passwords and key files unlock a file. Only the key
+     * slots in the recovery file change; the master key, and with it every
+     * segment and fragment, stays the same. Given only a KDF, the slot the
+     * current credentials open is wrapped again with it.
+     */
+    async rekeyFile(recoveryFilePath, options = {}) {
+        const {
+            masterPassword = null,
+            keyFile = null,
+            newPassword = null,
+            newKeyFile = null,
+            addPassword = null,
+            addKeyFile = null,
+            remove = false,
+            removePassword = null,
+            kdf = null
+        } = options;
+        const change = Boolean(newPassword || newKeyFile);
+        const add = Boolean(addPassword || addKeyFile);
+        const removal = Boolean(remove || removePassword);
+        const operations = [change, add, removal].filter(Boolean).length;
+        if (operations > 1 || (operations === 0 && !kdf)) {
+            throw new Error('Choose one of --new-password/--new-key-file, --add-password/--add-key-file, --remove/--remove-password, or --kdf alone');
+        }
+        if (removal && kdf) {
+            throw new Error('--kdf does not apply to removing a slot');
+        }
+        const slotKdf = KeySlots.parseKdf(kdf || undefined);
+        
+        console.log(chalk.cyan.bold('\nChanging File Passwords'));
+        console.log(chalk.gray(`Recovery file: ${recoveryFilePath}`));
+        
+        try {
+            const spinner = ora('Reading recovery file...').start();
+            const recoveryData = await RecoveryFile.load(recoveryFilePath, { passphrase: options.recoveryPassphrase });
+            spinner.succeed('Recovery file loaded');
+            
+            const masterEncryption = recoveryData.security.masterEncryption;
+            let slots = masterEncryption.keySlots ? [...masterEncryption.keySlots] : [];
+            const replacement = change ? await KeySlots.credentials({ password: newPassword, keyFile: newKeyFile }) : null;
+            const addition = add ? await KeySlots.credentials({ password: addPassword, keyFile: addKeyFile }) : null;
+            // Removing a password proves knowledge of it, which is enough to unlock
+            const current = options.masterKey ? null : await KeySlots.credentials({ password: removePassword || masterPassword, keyFile });
+            
+            let masterKey;
+            let unlockedSlot = null;
+            if (options.masterKey) {
+                // Rebuilt from key shares, which open no slot to change or remove
+                if (!add) {
+                    throw new Error('A master key rebuilt from shares can only add a password or key file');
+                }
+                masterKey = options.masterKey;
+            } else {
+                ({ masterKey, slot: unlockedSlot } = await this.unlockMasterKey(recoveryData, current));
+                if (masterEncryption.passwordProtected && !masterEncryption.keySlots) {
+                    // Converted to a slot, so the same password keeps working
+                    unlockedSlot = await KeySlots.create(masterKey, current, slotKdf);
+                    slots = [unlockedSlot];
+                }
+            }
+            
+            const incoming = replacement || addition;
+            if (incoming && await KeySlots.unlock(slots, incoming)) {
+                throw new Error('Those credentials already unlock this file');
+            }
+            
+            let summary;
+            if (removal) {
+                if (!masterEncryption.passwordProtected) {
+                    throw new Error('This file has no password to remove');
+                }
+                if (slots.length === 1) {
+                    throw new Error('That is the only way to unlock this file. Use --new-password or --new-key-file to change it instead.');
+                }
+                slots = slots.filter(slot => slot !== unlockedSlot);
+                summary = `Removed the ${KeySlots.describeFactors(unlockedSlot.factors)} slot`;
+            } else if (incoming) {
+                if (change) {
+                    slots = slots.filter(slot => slot !== unlockedSlot);
+                }
+                const slot = await KeySlots.create(masterKey, incoming, slotKdf);
+                slots.push(slot);
+                summary = `${change && masterEncryption.passwordProtected ? 'Changed to' : 'Added'} a ${KeySlots.describeFactors(slot.factors)} slot with ${KeySlots.describeKdf(slotKdf)}`;
+            } else {
+                if (!masterEncryption.passwordProtected) {
+                    throw new Error('This file has no password; set one with --new-password or --new-key-file');
+                }
+                const slot = await KeySlots.create(masterKey, current, slotKdf);
+                slots = slots.map(existing => existing === unlockedSlot ? slot : existing);
+                summary = `Wrapped the ${KeySlots.describeFactors(slot.factors)} slot again with ${KeySlots.describeKdf(slotKdf)}`;
+            }
+            
+            const wasProtected = masterEncryption.passwordProtected;
+            const lostLegacyPassword = options.masterKey && wasProtected && !masterEncryption.keySlots;
+            Object.assign(masterEncryption, {
+                key: null,
+                salt: null,
+                keyDerivation: 'ENVELOPE',
+                keySlots: slots,
+                passwordProtected: true
+            });
+            
+            const saveSpinner = ora('Saving recovery file...').start();
+            await RecoveryFile.save(recoveryFilePath, recoveryData);
+            saveSpinner.succeed(`Recovery file saved: ${recoveryFilePath}`);
+            
+            console.log(chalk.green.bold(`\n${summary}`));
+            console.log(chalk.gray(`  - ${slots.length} key slot(s) now unlock this file`));
+            console.log(chalk.gray('  - No fragment was touched'));
+            console.log(chalk.yellow('  - Older copies of this recovery file still open with the credentials they had'));
+            if (!wasProtected) {
+                console.log(chalk.yellow('  - Older copies also hold the master key in the clear'));
+            }
+            if (lostLegacyPassword) {
+                console.log(chalk.yellow('  - The password this file was uploaded with no longer opens it'));
+            }
+            
+            return { slots: slots.length };
+        
+        } catch (error) {
+            console.error(chalk.red.bold('\nRekey Failed:'), error.message);
+            throw error;
+        }
+    }
+    
+    /**
+     * Unlocks the master key with the current credentials. Resolves to the
+     * key and the slot that opened it (null for files without slots).
+     */
+    async unlockMasterKey(recoveryData, current) {
+        const masterEncryption = recoveryData.security.masterEncryption;
+        if (masterEncryption.passwordProtected && !current) {
+            throw new Error('This file is password protected. Use --master-password and/or --key-file with its current credentials.');
+        }
+        
+        const keySpinner = ora('Unlocking master key...').start();
+        let masterKey;
+        let slot = null;
+        if (masterEncryption.keySlots) {
+            const unlocked = await KeySlots.unlock(masterEncryption.keySlots, current);
+            if (!unlocked) {
+                keySpinner.fail('Could not unlock the master key');
+                throw new Error(`Incorrect password or key file: they open none of this file's ${masterEncryption.keySlots.length} key slot(s)`);
+            }
+            ({ masterKey, slot } = unlocked);
+        } else if (masterEncryption.passwordProtected) {
+            if (current.keyFileDigest || !current.password) {
+                keySpinner.fail('Could not unlock the master key');
+                throw new Error('This file was protected with a password alone; use --master-password');
+            }
+            // The password itself is the key here, so only decrypting data can tell whether it is right
+            masterKey = await this.downloader.resolveMasterKey(recoveryData, { password: current.password });
+            keySpinner.text = 'Checking the password against the first segment...';
+            try {
+                await this.checkMasterKey(recoveryData, masterKey, keySpinner);
+            } catch (error) {
+                keySpinner.fail('Could not unlock the master key');
+                throw error;
+            }
+        } else {
+            masterKey = Buffer.from(masterEncryption.key, 'base64');
+        }
+        keySpinner.succeed('Master key unlocked');
+        return { masterKey, slot };
+    }
+    
+    async checkMasterKey(recoveryData, masterKey, spinner) {
+        const segment = RecoveryFile.getSegments(recoveryData)[0];
+        const fragmentRootKey = this.downloader.resolveFragmentRootKey(recoveryData, masterKey);
+        await this.downloader.downloadSegment(recoveryData, segment, { masterKey, fragmentRootKey }, spinner, {
+            fragments: 0,
+            relocated: new Map()
+        });
+    }
+}
+
+module.exports = Rekeyer;
\ No newline at end of file
@@ -0,0 +1,134 @@
+const chalk = require('chalk');
+const ora = require('ora');
+const NodeClient = require('./node-client');
+const RecoveryFile = require('./recovery');
+const Downloader = require('./download');
+const config = require('../config');
+
+class Renewer {
+    constructor(directoryServer = config.directoryServer.url) {
+        this.directoryServer = directoryServer;
+        this.downloader = new Downloader(directoryServer);
+    }
+    
+    async renewFile(recoveryFilePath, options = {}) {
+        console.log(chalk.cyan.bold('\nStarting Lease Renewal'));
+        console.log(chalk.gray(`Recovery file: ${recoveryFilePath}`));
+        console.log(chalk.gray(`Directory Server: ${this.directoryServer}`));
+        
+        try {
+            const spinner = ora('Reading recovery file...').start();
+            const recoveryData = await RecoveryFile.load(recoveryFilePath, { passphrase: options.recoveryPassphrase });
+            spinner.succeed(`Recovery file loaded (${RecoveryFile.countFragments(recoveryData)} fragments)`);
+            
+            const lease = recoveryData.lease;
+            if (!lease) {
+                throw new Error('This file was uploaded without a lease; its fragments do not expire');
+            }
+            if (lease.expiresAt <= Date.now()) {
+                console.log(chalk.yellow(`The lease ran out on ${new Date(lease.expiresAt).toLocaleString()}; nodes may already have removed fragments`));
+            }
+            
+            const ttl = options.ttl || lease.ttl;
+            const expiresAt = Date.now() + ttl;
+            console.log(chalk.gray(`New expiry: ${new Date(expiresAt).toLocaleString()}`));
+            
+            const renewSpinner = ora('Asking nodes to extend fragment leases...').start();
+            const results = [];
+            
+            for (const segment of RecoveryFile.getSegments(recoveryData)) {
+                for (const partition of segment.partitions) {
+                    const partitionResults = await Promise.all(partition.fragments.map(fragment => {
+                        renewSpinner.text = `Renewing fragment ${segment.index}/${partition.index}...`;
+                        return this.renewFragment(fragment, expiresAt);
+                    }));
+                    
+                    partitionResults.forEach((result, r) => {
+                        results.push({
+                            label: `${segment.index}/${partition.index}-${partition.fragments[r].redundancyIndex}`,
+                            ...result
+                        });
+                    });
+                }
+            }
+            
+            const renewed = results.filter(r => r.status === 'renewed');
+            const failed = results.filter(r => r.status !== 'renewed');
+            
+            if (failed.length === 0) {
+                renewSpinner.succeed(`Extended ${renewed.length} fragment leases`);
+            } else {
+                renewSpinner.warn(`Extended ${renewed.length}/${results.length} fragment leases`);
+            }
+            
+            console.log(chalk.cyan.bold('\nPer-Fragment Results'));
+            console.log(chalk.gray('----------------------------------------'));
+            for (const result of results) {
+                const line = `${result.label.padEnd(10)} ${result.fragmentId.substring(0, 12)}...  ${result.nodeAddress.padEnd(22)}`;
+                if (result.status === 'renewed') {
+                    console.log(chalk.green(`${line} until ${new Date(result.expiresAt).toLocaleString()}`));
+                } else {
+                    console.log(chalk.red(`${line} ${result.status}: ${result.message}`));
+                }
+            }
+            console.log(chalk.gray('----------------------------------------'));
+            
+            // The recorded expiry is the earliest any fragment can go, so it only moves once all have been extended
+            if (failed.length === 0) {
+                recoveryData.lease = { ttl, expiresAt };
+                await RecoveryFile.save(recoveryFilePath, recoveryData);
+                console.log(chalk.green.bold('\nRenewal Complete'));
+            } else {
+                console.log(chalk.yellow.bold(`\n${failed.length} fragment lease(s) could not be extended`));
+                console.log(chalk.gray(lease.expiresAt > Date.now()
+                    ? `Run renew again before ${new Date(lease.expiresAt).toLocaleString()}, or repair the file to replace lost fragments.`
+                    : 'Fragments whose lease already ran out are gone for good.'));
+            }
+            
+            return {
+                total: results.length,
+                renewed: renewed.length,
+                failed: failed.length,
+                expiresAt,
+                results
+            };
+        
+        } catch (error) {
+            console.error(chalk.red.bold('\nRenewal Failed:'), error.message);
+            throw error;
+        }
+    }
+    
+    /**
+     * Extends one fragment's lease wherever the fragment currently is: the
+     * recorded node, its new address, or a node it was drained to.
+     */
+    async renewFragment(fragment, expiresAt) {
+        let result = {
+            fragmentId: fragment.fragmentId,
+            nodeAddress: fragment.nodeAddress
+        };
+        
+        if (!fragment.deletionSecret) {
+            return { ...result, status: 'no-secret', message: 'uploaded before deletion support' };
+        }
+        
+        for await (const location of this.downloader.fragmentLocations(fragment)) {
+            try {
+                const response = await NodeClient.fromAddress(location.nodeAddress).renewLease(fragment.fragmentId, fragment.deletionSecret, expiresAt);
+                return { ...result, nodeAddress: location.nodeAddress, status: 'renewed', expiresAt: response.expiresAt };
+            } catch (error) {
+                if (error.response && error.response.status === 404) {
+                    result = { ...result, status: 'not-found', message: 'the node no longer has it (lease expired or deleted)' };
+                } else if (error.response && error.response.status === 403) {
+                    result = { ...result, status: 'forbidden', message: 'node rejected the deletion secret' };
+                } else if (!result.status) {
+                    result = { ...result, status: error.response ? 'failed' : 'unreachable', message: error.message };
+                }
+            }
+        }
+        return result;
+    }
+}
+
+module.exports = Renewer;
\ No newline at end of file
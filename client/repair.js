@@ -0,0 +1,324 @@
+const fs = require('fs').promises;
+const chalk = require('chalk');
+const ora = require('ora');
+const { CryptoUtils, ReedSolomon } = require('./utils');
+const NodeClient = require('./node-client');
+const RecoveryFile = require('./recovery');
+const Uploader = require('./upload');
+const Downloader = require('./download');
+const PlacementPolicy = require('./placement');
+const PrivacyPolicy = require('./privacy');
+const config = require('../config');
+
+class Repairer {
+    constructor(directoryServer = config.directoryServer.url) {
+        this.directoryServer = directoryServer;
+        this.uploader = new Uploader(directoryServer);
+        this.downloader = new Downloader(directoryServer);
+    }
+    
+    async repairFile(recoveryFilePath, options = {}) {
+        console.log(chalk.cyan.bold('\nStarting Repair Process'));
+        console.log(chalk.gray(`Recovery file: ${recoveryFilePath}`));
+        console.log(chalk.gray(`Directory Server: ${this.directoryServer}`));
+        
+        try {
+            const spinner = ora('Reading recovery file...').start();
+            const recoveryData = await RecoveryFile.load(recoveryFilePath, { passphrase: options.recoveryPassphrase });
+            const segments = RecoveryFile.getSegments(recoveryData);
+            // Files from before redundancy was recorded: the widest partition shows what the upload asked for
+            const redundancy = recoveryData.redundancy
+                || Math.max(...RecoveryFile.getPartitions(recoveryData).map(p => p.fragments.length));
+            spinner.succeed(`Recovery file loaded (${RecoveryFile.countFragments(recoveryData)} fragments, redundancy ${redundancy}x)`);
+            
+            // New copies only go to allowed regions; existing ones outside them are reported, not moved
+            const placementPolicy = PlacementPolicy.fromRecovery(recoveryData);
+            if (placementPolicy.restrictsRegions) {
+                console.log(chalk.gray(`Regions: ${placementPolicy.describeRegions()}`));
+                const violations = await this.downloader.findResidencyViolations(recoveryData);
+                for (const violation of violations) {
+                    console.log(chalk.red(`  Segment ${violation.segment}, partition ${violation.partition} is stored outside the allowed regions on ${violation.fragment.nodeAddress} (${violation.country})`));
+                }
+            }
+            
+            const probeSpinner = ora('Checking which fragments are still stored...').start();
+            const health = new Map();
+            for (const segment of segments) {
+                for (const partition of segment.partitions) {
+                    probeSpinner.text = `Checking partition ${segment.index}/${partition.index}...`;
+                    health.set(partition, await this.probePartition(partition));
+                }
+            }
+            
+            const damaged = segments.filter(segment =>
+                segment.partitions.some(partition => health.get(partition).healthy.length < redundancy));
+            const lost = Array.from(health.values()).reduce((sum, h) => sum + h.missing.length + h.unreachable.length, 0);
+            
+            if (damaged.length === 0) {
+                probeSpinner.succeed(`All partitions have ${redundancy} healthy copies, nothing to repair`);
+                return { repaired: 0, unrecoverable: 0, underReplicated: 0 };
+            }
+            probeSpinner.warn(`${lost} fragments lost across ${damaged.length} segment(s)`);
+            
+            // Key-hierarchy files store no fragment keys: both reading survivors and writing new copies need the root key
+            let fragmentRootKey = null;
+            if (recoveryData.security.fragmentEncryption && recoveryData.security.fragmentEncryption.keyHierarchy) {
+                const masterKey = await this.downloader.resolveMasterKey(recoveryData, { password: options.masterPassword, keyFile: options.keyFile });
+                fragmentRootKey = this.downloader.resolveFragmentRootKey(recoveryData, masterKey);
+            }
+            
+            const nodeSpinner = ora('Discovering storage nodes...').start();
+            const nodes = await this.findHealthyNodes(recoveryData);
+            nodeSpinner.succeed(`Found ${nodes.length} reachable storage nodes`);
+            
+            const repairSpinner = ora('Restoring redundancy...').start();
+            const results = [];
+            for (const segment of damaged) {
+                results.push(...await this.repairSegment(recoveryData, segment, health, { redundancy, nodes, fragmentRootKey }, repairSpinner));
+            }
+            
+            const repaired = results.reduce((sum, r) => sum + r.added, 0);
+            const unrecoverable = results.filter(r => r.status === 'unrecoverable').length;
+            const underReplicated = results.filter(r => r.status === 'under-replicated').length;
+            
+            if (unrecoverable === 0 && underReplicated === 0) {
+                repairSpinner.succeed(`Stored ${repaired} new fragments`);
+            } else {
+                repairSpinner.warn(`Stored ${repaired} new fragments, ${unrecoverable + underReplicated} partition(s) still short`);
+            }
+            
+            // Fragments a node confirmed it no longer has are dropped; unreachable ones are kept
+            // last so their deletion secrets survive in case the node comes back
+            let changed = false;
+            for (const [partition, state] of health) {
+                if (state.missing.length === 0 && state.added.length === 0) continue;
+                partition.fragments = [...state.healthy, ...state.added, ...state.unreachable];
+                changed = true;
+            }
+            
+            this.printResults(results, redundancy);
+            
+            if (!changed) {
+                console.log(chalk.red.bold('\nNothing could be repaired; the recovery file was left unchanged'));
+                return { repaired, unrecoverable, underReplicated, results };
+            }
+            
+            const saveSpinner = ora('Updating recovery file...').start();
+            const backupPath = `${recoveryFilePath}.${Date.now()}.bak`;
+            await fs.copyFile(recoveryFilePath, backupPath);
+            
+            recoveryData.redundancy = redundancy;
+            if (recoveryData.security && recoveryData.security.fragmentEncryption) {
+                recoveryData.security.fragmentEncryption.totalUniqueKeys = RecoveryFile.countFragments(recoveryData);
+            }
+            await RecoveryFile.save(recoveryFilePath, recoveryData);
+            saveSpinner.succeed(`Recovery file updated (previous version kept as ${backupPath})`);
+            
+            if (unrecoverable > 0) {
+                console.log(chalk.red.bold(`\n${unrecoverable} partition(s) have no healthy copy and could not be rebuilt`));
+            } else if (underReplicated > 0) {
+                console.log(chalk.yellow.bold(`\n${underReplicated} partition(s) are still below ${redundancy}x; run repair again when more nodes are online`));
+            } else {
+                console.log(chalk.green.bold('\nRepair Complete'));
+            }
+            
+            return { repaired, unrecoverable, underReplicated, results };
+        
+        } catch (error) {
+            console.error(chalk.red.bold('\nRepair Failed:'), error.message);
+            throw error;
+        }
+    }
+    
+    printResults(results, redundancy) {
+        console.log(chalk.cyan.bold('\nPer-Partition Results'));
+        console.log(chalk.gray('----------------------------------------'));
+        for (const result of results) {
+            const line = `${result.label.padEnd(8)} ${result.healthy}/${redundancy} healthy`;
+            if (result.status === 'repaired') {
+                console.log(chalk.green(`${line}, added ${result.added} from ${result.source === 'rebuilt' ? 'Reed-Solomon parity' : 'a surviving copy'}`));
+            } else {
+                console.log(chalk.red(`${line}, ${result.added} added - ${result.status}: ${result.message}`));
+            }
+        }
+        console.log(chalk.gray('----------------------------------------'));
+    }
+    
+    async probePartition(partition) {
+        const state = { healthy: [], missing: [], unreachable: [], added: [] };
+        
+        // A copy counts as healthy wherever it is now: the recorded node, its new address, or a node it was drained to
+        const statuses = await Promise.all(partition.fragments.map(async (fragment) => {
+            let status = 'unreachable';
+            for await (const location of this.downloader.fragmentLocations(fragment)) {
+                try {
+                    if (await NodeClient.fromAddress(location.nodeAddress).hasFragment(fragment.fragmentId)) {
+                        return 'healthy';
+                    }
+                    status = 'missing';
+                } catch (error) {
+                    // Try the next location
+                }
+            }
+            return status;
+        }));
+        
+        partition.fragments.forEach((fragment, i) => state[statuses[i]].push(fragment));
+        return state;
+    }
+    
+    async findHealthyNodes(recoveryData) {
+        const largestShard = Math.max(...RecoveryFile.getPartitions(recoveryData).map(p => p.size || 0));
+        const nodes = await this.uploader.fetchNodes({
+            minSpace: largestShard + 1024,
+            placement: PlacementPolicy.fromRecovery(recoveryData)
+        });
+        const latencies = await this.uploader.measureNodeLatencies(nodes);
+        return this.uploader.sortNodesByPerformance(nodes.filter(node => latencies[node.id] < 999999), latencies);
+    }
+    
+    async repairSegment(recoveryData, segment, health, { redundancy, nodes, fragmentRootKey }, spinner) {
+        const damaged = segment.partitions.filter(p => health.get(p).healthy.length < redundancy);
+        
+        // Copying is cheaper than decoding: fetch a surviving copy of each damaged partition first
+        spinner.text = `Fetching surviving copies for segment ${segment.index}...`;
+        const sources = damaged.map(p => ({ ...p, fragments: health.get(p).healthy }));
+        const downloaded = await this.downloader.downloadFragmentsWithRetry(sources, spinner, segment.index);
+        const keyContext = { fragmentRootKey, segmentIndex: segment.index };
+        const shards = await this.downloader.decryptFragmentLayer(downloaded, sources, keyContext);
+        const sourceKinds = shards.map(shard => shard ? 'copied' : null);
+        
+        let rebuildError = null;
+        if (shards.some(shard => shard === null)) {
+            try {
+                const rebuilt = await this.rebuildShards(recoveryData, segment, health, keyContext, spinner);
+                damaged.forEach((partition, i) => {
+                    if (shards[i] === null) {
+                        shards[i] = rebuilt[partition.index];
+                        sourceKinds[i] = 'rebuilt';
+                    }
+                });
+            } catch (error) {
+                rebuildError = error;
+            }
+        }
+        
+        // New copies follow the upload's placement policy, counting what the segment's healthy copies already occupy
+        const placement = PlacementPolicy.fromRecovery(recoveryData).forSegment();
+        for (const partition of segment.partitions) {
+            for (const fragment of health.get(partition).healthy) {
+                placement.add(partition.index, PlacementPolicy.fragmentNode(fragment));
+            }
+        }
+        
+        const results = [];
+        for (let i = 0; i < damaged.length; i++) {
+            const partition = damaged[i];
+            const state = health.get(partition);
+            const result = {
+                label: `${segment.index}/${partition.index}`,
+                healthy: state.healthy.length,
+                added: 0,
+                source: sourceKinds[i]
+            };
+            
+            if (!shards[i]) {
+                results.push({ ...result, status: 'unrecoverable', message: rebuildError ? rebuildError.message : 'no healthy copy' });
+                continue;
+            }
+            
+            const placed = await this.placeCopies(recoveryData, segment, partition, state.healthy, shards[i], {
+                count: redundancy - state.healthy.length,
+                nodes,
+                placement,
+                fragmentRootKey
+            }, spinner);
+            state.added.push(...placed.fragments);
+            result.added = placed.fragments.length;
+            
+            if (state.healthy.length + state.added.length < redundancy) {
+                results.push({ ...result, status: 'under-replicated', message: placed.message });
+            } else {
+                results.push({ ...result, status: 'repaired' });
+            }
+        }
+        
+        return results;
+    }
+    
+    async rebuildShards(recoveryData, segment, health, keyContext, spinner) {
+        const rsConfig = recoveryData.reedSolomonConfig;
+        if (!recoveryData.reedSolomon || !rsConfig) {
+            throw new Error('uploaded without Reed-Solomon parity');
+        }
+        // Parity written before the Vandermonde encoder cannot be decoded
+        if (!rsConfig.matrix) {
+            throw new Error('legacy parity format cannot rebuild shards');
+        }
+        
+        spinner.text = `Rebuilding segment ${segment.index} from parity...`;
+        const sources = segment.partitions.map(p => ({ ...p, fragments: health.get(p).healthy }));
+        const downloaded = await this.downloader.downloadFragmentsWithRetry(sources, spinner, segment.index, { needed: rsConfig.dataShards });
+        const decrypted = await this.downloader.decryptFragmentLayer(downloaded, sources, keyContext);
+        
+        const available = decrypted.filter(shard => shard !== null).length;
+        if (available < rsConfig.dataShards) {
+            throw new Error(`only ${available}/${rsConfig.dataShards} shards of segment ${segment.index} survive`);
+        }
+        
+        const encoded = ReedSolomon.decode(decrypted, rsConfig.dataShards, rsConfig.parityShards, segment.encodedLength);
+        const shards = ReedSolomon.encode(encoded, rsConfig.dataShards, rsConfig.parityShards);
+        
+        segment.partitions.forEach(partition => {
+            if (CryptoUtils.calculateChecksum(shards[partition.index]) !== partition.originalChecksum) {
+                throw new Error(`rebuilt shard ${segment.index}/${partition.index} does not match its checksum`);
+            }
+        });
+        return shards;
+    }
+    
+    async placeCopies(recoveryData, segment, partition, healthy, shard, { count, nodes, placement, fragmentRootKey }, spinner) {
+        const state = { fragments: [], message: null };
+        const privacy = PrivacyPolicy.fromRecovery(recoveryData);
+        // Older fragment entries name their node only by address
+        const holderAddresses = new Set(healthy.map(f => f.nodeAddress));
+        const tried = new Set();
+        let redundancyIndex = Math.max(-1, ...partition.fragments.map(f => f.redundancyIndex)) + 1;
+        
+        while (state.fragments.length < count) {
+            // The policy keeps each copy in its own failure domain and prefers the least loaded; latency order breaks ties
+            const node = placement.choose(partition.index, nodes.filter(candidate =>
+                !tried.has(candidate.id) && !holderAddresses.has(`${candidate.address}:${candidate.port}`)));
+            if (!node) break;
+            tried.add(node.id);
+            
+            try {
+                spinner.text = `Storing new copy of partition ${segment.index}/${partition.index} on ${node.address}:${node.port}...`;
+                const fragment = await this.uploader.encryptAndStoreFragment(shard, node, {
+                    fileId: recoveryData.fileId,
+                    segmentIndex: segment.index,
+                    partitionIndex: partition.index,
+                    redundancyIndex,
+                    // New copies expire with the rest of the file
+                    expiresAt: recoveryData.lease ? recoveryData.lease.expiresAt : null,
+                    privacy,
+                    auditChallenges: recoveryData.audit ? recoveryData.audit.challengesPerFragment : undefined
+                }, fragmentRootKey);
+                
+                state.fragments.push(fragment);
+                redundancyIndex++;
+                console.log(chalk.gray(`  Fragment ${segment.index}/${partition.index}-${fragment.redundancyIndex}: Stored on ${node.address}:${node.port}`));
+            } catch (error) {
+                placement.remove(partition.index, node);
+                console.error(chalk.yellow(`Failed to store partition ${segment.index}/${partition.index} on node ${node.id}:`, error.message));
+            }
+        }
+        
+        if (state.fragments.length < count) {
+            state.message = `not enough healthy nodes outside the ${placement.policy.domainLabel} already holding this partition`;
+        }
+        return state;
+    }
+}
+
+module.exports = Repairer;
\ No newline at end of file
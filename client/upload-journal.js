@@ -0,0 +1,123 @@
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+const JOURNAL_FORMAT = 'mysterium-upload-journal';
+
+/**
+ * Append-only record of an upload in progress, one JSON entry per line.
+ * The first line holds the source file, the shard layout and the master
+ * key parameters. Segments follow as they are encrypted, with the IV they
+ * used so a resumed run produces the same shards, and each fragment is
+ * added once its node has confirmed storing it.
+ *
+ * A journal holds the same secrets as an unsealed recovery file, and is
+ * removed once the recovery file has been written.
+ */
+class UploadJournal {
+    constructor(journalPath, header) {
+        this.path = journalPath;
+        this.header = header;
+        this.segments = new Map();
+        this.fragments = new Map();
+        this.writes = Promise.resolve();
+    }
+    
+    static async create(journalPath, header) {
+        const journal = new UploadJournal(journalPath, {
+            format: JOURNAL_FORMAT,
+            version: 1,
+            ...header,
+            startedAt: Date.now()
+        });
+        await fs.writeFile(journalPath, JSON.stringify(journal.header) + '\n', { encoding: 'utf8', mode: 0o600 });
+        return journal;
+    }
+    
+    static async load(journalPath) {
+        const lines = (await fs.readFile(journalPath, 'utf8')).split('\n').filter(line => line.trim());
+        let header = null;
+        try {
+            header = JSON.parse(lines[0]);
+        } catch (error) {
+            // Reported below
+        }
+        if (!header || header.format !== JOURNAL_FORMAT) {
+            throw new Error(`${journalPath} is not an upload journal`);
+        }
+        
+        const journal = new UploadJournal(journalPath, header);
+        for (let i = 1; i < lines.length; i++) {
+            let entry;
+            try {
+                entry = JSON.parse(lines[i]);
+            } catch (error) {
+                if (i < lines.length - 1) {
+                    throw new Error(`Upload journal is corrupted at line ${i + 1}`);
+                }
+                // A crash mid-write cuts the last line short; drop it so new entries start on a clean line
+                await fs.writeFile(journalPath, lines.slice(0, i).join('\n') + '\n', 'utf8');
+                break;
+            }
+            journal.apply(entry);
+        }
+        return journal;
+    }
+    
+    /**
+     * Lets a resumed upload tell a wrong master password apart from a
+     * changed source file without storing anything derived from the key alone.
+     */
+    static keyCheck(masterKey, fileId) {
+        return crypto.createHmac('sha256', masterKey).update(`mysterium/upload-journal/${fileId}`).digest('hex');
+    }
+    
+    get fragmentCount() {
+        let count = 0;
+        for (const fragments of this.fragments.values()) {
+            count += fragments.length;
+        }
+        return count;
+    }
+    
+    getSegment(index) {
+        return this.segments.get(index) || null;
+    }
+    
+    getFragments(segmentIndex, partitionIndex) {
+        return this.fragments.get(`${segmentIndex}/${partitionIndex}`) || [];
+    }
+    
+    recordSegment(segment) {
+        return this.append({ type: 'segment', segment });
+    }
+    
+    recordFragment(segmentIndex, partitionIndex, fragment) {
+        return this.append({ type: 'fragment', segmentIndex, partitionIndex, fragment });
+    }
+    
+    apply(entry) {
+        if (entry.type === 'segment') {
+            this.segments.set(entry.segment.index, entry.segment);
+        } else if (entry.type === 'fragment') {
+            const key = `${entry.segmentIndex}/${entry.partitionIndex}`;
+            if (!this.fragments.has(key)) {
+                this.fragments.set(key, []);
+            }
+            this.fragments.get(key).push(entry.fragment);
+        }
+    }
+    
+    append(entry) {
+        this.apply(entry);
+        // Segments upload concurrently; chaining the writes keeps every entry on its own line
+        this.writes = this.writes.then(() => fs.appendFile(this.path, JSON.stringify(entry) + '\n', 'utf8'));
+        return this.writes;
+    }
+    
+    async remove() {
+        await this.writes;
+        await fs.rm(this.path, { force: true });
+    }
+}
+
+module.exports = UploadJournal;
\ No newline at end of file
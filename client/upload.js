@@ -1,10 +1,21 @@
 const axios = require('axios');
 const fs = require('fs').promises;
+const fsSync = require('fs');
 const path = require('path');
 const chalk = require('chalk');
 const ora = require('ora');
 const crypto = require('crypto');
-const { CryptoUtils, FileUtils, ReedSolomon, NetworkUtils } = require('./utils');
+const { pipeline } = require('stream/promises');
+const { CryptoUtils, CompressionUtils, FileUtils, ReedSolomon, NetworkUtils } = require('./utils');
+const { SegmentChunker, ConcurrentWriter, runConcurrently } = require('./pipeline');
+const NodeClient = require('./node-client');
+const NodePool = require('./node-pool');
+const PlacementPolicy = require('./placement');
+const PrivacyPolicy = require('./privacy');
+const KeySlots = require('./key-slots');
+const RecoveryFile = require('./recovery');
+const UploadJournal = require('./upload-journal');
+const constants = require('../shared/constants');
 const config = require('../config');
 
 class Uploader {
@@ -16,179 +27,483 @@ class Uploader {
         const {
             partitions = 10,
             redundancy = 3,
-            compression = true,
+            compression = 'auto',
             reedSolomon = true,
-            masterPassword = null
+            masterPassword = null,
+            keyFile = null,
+            kdf = null,
+            segmentSize = constants.STREAMING.SEGMENT_SIZE,
+            concurrency = constants.STREAMING.CONCURRENCY,
+            uploadConcurrency = constants.NETWORK.UPLOAD_CONCURRENCY,
+            recoveryPassphrase = null,
+            keyHierarchy = false,
+            failureDomain = 'node',
+            allowRegions = null,
+            denyRegions = null,
+            ttl = null,
+            auditChallenges = constants.AUDIT.CHALLENGES_PER_FRAGMENT,
+            privacy = false,
+            fragmentSize = null
         } = options;
         
         console.log(chalk.cyan.bold('\nStarting Upload Process'));
         console.log(chalk.gray(`File: ${filePath}`));
         console.log(chalk.gray(`Partitions: ${partitions}, Redundancy: ${redundancy}x`));
+        console.log(chalk.gray(`Segment size: ${(segmentSize / 1024 / 1024).toFixed(2)} MB, Concurrency: ${concurrency} segments, ${uploadConcurrency} fragments each`));
         console.log(chalk.gray(`Directory Server: ${this.directoryServer}`));
         
+        let journal = null;
         try {
-            const spinner = ora('Reading file...').start();
-            const fileBuffer = await fs.readFile(filePath);
-            const fileName = path.basename(filePath);
-            const originalFileHash = CryptoUtils.calculateChecksum(fileBuffer);
-            spinner.succeed(`File read successfully (${fileBuffer.length} bytes)`);
-            
-            const masterSpinner = ora('Applying master encryption...').start();
-            let masterKey;
-            let masterKeySalt = null;
-            let passwordProtected = false;
-            
-            if (masterPassword) {
-                const result = this.deriveMasterKey(masterPassword, true);
-                masterKey = result.key;
-                masterKeySalt = result.salt;
-                passwordProtected = true;
-                masterSpinner.succeed('Master encryption applied (Password Protected)');
-            } else {
-                masterKey = this.deriveMasterKey(crypto.randomBytes(32));
-                masterSpinner.succeed('Master encryption applied');
+            // Rejects an unknown failure domain or region code before any work is done
+            const placement = new PlacementPolicy(failureDomain, { allowRegions, denyRegions });
+            if (placement.restrictsRegions) {
+                console.log(chalk.gray(`Regions: ${placement.describeRegions()}`));
             }
-            
-            const masterIV = CryptoUtils.generateIV();
-            const { encrypted: masterEncrypted, tag: masterTag } = CryptoUtils.encrypt(
-                fileBuffer,
-                masterKey,
-                masterIV
-            );
-            const masterEncryptedHash = CryptoUtils.calculateChecksum(masterEncrypted);
-            
-            let processedBuffer = masterEncrypted;
-            if (compression) {
-                const compressSpinner = ora('Compressing encrypted data...').start();
-                processedBuffer = CryptoUtils.compress(masterEncrypted);
-                const compressionRatio = ((1 - processedBuffer.length / masterEncrypted.length) * 100).toFixed(2);
-                compressSpinner.succeed(`Compressed (${compressionRatio}% reduction)`);
+            if (kdf && !masterPassword && !keyFile) {
+                throw new Error('--kdf only applies together with --master-password or --key-file');
             }
-            
-            const partitionSpinner = ora('Splitting into partitions...').start();
-            let filePartitions;
-            let dataShards = partitions;
-            let parityShards = 0;
-            
-            if (reedSolomon) {
-                parityShards = Math.ceil(partitions * 0.4);
-                filePartitions = ReedSolomon.encode(processedBuffer, dataShards, parityShards);
-                partitionSpinner.succeed(`Created ${dataShards} data + ${parityShards} parity shards`);
-            } else {
-                filePartitions = FileUtils.splitFile(processedBuffer, partitions);
-                partitionSpinner.succeed(`Split into ${partitions} partitions`);
+            const slotKdf = KeySlots.parseKdf(kdf || undefined);
+            if (!CompressionUtils.CODECS.includes(compression)) {
+                throw new Error(`Unknown compression codec "${compression}" (expected one of: ${CompressionUtils.CODECS.join(', ')})`);
+            }
+            console.log(chalk.gray(compression === 'auto'
+                ? `Compression: auto (${constants.COMPRESSION.AUTO_CODEC} for segments that compress)`
+                : `Compression: ${compression}`));
+            if (ttl !== null && !(Number.isSafeInteger(ttl) && ttl > 0)) {
+                throw new Error('The lease TTL must be a positive duration');
+            }
+            const lease = ttl ? { ttl, expiresAt: Date.now() + ttl } : null;
+            if (lease) {
+                console.log(chalk.gray(`Lease: fragments expire on ${new Date(lease.expiresAt).toLocaleString()} unless renewed`));
+            }
+            if (!(Number.isInteger(auditChallenges) && auditChallenges >= 1 && auditChallenges <= constants.AUDIT.MAX_CHALLENGES_PER_FRAGMENT)) {
+                throw new Error(`The number of audit challenges must be from 1 to ${constants.AUDIT.MAX_CHALLENGES_PER_FRAGMENT}`);
             }
             
-            console.log(chalk.gray(`Total shards to distribute: ${filePartitions.length}`));
-            
-            const nodeSpinner = ora('Discovering storage nodes...').start();
-            const requiredNodes = filePartitions.length * redundancy;
-            const nodesResponse = await axios.get(`${this.directoryServer}/nodes`, {
-                params: {
-                    count: requiredNodes,
-                    minSpace: Math.max(...filePartitions.map(p => p.length))
+            // A fixed fragment size implies privacy mode, and sets the segment size so every shard fills its fragment
+            const privacyPolicy = privacy || fragmentSize ? new PrivacyPolicy({ fragmentSize }) : null;
+            let layoutSegmentSize = segmentSize;
+            if (privacyPolicy) {
+                if (privacyPolicy.fragmentSize) {
+                    layoutSegmentSize = privacyPolicy.segmentCapacity(partitions, keyHierarchy);
+                    console.log(chalk.gray(`Privacy: every fragment is ${privacyPolicy.fragmentSize} bytes; segment size set to ${(layoutSegmentSize / 1024 / 1024).toFixed(2)} MB to fill them`));
+                } else {
+                    console.log(chalk.gray('Privacy: segments padded to size buckets, fragments carry only opaque tags'));
                 }
-            });
-            
-            const availableNodes = nodesResponse.data.nodes;
-            
-            if (availableNodes.length < requiredNodes) {
-                nodeSpinner.fail(`Not enough nodes available (${availableNodes.length}/${requiredNodes})`);
-                throw new Error('Insufficient storage nodes available');
             }
             
-            nodeSpinner.succeed(`Found ${availableNodes.length} storage nodes`);
-            
-            const latencySpinner = ora('Measuring node latencies...').start();
-            const nodeLatencies = await this.measureNodeLatencies(availableNodes);
-            const sortedNodes = this.sortNodesByPerformance(availableNodes, nodeLatencies);
-            latencySpinner.succeed('Node performance measured');
-            
-            const uploadSpinner = ora('Applying fragment encryption and uploading...').start();
-            const recoveryMap = await this.distributePartitionsWithDoubleEncryption(
-                filePartitions,
-                sortedNodes,
-                redundancy,
-                {
-                    fileHash: originalFileHash,
-                    masterEncryptedHash,
-                    fileName,
-                    originalSize: fileBuffer.length,
-                    compressed: compression
-                },
-                uploadSpinner
-            );
+            const spinner = ora('Reading file...').start();
+            const fileStats = await fs.stat(filePath);
+            const fileName = path.basename(filePath);
+            const fileId = crypto.randomBytes(16).toString('hex');
+            const expectedSegments = Math.max(1, Math.ceil(fileStats.size / layoutSegmentSize));
+            spinner.succeed(`File ready for streaming (${fileStats.size} bytes, ${expectedSegments} segment(s))`);
             
-            const totalFragments = recoveryMap.reduce((sum, p) => sum + p.fragments.length, 0);
-            uploadSpinner.succeed(`Uploaded ${totalFragments} fragments with double encryption`);
+            const masterSpinner = ora('Preparing master encryption key...').start();
+            // Always random: a password only wraps it, so it can be changed later without re-uploading
+            const masterKey = crypto.randomBytes(32);
+            const credentials = await KeySlots.credentials({ password: masterPassword, keyFile });
+            const passwordProtected = Boolean(credentials);
+            let keySlots = null;
+            if (passwordProtected) {
+                masterSpinner.text = `Wrapping master key (${KeySlots.describeKdf(slotKdf)})...`;
+                keySlots = [await KeySlots.create(masterKey, credentials, slotKdf)];
+            }
+            masterSpinner.succeed(passwordProtected
+                ? `Master key generated and wrapped with the ${KeySlots.describeFactors(keySlots[0].factors)} (Password Protected)`
+                : 'Master key generated');
             
-            const recoverySpinner = ora('Generating recovery file...').start();
-            const recoveryFile = {
-                version: '3.0',
+            journal = await UploadJournal.create(`${fileName}.myst.journal`, {
+                fileId,
+                filePath: path.resolve(filePath),
                 fileName,
-                fileHash: originalFileHash,
-                originalSize: fileBuffer.length,
-                compressed: compression,
-                reedSolomon: reedSolomon,
-                reedSolomonConfig: reedSolomon ? {
-                    dataShards: dataShards,
-                    parityShards: parityShards,
-                    totalShards: dataShards + parityShards
-                } : null,
-                timestamp: Date.now(),
-                security: {
-                    doubleEncryption: true,
-                    masterEncryption: {
-                        algorithm: 'AES-256-GCM',
-                        key: passwordProtected ? null : masterKey.toString('base64'),
-                        iv: masterIV.toString('base64'),
-                        tag: masterTag.toString('base64'),
-                        salt: masterKeySalt ? masterKeySalt.toString('base64') : null,
-                        encryptedHash: masterEncryptedHash,
-                        keyDerivation: masterPassword ? 'PBKDF2' : 'RANDOM',
-                        passwordProtected: passwordProtected
-                    },
-                    fragmentEncryption: {
-                        algorithm: 'AES-256-GCM',
-                        uniqueKeysPerFragment: true,
-                        totalUniqueKeys: totalFragments
-                    }
+                fileSize: fileStats.size,
+                layout: {
+                    partitions, redundancy, compression, reedSolomon, keyHierarchy, failureDomain,
+                    segmentSize: layoutSegmentSize,
+                    allowRegions: placement.allowRegions,
+                    denyRegions: placement.denyRegions,
+                    privacy: privacyPolicy ? privacyPolicy.describe() : null,
+                    auditChallenges
                 },
-                partitions: recoveryMap
-            };
+                masterEncryption: {
+                    key: passwordProtected ? null : masterKey.toString('base64'),
+                    keySlots,
+                    passwordProtected,
+                    keyCheck: UploadJournal.keyCheck(masterKey, fileId)
+                },
+                sealed: Boolean(recoveryPassphrase),
+                lease
+            });
             
-            const recoveryFileName = `${fileName}.myst`;
-            await fs.writeFile(
-                recoveryFileName,
-                JSON.stringify(recoveryFile, null, 2),
-                'utf8'
-            );
-            recoverySpinner.succeed(`Recovery file saved: ${recoveryFileName}`);
+            return await this.runUpload(journal, masterKey, { concurrency, uploadConcurrency, recoveryPassphrase });
+        
+        } catch (error) {
+            console.error(chalk.red.bold('\nUpload Failed:'), error.message);
+            console.error(error.stack);
+            // A journal with no stored fragments has nothing worth resuming
+            if (journal && journal.fragmentCount === 0) {
+                await journal.remove().catch(() => {});
+            } else {
+                this.printResumeHint(journal);
+            }
+            throw error;
+        }
+    }
+    
+    /**
+     * Continues an interrupted upload from its journal. The layout and keys
+     * come from the journal; fragments it already lists are kept and only
+     * the missing ones are uploaded.
+     */
+    async resumeUpload(journalPath, options = {}) {
+        const {
+            masterPassword = null,
+            keyFile = null,
+            concurrency = constants.STREAMING.CONCURRENCY,
+            uploadConcurrency = constants.NETWORK.UPLOAD_CONCURRENCY,
+            recoveryPassphrase = null
+        } = options;
+        
+        console.log(chalk.cyan.bold('\nResuming Upload'));
+        console.log(chalk.gray(`Journal: ${journalPath}`));
+        console.log(chalk.gray(`Directory Server: ${this.directoryServer}`));
+        
+        let journal = null;
+        try {
+            const spinner = ora('Reading upload journal...').start();
+            try {
+                journal = await UploadJournal.load(journalPath);
+            } catch (error) {
+                spinner.fail('Could not read upload journal');
+                throw error;
+            }
             
-            console.log(chalk.green.bold('\nUpload Complete'));
-            console.log(chalk.cyan('Security Summary:'));
-            console.log(chalk.gray(`  - Master encryption: AES-256-GCM`));
-            if (passwordProtected) {
-                console.log(chalk.yellow(`  - Password Protected: YES`));
-                console.log(chalk.yellow(`  - Password required for download`));
+            const { header } = journal;
+            const fileStats = await fs.stat(header.filePath);
+            if (fileStats.size !== header.fileSize) {
+                spinner.fail('Source file has changed');
+                throw new Error(`${header.filePath} is ${fileStats.size} bytes, but the journal was started for ${header.fileSize} bytes`);
+            }
+            spinner.succeed(`Journal loaded: ${header.fileName}, ${journal.fragmentCount} fragments already stored`);
+            
+            const masterEncryption = header.masterEncryption;
+            let masterKey;
+            if (masterEncryption.passwordProtected) {
+                const credentials = await KeySlots.credentials({ password: masterPassword, keyFile });
+                if (!credentials) {
+                    throw new Error('This upload is password protected. Use --master-password or --key-file option.');
+                }
+                if (masterEncryption.keySlots) {
+                    const unlocked = await KeySlots.unlock(masterEncryption.keySlots, credentials);
+                    if (!unlocked) {
+                        throw new Error('Incorrect master password or key file for this upload');
+                    }
+                    masterKey = unlocked.masterKey;
+                } else {
+                    // Journals from before key slots derived the master key from the password itself
+                    masterKey = this.deriveMasterKey(masterPassword, false, Buffer.from(masterEncryption.salt, 'base64'));
+                }
+            } else {
+                masterKey = Buffer.from(masterEncryption.key, 'base64');
+            }
+            if (UploadJournal.keyCheck(masterKey, header.fileId) !== masterEncryption.keyCheck) {
+                throw new Error('Incorrect master password for this upload');
             }
-            console.log(chalk.gray(`  - Fragment encryption: ${totalFragments} unique keys`));
-            console.log(chalk.gray(`  - Total encryption layers: 2`));
-            console.log(chalk.gray(`  - All encryption client-side`));
-            console.log(chalk.gray(`Recovery file: ${recoveryFileName} (${(Buffer.from(JSON.stringify(recoveryFile)).length / 1024).toFixed(2)} KB)`));
             
-            return recoveryFileName;
+            if (header.sealed && !recoveryPassphrase) {
+                throw new Error('This upload seals its recovery file. Use --recovery-passphrase or set RECOVERY_PASSPHRASE.');
+            }
+            if (header.lease && header.lease.expiresAt <= Date.now()) {
+                throw new Error('The lease of this upload has already expired; nodes have dropped its fragments. Start a new upload.');
+            }
             
+            return await this.runUpload(journal, masterKey, { concurrency, uploadConcurrency, recoveryPassphrase });
+        
         } catch (error) {
             console.error(chalk.red.bold('\nUpload Failed:'), error.message);
-            console.error(error.stack);
+            this.printResumeHint(journal);
             throw error;
         }
     }
     
-    deriveMasterKey(input, returnSalt = false) {
+    printResumeHint(journal) {
+        if (journal && fsSync.existsSync(journal.path)) {
+            console.log(chalk.yellow(`\nProgress is saved in ${journal.path}`));
+            console.log(chalk.yellow(`Resume with: node client/client.js upload --resume ${journal.path}`));
+        }
+    }
+    
+    async runUpload(journal, masterKey, { concurrency, uploadConcurrency, recoveryPassphrase }) {
+        const { fileId, filePath, fileName } = journal.header;
+        const { partitions, redundancy, compression, reedSolomon, segmentSize, keyHierarchy, failureDomain = 'node' } = journal.header.layout;
+        // Journals from before the challenge count was configurable used the default
+        const auditChallenges = journal.header.layout.auditChallenges || constants.AUDIT.CHALLENGES_PER_FRAGMENT;
+        // Journals from before compression moved ahead of encryption hold true/false
+        if (compression === true) {
+            throw new Error('This journal was started by an older client that compressed after encryption; start a new upload instead');
+        }
+        const codec = compression || 'none';
+        const placement = new PlacementPolicy(failureDomain, journal.header.layout);
+        const privacy = journal.header.layout.privacy ? new PrivacyPolicy(journal.header.layout.privacy) : null;
+        const { salt = null, keySlots = null, passwordProtected } = journal.header.masterEncryption;
+        const lease = journal.header.lease || null;
+        
+        const fragmentRootKey = keyHierarchy ? CryptoUtils.deriveFragmentRootKey(masterKey, fileId) : null;
+        if (keyHierarchy) {
+            console.log(chalk.gray('Fragment keys: derived from the master key (HKDF-SHA256)'));
+        }
+        
+        const dataShards = partitions;
+        const parityShards = reedSolomon ? Math.ceil(partitions * 0.4) : 0;
+        const totalShards = dataShards + parityShards;
+        const largestSegment = Math.min(segmentSize, Math.max(1, journal.header.fileSize));
+        const capacity = privacy ? privacy.segmentCapacity(dataShards, keyHierarchy) : null;
+        
+        console.log(chalk.gray(reedSolomon
+            ? `Shards per segment: ${dataShards} data + ${parityShards} parity`
+            : `Partitions per segment: ${partitions}`));
+        
+        const nodeSpinner = ora('Discovering storage nodes...').start();
+        const requiredNodes = totalShards * redundancy;
+        // Master encryption adds nothing, and compression grows incompressible data by a few bytes at most
+        const largestEncoded = privacy ? privacy.paddedLength(largestSegment + 1024, capacity) : largestSegment + 1024;
+        const minSpace = Math.ceil(largestEncoded / dataShards);
+        // Wider failure domains may need nodes beyond the best-ranked few to find enough subnets or countries
+        const availableNodes = await this.fetchNodes({ count: failureDomain === 'node' ? requiredNodes : undefined, minSpace, placement });
+        
+        if (availableNodes.length < requiredNodes) {
+            nodeSpinner.fail(`Not enough nodes available (${availableNodes.length}/${requiredNodes})`);
+            throw new Error(placement.restrictsRegions
+                ? `Insufficient storage nodes available in the allowed regions (${placement.describeRegions()})`
+                : 'Insufficient storage nodes available');
+        }
+        
+        try {
+            placement.check(availableNodes, redundancy);
+        } catch (error) {
+            nodeSpinner.fail('Placement policy cannot be met');
+            throw error;
+        }
+        
+        nodeSpinner.succeed(`Found ${availableNodes.length} storage nodes`);
+        
+        const latencySpinner = ora('Measuring node latencies...').start();
+        const nodeLatencies = await this.measureNodeLatencies(availableNodes);
+        const sortedNodes = this.sortNodesByPerformance(availableNodes, nodeLatencies);
+        latencySpinner.succeed('Node performance measured');
+        
+        const nodePool = new NodePool(sortedNodes, {
+            fetchMore: () => this.fetchNodes({ minSpace, placement })
+        });
+        
+        const uploadSpinner = ora('Streaming segments (encrypt, shard, encrypt, upload)...').start();
+        const segmentSettings = {
+            fileId,
+            masterKey,
+            codec,
+            reedSolomon,
+            dataShards,
+            parityShards,
+            redundancy,
+            fragmentRootKey,
+            journal,
+            uploadConcurrency,
+            placement,
+            lease,
+            privacy,
+            capacity,
+            auditChallenges
+        };
+        const segments = [];
+        const chunker = new SegmentChunker(segmentSize);
+        
+        await pipeline(
+            fsSync.createReadStream(filePath),
+            chunker,
+            new ConcurrentWriter(async (segment) => {
+                segments[segment.index] = await this.uploadSegment(segment, segmentSettings, nodePool, uploadSpinner);
+            }, concurrency)
+        );
+        
+        const originalFileHash = chunker.digest();
+        const originalSize = chunker.totalLength;
+        const totalFragments = segments.reduce((sum, s) => 
+            sum + s.partitions.reduce((pSum, p) => pSum + p.fragments.length, 0), 0);
+        uploadSpinner.succeed(`Uploaded ${totalFragments} fragments in ${segments.length} segment(s) with double encryption`);
+        
+        const compressedSegments = segments.filter(s => s.codec !== 'none');
+        if (codec !== 'none') {
+            const encodedSize = segments.reduce((sum, s) => sum + s.encodedLength, 0);
+            const compressionRatio = originalSize > 0 ? ((1 - encodedSize / originalSize) * 100).toFixed(2) : '0.00';
+            const skipped = segments.length - compressedSegments.length;
+            console.log(chalk.gray(`Compression: ${compressionRatio}% reduction${skipped > 0 ? `, ${skipped} incompressible segment(s) stored as-is` : ''}`));
+        }
+        
+        const used = segments.flatMap(s => s.partitions.flatMap(p => p.fragments))
+            .map(fragment => PlacementPolicy.domainsOf(PlacementPolicy.fragmentNode(fragment)));
+        const spread = level => new Set(used.map(domains => domains[level])).size;
+        console.log(chalk.gray(`Placement: copies of each partition in distinct ${placement.domainLabel}; ${spread('node')} nodes, ${spread('subnet')} subnets, ${spread('country')} countries used`));
+        
+        const recoverySpinner = ora('Generating recovery file...').start();
+        const recoveryFile = {
+            version: '4.1',
+            fileId,
+            fileName,
+            fileHash: originalFileHash,
+            originalSize,
+            // Legacy flag for compression applied after master encryption; segments now name their own codec
+            compressed: false,
+            compression: {
+                codec,
+                stage: 'before-encryption',
+                segmentsCompressed: compressedSegments.length
+            },
+            redundancy,
+            reedSolomon: reedSolomon,
+            reedSolomonConfig: reedSolomon ? {
+                dataShards: dataShards,
+                parityShards: parityShards,
+                totalShards: totalShards,
+                matrix: 'vandermonde'
+            } : null,
+            segmentSize,
+            placement: placement.describe(),
+            lease,
+            privacy: privacy ? privacy.describe() : null,
+            audit: { challengesPerFragment: auditChallenges },
+            timestamp: Date.now(),
+            security: {
+                doubleEncryption: true,
+                masterEncryption: {
+                    algorithm: 'AES-256-GCM',
+                    key: passwordProtected ? null : masterKey.toString('base64'),
+                    salt,
+                    keyDerivation: keySlots ? 'ENVELOPE' : passwordProtected ? 'PBKDF2' : 'RANDOM',
+                    keySlots,
+                    passwordProtected: passwordProtected,
+                    perSegment: true
+                },
+                fragmentEncryption: {
+                    algorithm: 'AES-256-GCM',
+                    uniqueKeysPerFragment: true,
+                    totalUniqueKeys: totalFragments,
+                    keyHierarchy,
+                    keyDerivation: keyHierarchy ? 'HKDF-SHA256' : 'RANDOM'
+                }
+            },
+            segments
+        };
+        
+        const recoveryFileName = `${fileName}.myst`;
+        if (recoveryPassphrase) {
+            recoverySpinner.text = 'Sealing recovery file...';
+        }
+        await RecoveryFile.save(recoveryFileName, recoveryFile, { passphrase: recoveryPassphrase });
+        await journal.remove();
+        recoverySpinner.succeed(`Recovery file saved: ${recoveryFileName}${recoveryPassphrase ? ' (sealed)' : ''}`);
+        
+        console.log(chalk.green.bold('\nUpload Complete'));
+        console.log(chalk.cyan('Security Summary:'));
+        console.log(chalk.gray(`  - Master encryption: AES-256-GCM (${segments.length} segment(s))`));
+        if (passwordProtected) {
+            console.log(chalk.yellow(`  - Password Protected: YES`));
+            console.log(chalk.yellow(`  - Password required for download`));
+        }
+        console.log(chalk.gray(keyHierarchy
+            ? `  - Fragment encryption: ${totalFragments} unique keys derived from one root key`
+            : `  - Fragment encryption: ${totalFragments} unique keys`));
+        if (recoveryPassphrase) {
+            console.log(chalk.yellow(`  - Recovery file sealed: passphrase required to use it`));
+        }
+        if (privacy) {
+            console.log(chalk.gray(privacy.fragmentSize
+                ? `  - Privacy: all fragments ${privacy.fragmentSize} bytes, opaque tags instead of file metadata`
+                : `  - Privacy: sizes padded to buckets, opaque tags instead of file metadata`));
+        }
+        console.log(chalk.gray(`  - Total encryption layers: 2`));
+        console.log(chalk.gray(`  - All encryption client-side`));
+        const recoveryFileStats = await fs.stat(recoveryFileName);
+        console.log(chalk.gray(`Recovery file: ${recoveryFileName} (${(recoveryFileStats.size / 1024).toFixed(2)} KB)`));
+        
+        return recoveryFileName;
+    }
+    
+    async uploadSegment(segment, settings, nodePool, spinner) {
+        const { fileId, masterKey, codec, reedSolomon, dataShards, parityShards, redundancy, fragmentRootKey, journal, uploadConcurrency, placement, lease, privacy, capacity, auditChallenges } = settings;
+        
+        // A resumed segment reuses its journaled codec and IV, so it encrypts and shards to exactly the bytes already stored
+        const journaled = journal.getSegment(segment.index);
+        
+        spinner.text = `Compressing segment ${segment.index}...`;
+        let segmentCodec = journaled ? (journaled.codec || 'none') : CompressionUtils.choose(segment.data, codec);
+        let compressed = CompressionUtils.compress(segment.data, segmentCodec);
+        if (!journaled && codec === 'auto' && compressed.length >= segment.data.length) {
+            // The samples compressed, but the segment as a whole did not
+            segmentCodec = 'none';
+            compressed = segment.data;
+        }
+        if (!journaled && capacity && compressed.length > capacity) {
+            // A forced codec grew incompressible data past what the fixed-size fragments hold
+            segmentCodec = 'none';
+            compressed = segment.data;
+        }
+        const content = privacy ? privacy.pad(compressed, capacity) : compressed;
+        
+        spinner.text = `Encrypting segment ${segment.index}...`;
+        const masterIV = journaled ? Buffer.from(journaled.iv, 'base64') : CryptoUtils.generateIV();
+        const { encrypted, tag } = CryptoUtils.encrypt(content, masterKey, masterIV);
+        const encryptedHash = CryptoUtils.calculateChecksum(encrypted);
+        
+        if (journaled && journaled.encryptedHash !== encryptedHash) {
+            throw new Error(`Segment ${segment.index} does not match the journal; the source file has changed since the upload started`);
+        }
+        
+        const shards = reedSolomon
+            ? ReedSolomon.encode(encrypted, dataShards, parityShards)
+            : FileUtils.splitFile(encrypted, dataShards);
+        
+        if (!journaled) {
+            await journal.recordSegment({
+                index: segment.index,
+                offset: segment.offset,
+                size: segment.data.length,
+                codec: segmentCodec,
+                iv: masterIV.toString('base64'),
+                encryptedHash
+            });
+        }
+        
+        const partitions = await this.distributePartitionsWithDoubleEncryption(
+            shards,
+            nodePool,
+            redundancy,
+            { fileId, segmentIndex: segment.index, fragmentRootKey, journal, uploadConcurrency, placement, privacy, auditChallenges, expiresAt: lease ? lease.expiresAt : null },
+            spinner
+        );
+        
+        console.log(chalk.gray(`  Segment ${segment.index}: ${segment.data.length} bytes uploaded as ${shards.length} shards`));
+        
+        const result = {
+            index: segment.index,
+            offset: segment.offset,
+            size: segment.data.length,
+            codec: segmentCodec,
+            iv: masterIV.toString('base64'),
+            tag: tag.toString('base64'),
+            encryptedHash,
+            encodedLength: encrypted.length,
+            partitions
+        };
+        if (privacy) {
+            // What is left once the padding is cut off after master decryption
+            result.contentLength = compressed.length;
+        }
+        return result;
+    }
+    
+    deriveMasterKey(input, returnSalt = false, salt = crypto.randomBytes(32)) {
         if (typeof input === 'string') {
-            const salt = crypto.randomBytes(32);
             const key = crypto.pbkdf2Sync(input, salt, 100000, 32, 'sha256');
             
             if (returnSalt) {
@@ -203,10 +518,10 @@ class Uploader {
         }
     }
     
-    async distributePartitionsWithDoubleEncryption(partitions, nodes, redundancy, metadata, spinner) {
+    async distributePartitionsWithDoubleEncryption(partitions, pool, redundancy, metadata, spinner) {
         const recoveryMap = [];
-        let nodeIndex = 0;
-        let totalEncryptions = 0;
+        const pending = [];
+        const placement = (metadata.placement || new PlacementPolicy()).forSegment();
         
         for (let i = 0; i < partitions.length; i++) {
             const partition = partitions[i];
@@ -217,91 +532,192 @@ class Uploader {
                 fragments: []
             };
             
+            const confirmed = metadata.journal ? metadata.journal.getFragments(metadata.segmentIndex, i).slice() : [];
+            partitionInfo.fragments.push(...confirmed);
+            confirmed.forEach(fragment => placement.add(i, PlacementPolicy.fragmentNode(fragment)));
+            
             for (let r = 0; r < redundancy; r++) {
-                const node = nodes[nodeIndex % nodes.length];
-                
-                const fragmentKey = CryptoUtils.generateKey();
-                const fragmentIV = CryptoUtils.generateIV();
-                
-                const salt = crypto.randomBytes(16);
-                const derivedFragmentKey = crypto.pbkdf2Sync(
-                    fragmentKey,
-                    salt,
-                    10000,
-                    32,
-                    'sha256'
-                );
-                
-                const { encrypted, tag } = CryptoUtils.encrypt(
-                    partition,
-                    derivedFragmentKey,
-                    fragmentIV
-                );
-                
-                const fragmentId = CryptoUtils.calculateChecksum(
-                    Buffer.concat([
-                        encrypted,
-                        fragmentKey,
-                        fragmentIV,
-                        Buffer.from(`${i}-${r}-${Date.now()}`)
-                    ])
-                );
-                
-                try {
-                    const nodeUrl = NetworkUtils.formatNodeUrl(node.address, node.port);
-                    
-                    spinner.text = `Uploading fragment ${i}-${r} to ${node.address}:${node.port}...`;
-                    
-                    await axios.post(`${nodeUrl}/store`, {
-                        fragmentId,
-                        data: encrypted.toString('base64'),
-                        checksum: CryptoUtils.calculateChecksum(encrypted),
-                        metadata: {
-                            fileHash: metadata.fileHash,
-                            partitionIndex: i,
-                            redundancyIndex: r,
-                            doubleEncrypted: true,
-                            timestamp: Date.now()
-                        }
-                    }, {
-                        timeout: 30000,
-                        maxContentLength: Infinity,
-                        maxBodyLength: Infinity
-                    });
-                    
-                    partitionInfo.fragments.push({
-                        fragmentId,
-                        redundancyIndex: r,
-                        nodeId: node.id,
-                        nodeAddress: `${node.address}:${node.port}`,
-                        checksum: CryptoUtils.calculateChecksum(encrypted),
-                        encryption: {
-                            key: fragmentKey.toString('base64'),
-                            iv: fragmentIV.toString('base64'),
-                            tag: tag.toString('base64'),
-                            salt: salt.toString('base64'),
-                            algorithm: 'AES-256-GCM-LAYER2'
-                        }
-                    });
-                    
-                    totalEncryptions++;
-                    nodeIndex++;
-                    
-                    console.log(chalk.gray(`  Fragment ${i}-${r}: Uploaded to ${node.address}:${node.port}`));
-                    
-                } catch (error) {
-                    console.error(chalk.yellow(`Failed to upload fragment ${i}-${r} to node ${node.id}:`, error.message));
-                    r--;
+                if (!confirmed.some(fragment => fragment.redundancyIndex === r)) {
+                    pending.push({ partition, partitionInfo, redundancyIndex: r });
                 }
             }
             
             recoveryMap.push(partitionInfo);
         }
         
-        console.log(chalk.green(`\nCreated ${totalEncryptions} double-encrypted fragments`));
+        await runConcurrently(pending, metadata.uploadConcurrency || constants.NETWORK.UPLOAD_CONCURRENCY, async (task) => {
+            const fragment = await this.storeFragmentWithRetries(task.partition, pool, placement, {
+                fileId: metadata.fileId,
+                segmentIndex: metadata.segmentIndex,
+                partitionIndex: task.partitionInfo.index,
+                redundancyIndex: task.redundancyIndex,
+                expiresAt: metadata.expiresAt,
+                privacy: metadata.privacy,
+                auditChallenges: metadata.auditChallenges
+            }, metadata.fragmentRootKey, spinner);
+            
+            task.partitionInfo.fragments.push(fragment);
+            if (metadata.journal) {
+                await metadata.journal.recordFragment(metadata.segmentIndex, task.partitionInfo.index, fragment);
+            }
+        });
+        
+        for (const partitionInfo of recoveryMap) {
+            partitionInfo.fragments.sort((a, b) => a.redundancyIndex - b.redundancyIndex);
+        }
+        
+        console.log(chalk.green(`Created ${pending.length} double-encrypted fragments for segment ${metadata.segmentIndex}`));
         return recoveryMap;
     }
     
+    /**
+     * Stores one fragment, moving to another node after each failure and
+     * backing off between attempts. Gives up after MAX_RETRIES retries, or
+     * as soon as neither the pool nor the directory has a node left that
+     * the placement policy allows for this partition.
+     */
+    async storeFragmentWithRetries(partition, pool, placement, metadata, fragmentRootKey, spinner) {
+        const { segmentIndex, partitionIndex, redundancyIndex } = metadata;
+        const label = `${segmentIndex}/${partitionIndex}-${redundancyIndex}`;
+        const tried = new Set();
+        let lastError = null;
+        
+        for (let attempt = 0; attempt <= constants.NETWORK.MAX_RETRIES; attempt++) {
+            if (attempt > 0) {
+                await new Promise(resolve => setTimeout(resolve, constants.NETWORK.RETRY_BACKOFF * 2 ** (attempt - 1)));
+            }
+            
+            let node = placement.choose(partitionIndex, pool.candidates(tried));
+            if (!node && await pool.replenish().catch(() => 0) > 0) {
+                node = placement.choose(partitionIndex, pool.candidates(tried));
+            }
+            if (!node) {
+                const error = new Error(`No storage node left that the placement policy allows for fragment ${label}${lastError ? ` (last error: ${lastError.message})` : ''}`);
+                error.code = 'PLACEMENT_UNSATISFIABLE';
+                throw error;
+            }
+            pool.markUsed(node);
+            tried.add(node.id);
+            
+            try {
+                spinner.text = `Uploading fragment ${label} to ${node.address}:${node.port}...`;
+                const fragment = await this.encryptAndStoreFragment(partition, node, metadata, fragmentRootKey);
+                pool.reportSuccess(node);
+                
+                console.log(chalk.gray(`  Fragment ${label}: Uploaded to ${node.address}:${node.port}`));
+                return fragment;
+            } catch (error) {
+                placement.remove(partitionIndex, node);
+                lastError = error;
+                console.error(chalk.yellow(`Failed to upload fragment ${label} to node ${node.id}:`, error.message));
+                
+                // Bring in a replacement for a blacklisted node; if the directory is unreachable, carry on with the rest
+                if (pool.reportFailure(node)) {
+                    await pool.replenish().catch(() => 0);
+                }
+            }
+        }
+        
+        throw new Error(`Fragment ${label} could not be stored after ${constants.NETWORK.MAX_RETRIES + 1} attempts: ${lastError.message}`);
+    }
+    
+    /**
+     * Encrypts one partition under a fresh fragment key (layer 2), stores it
+     * on the given node and returns the fragment entry for the recovery file.
+     * With a fragment root key the key is derived instead of random, and the
+     * IV and tag travel inside the fragment, so the entry holds no key material.
+     */
+    async encryptAndStoreFragment(partition, node, metadata, fragmentRootKey = null) {
+        const { segmentIndex, partitionIndex, redundancyIndex } = metadata;
+        let encrypted;
+        let encryption;
+        
+        if (fragmentRootKey) {
+            const fragmentKey = CryptoUtils.deriveFragmentKey(fragmentRootKey, segmentIndex, partitionIndex, redundancyIndex);
+            encrypted = CryptoUtils.sealFragment(partition, fragmentKey);
+        } else {
+            // A random 32-byte key is used as is; stretching it adds nothing
+            const fragmentKey = CryptoUtils.generateKey();
+            const fragmentIV = CryptoUtils.generateIV();
+            
+            const result = CryptoUtils.encrypt(
+                partition,
+                fragmentKey,
+                fragmentIV
+            );
+            encrypted = result.encrypted;
+            encryption = {
+                key: fragmentKey.toString('base64'),
+                iv: fragmentIV.toString('base64'),
+                tag: result.tag.toString('base64'),
+                algorithm: 'AES-256-GCM-LAYER2'
+            };
+        }
+        
+        const fragmentId = CryptoUtils.calculateChecksum(
+            Buffer.concat([
+                encrypted,
+                crypto.randomBytes(16),
+                Buffer.from(`${partitionIndex}-${redundancyIndex}-${Date.now()}`)
+            ])
+        );
+        
+        // Only the holder of this secret can later ask the node to delete the fragment
+        const deletionSecret = crypto.randomBytes(32);
+        const checksum = CryptoUtils.calculateChecksum(encrypted);
+        
+        const nodeClient = new NodeClient(node.address, node.port, node.capabilities, node);
+        await nodeClient.storeFragment(fragmentId, encrypted, {
+            checksum,
+            deletionHash: CryptoUtils.calculateChecksum(deletionSecret),
+            expiresAt: metadata.expiresAt || null,
+            // In privacy mode the node only learns which fragments are copies of the same partition
+            metadata: metadata.privacy ? { tag: metadata.privacy.tag(segmentIndex, partitionIndex) } : {
+                fileId: metadata.fileId,
+                segmentIndex,
+                partitionIndex,
+                redundancyIndex,
+                doubleEncrypted: true,
+                timestamp: Date.now()
+            }
+        });
+        
+        const fragment = {
+            fragmentId,
+            redundancyIndex,
+            nodeId: node.id,
+            nodeAddress: `${node.address}:${node.port}`,
+            checksum,
+            deletionSecret: deletionSecret.toString('base64'),
+            challenges: CryptoUtils.createStorageChallenges(encrypted, metadata.auditChallenges)
+        };
+        if (node.country) {
+            fragment.country = node.country;
+        }
+        if (encryption) {
+            fragment.encryption = encryption;
+        }
+        return fragment;
+    }
+    
+    async fetchNodes({ count, minSpace, placement = null }) {
+        const params = { count, minSpace };
+        if (placement && placement.allowRegions) params.allowRegions = placement.allowRegions.join(',');
+        if (placement && placement.denyRegions) params.denyRegions = placement.denyRegions.join(',');
+        
+        const response = await axios.get(`${this.directoryServer}/nodes`, { params });
+        if (!placement) {
+            return response.data.nodes;
+        }
+        
+        // The directory filters too, but an older one ignores the region parameters
+        const nodes = response.data.nodes.filter(node => placement.allows(node));
+        if (nodes.length < response.data.nodes.length) {
+            console.log(chalk.gray(`  Ignored ${response.data.nodes.length - nodes.length} node(s) outside the allowed regions`));
+        }
+        return nodes;
+    }
+    
     async measureNodeLatencies(nodes) {
         const latencies = {};
         
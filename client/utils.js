@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const zlib = require('zlib');
 const pako = require('pako');
 const constants = require('../shared/constants');
 const ReedSolomonEncoder = require('./reed-solomon');
@@ -49,16 +50,135 @@ class CryptoUtils {
         return decrypted;
     }
     
+    /**
+     * Key hierarchy: one fragment root key per file, derived from the
+     * master key, and one fragment key per (segment, partition, replica)
+     * derived from the root. Recovery files then store no per-fragment keys.
+     */
+    static deriveFragmentRootKey(masterKey, fileId) {
+        return Buffer.from(crypto.hkdfSync('sha256', masterKey, Buffer.from(fileId, 'utf8'), 'mysterium/fragment-root/v1', 32));
+    }
+    
+    static deriveFragmentKey(rootKey, segmentIndex, partitionIndex, redundancyIndex) {
+        const info = `mysterium/fragment/v1/${segmentIndex}/${partitionIndex}/${redundancyIndex}`;
+        return Buffer.from(crypto.hkdfSync('sha256', rootKey, Buffer.alloc(0), info, 32));
+    }
+    
+    /**
+     * Encrypts into a self-contained blob (IV || ciphertext || tag), for
+     * fragments whose record carries no IV or tag of its own.
+     */
+    static sealFragment(data, key) {
+        const iv = this.generateIV();
+        const { encrypted, tag } = this.encrypt(data, key, iv);
+        return Buffer.concat([iv, encrypted, tag]);
+    }
+    
+    static openFragment(blob, key) {
+        const ivLength = constants.ENCRYPTION.IV_LENGTH;
+        const tagLength = constants.ENCRYPTION.TAG_LENGTH;
+        if (blob.length < ivLength + tagLength) {
+            throw new Error('Fragment is too short to hold an IV and tag');
+        }
+        return this.decrypt(
+            blob.subarray(ivLength, blob.length - tagLength),
+            key,
+            blob.subarray(0, ivLength),
+            blob.subarray(blob.length - tagLength)
+        );
+    }
+    
     static calculateChecksum(data) {
         return crypto.createHash('sha256').update(data).digest('hex');
     }
     
-    static compress(data) {
-        return Buffer.from(pako.deflate(data));
+    /**
+     * Precomputes proof-of-storage challenges for a fragment: each one is a
+     * random nonce and byte range plus the HMAC(nonce, range) a node holding
+     * the fragment must return.
+     */
+    static createStorageChallenges(data, count = constants.AUDIT.CHALLENGES_PER_FRAGMENT, maxLength = constants.AUDIT.CHALLENGE_LENGTH) {
+        const challenges = [];
+        
+        for (let i = 0; i < count; i++) {
+            const nonce = crypto.randomBytes(16);
+            const length = Math.min(maxLength, data.length);
+            const offset = data.length > length ? crypto.randomInt(0, data.length - length + 1) : 0;
+            const expected = crypto.createHmac('sha256', nonce)
+                .update(data.subarray(offset, offset + length))
+                .digest('hex');
+            
+            challenges.push({ nonce: nonce.toString('base64'), offset, length, expected });
+        }
+        
+        return challenges;
+    }
+}
+
+class CompressionUtils {
+    static CODECS = ['auto', 'brotli', 'gzip', 'none'];
+    
+    static compress(data, codec) {
+        switch (codec) {
+            case 'brotli':
+                return zlib.brotliCompressSync(data, {
+                    params: {
+                        [zlib.constants.BROTLI_PARAM_QUALITY]: constants.COMPRESSION.BROTLI_QUALITY,
+                        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: data.length
+                    }
+                });
+            case 'gzip':
+                return zlib.gzipSync(data, { level: constants.COMPRESSION.GZIP_LEVEL });
+            case 'deflate':
+                return Buffer.from(pako.deflate(data));
+            case 'none':
+                return data;
+            default:
+                throw new Error(`Unknown compression codec "${codec}"`);
+        }
     }
     
-    static decompress(data) {
-        return Buffer.from(pako.inflate(data));
+    /**
+     * `maxOutputLength` stops corrupted input from expanding past the size
+     * the data is known to have. 'deflate' is the pako stream older uploads
+     * applied to ciphertext.
+     */
+    static decompress(data, codec, maxOutputLength = undefined) {
+        switch (codec) {
+            case 'brotli':
+                return zlib.brotliDecompressSync(data, { maxOutputLength });
+            case 'gzip':
+                return zlib.gunzipSync(data, { maxOutputLength });
+            case 'deflate':
+                return Buffer.from(pako.inflate(data));
+            case 'none':
+                return data;
+            default:
+                throw new Error(`Unknown compression codec "${codec}"`);
+        }
+    }
+    
+    /**
+     * Resolves 'auto' for one segment: a few samples spread over the data
+     * are compressed, and the auto codec is only used if they shrink by at
+     * least MIN_SAVING. Any other codec is returned as it is.
+     */
+    static choose(data, codec) {
+        if (codec !== 'auto') return codec;
+        
+        const { AUTO_CODEC, SAMPLE_SIZE, SAMPLES, MIN_SAVING } = constants.COMPRESSION;
+        const step = data.length > SAMPLE_SIZE ? Math.floor((data.length - SAMPLE_SIZE) / (SAMPLES - 1)) : 0;
+        let sampled = 0;
+        let compressed = 0;
+        
+        for (let i = 0; i < SAMPLES; i++) {
+            const sample = data.subarray(i * step, i * step + SAMPLE_SIZE);
+            sampled += sample.length;
+            compressed += this.compress(sample, AUTO_CODEC).length;
+            if (step === 0) break;
+        }
+        
+        return sampled > 0 && compressed <= sampled * (1 - MIN_SAVING) ? AUTO_CODEC : 'none';
     }
 }
 
@@ -113,13 +233,14 @@ class ReedSolomon {
         return this.encoder.encode(data, dataShards, parityShards);
     }
     
-    static decode(shards, dataShards, parityShards) {
-        return this.encoder.decode(shards, dataShards, parityShards);
+    static decode(shards, dataShards, parityShards, dataLength = null) {
+        return this.encoder.decode(shards, dataShards, parityShards, dataLength);
     }
 }
 
 module.exports = {
     CryptoUtils,
+    CompressionUtils,
     FileUtils,
     ReedSolomon,
     NetworkUtils
@@ -22,12 +22,16 @@ const config = {
             
             // Default: http with port
             return `http://${this.host}:${this.port}`;
-        }
+        },
+        dataPath: process.env.DIRECTORY_DATA_PATH || './storage/directory'
     },
     
     storageNode: {
         defaultPort: parseInt(process.env.STORAGE_NODE_DEFAULT_PORT) || 9000,
-        maxStorageGB: parseInt(process.env.STORAGE_NODE_MAX_STORAGE_GB) || 10
+        maxStorageGB: parseInt(process.env.STORAGE_NODE_MAX_STORAGE_GB) || 10,
+        integrityCheckInterval: parseInt(process.env.INTEGRITY_CHECK_INTERVAL) || 3600000,
+        integrityCheckRateMB: parseInt(process.env.INTEGRITY_CHECK_RATE_MB) || 20,
+        leaseSweepInterval: parseInt(process.env.LEASE_SWEEP_INTERVAL) || 3600000
     },
     
     network: {
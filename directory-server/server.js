@@ -0,0 +1,632 @@
+const express = require('express');
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const chalk = require('chalk');
+const cors = require('cors');
+const compression = require('compression');
+const geoip = require('geoip-lite');
+const Signing = require('../shared/signing');
+const config = require('../config');
+
+const SERVICE_NAME = 'Mysterium Directory Server';
+const SERVICE_VERSION = '3.0.0';
+
+class DirectoryServer {
+    constructor(serverConfig = {}) {
+        this.app = express();
+        
+        this.config = {
+            port: serverConfig.port || config.directoryServer.port,
+            dataPath: path.resolve(serverConfig.dataPath || config.directoryServer.dataPath),
+            nodeTimeout: serverConfig.nodeTimeout || config.network.nodeTimeout,
+            heartbeatInterval: serverConfig.heartbeatInterval || config.network.heartbeatInterval
+        };
+        
+        this.nodes = new Map();
+        this.fragments = new Map();
+        this.stateFilePath = path.join(this.config.dataPath, 'registry.json');
+        this.saveTimer = null;
+        
+        this.setupMiddleware();
+        this.setupRoutes();
+    }
+    
+    setupMiddleware() {
+        // Behind a reverse proxy (e.g. Render) req.ip must come from X-Forwarded-For
+        this.app.set('trust proxy', true);
+        this.app.use(cors());
+        this.app.use(compression());
+        this.app.use(express.json({ limit: '1mb' }));
+    }
+    
+    setupRoutes() {
+        this.app.get('/', (req, res) => {
+            res.json({
+                service: SERVICE_NAME,
+                version: SERVICE_VERSION,
+                status: 'online',
+                uptime: process.uptime()
+            });
+        });
+        
+        this.app.post('/register', (req, res) => {
+            const { port, availableSpace, publicKey, publicIp, nodeId, capabilities, timestamp, signature } = req.body;
+            
+            if (!port || isNaN(parseInt(port))) {
+                return res.status(400).json({ success: false, message: 'A valid port is required' });
+            }
+            
+            const existing = nodeId ? this.nodes.get(nodeId) : undefined;
+            const signed = Boolean(signature) && Signing.verify({
+                type: 'register', nodeId: nodeId || null, port, publicIp, publicKey, timestamp
+            }, signature, publicKey);
+            
+            if (signature && (!signed || !Signing.isFresh(timestamp))) {
+                return res.status(401).json({ success: false, message: 'Invalid registration signature' });
+            }
+            // Once a node ID is bound to a key, only the holder of that key may register under it
+            if (existing && existing.publicKey && (!signed || Signing.fingerprint(publicKey) !== Signing.fingerprint(existing.publicKey))) {
+                console.log(chalk.red(`Rejected registration for node ${nodeId.substring(0, 8)}...: identity key does not match`));
+                return res.status(409).json({ success: false, message: 'Node ID is bound to a different identity key' });
+            }
+            
+            const address = this.resolveNodeAddress(publicIp, req.ip);
+            const id = nodeId || crypto.randomUUID();
+            const now = Date.now();
+            
+            if (existing && (existing.address !== address || existing.port !== parseInt(port))) {
+                console.log(chalk.cyan(`Node ${id.substring(0, 8)}... moved from ${existing.address}:${existing.port} to ${address}:${port}`));
+            }
+            
+            const node = {
+                id,
+                address,
+                port: parseInt(port),
+                // Unsigned registrations come from older nodes whose key changes on every start
+                publicKey: signed ? publicKey : null,
+                lastSignedAt: signed ? timestamp : null,
+                capabilities: Array.isArray(capabilities) ? capabilities : [],
+                availableSpace: parseInt(availableSpace) || 0,
+                storedFragments: existing ? existing.storedFragments : 0,
+                country: this.lookupCountry(address),
+                registeredAt: existing ? existing.registeredAt : now,
+                lastHeartbeat: now,
+                heartbeats: existing ? existing.heartbeats + 1 : 1,
+                status: 'active'
+            };
+            // A node that restarts or re-registers mid-drain is still leaving
+            if (existing && existing.draining) {
+                node.draining = true;
+            }
+            
+            this.nodes.set(id, node);
+            this.scheduleSave();
+            
+            console.log(chalk.green(`${existing ? 'Re-registered' : 'Registered'} node ${id.substring(0, 8)}... at ${address}:${node.port} (${node.country})`));
+            res.json({ success: true, nodeId: id });
+        });
+        
+        this.app.post('/heartbeat/:nodeId', (req, res) => {
+            const node = this.nodes.get(req.params.nodeId);
+            if (!node) {
+                return res.status(404).json({ success: false, message: 'Node not registered' });
+            }
+            
+            const { availableSpace, storedFragments, timestamp, signature } = req.body;
+            if (node.publicKey) {
+                const valid = Signing.verify({
+                    type: 'heartbeat', nodeId: node.id, availableSpace, storedFragments, timestamp
+                }, signature, node.publicKey);
+                // Heartbeats must also be newer than the last one, so a captured one cannot be replayed
+                if (!valid || !Signing.isFresh(timestamp) || timestamp <= node.lastSignedAt) {
+                    console.log(chalk.red(`Rejected heartbeat for node ${node.id.substring(0, 8)}...: invalid signature`));
+                    return res.status(401).json({ success: false, message: 'Invalid heartbeat signature' });
+                }
+                node.lastSignedAt = timestamp;
+            }
+            
+            if (availableSpace !== undefined) node.availableSpace = parseInt(availableSpace) || 0;
+            if (storedFragments !== undefined) node.storedFragments = parseInt(storedFragments) || 0;
+            
+            if (node.status !== 'active') {
+                console.log(chalk.green(`Node ${node.id.substring(0, 8)}... is back online`));
+            }
+            
+            node.lastHeartbeat = Date.now();
+            node.heartbeats++;
+            node.status = 'active';
+            this.scheduleSave();
+            
+            res.json({ success: true });
+        });
+        
+        this.app.post('/node/:nodeId/drain', (req, res) => {
+            const node = this.nodes.get(req.params.nodeId);
+            if (!node) {
+                return res.status(404).json({ success: false, message: 'Node not registered' });
+            }
+            
+            const { timestamp, signature } = req.body;
+            if (node.publicKey && (!Signing.verify({ type: 'drain', nodeId: node.id, timestamp }, signature, node.publicKey) || !Signing.isFresh(timestamp))) {
+                return res.status(401).json({ success: false, message: 'Invalid drain signature' });
+            }
+            
+            if (!node.draining) {
+                console.log(chalk.yellow(`Node ${node.id.substring(0, 8)}... is draining; no longer handing it out for uploads`));
+            }
+            node.draining = true;
+            this.scheduleSave();
+            
+            res.json({ success: true });
+        });
+        
+        this.app.post('/unregister/:nodeId', (req, res) => {
+            const { nodeId } = req.params;
+            const node = this.nodes.get(nodeId);
+            if (!node) {
+                return res.status(404).json({ success: false, message: 'Node not registered' });
+            }
+            
+            // Dropping the record would also free the node ID for another key, so only its holder may do it
+            const { timestamp, signature } = req.body;
+            if (!this.verifyNodeStatement(node, { type: 'unregister', nodeId, timestamp }, signature)) {
+                return res.status(401).json({ success: false, message: 'Invalid unregister signature' });
+            }
+            
+            this.nodes.delete(nodeId);
+            for (const [fragmentId, record] of this.fragments) {
+                record.nodes = record.nodes.filter(id => id !== nodeId);
+                if (record.nodes.length === 0 && !(record.corrupted && record.corrupted.length > 0)) {
+                    this.fragments.delete(fragmentId);
+                }
+            }
+            
+            this.scheduleSave();
+            console.log(chalk.yellow(`Unregistered node ${nodeId.substring(0, 8)}...`));
+            res.json({ success: true });
+        });
+        
+        this.app.post('/fragment/register', (req, res) => {
+            // Older nodes identify the upload by fileHash, newer ones by an opaque fileId, or only the partition by a tag
+            const { fragmentId, nodeId, fileId, fileHash, segmentIndex, partitionIndex, tag, timestamp, signature } = req.body;
+            
+            if (!fragmentId || !nodeId) {
+                return res.status(400).json({ success: false, message: 'fragmentId and nodeId are required' });
+            }
+            const node = this.nodes.get(nodeId);
+            if (!node) {
+                return res.status(404).json({ success: false, message: 'Node not registered' });
+            }
+            if (!this.verifyNodeStatement(node, {
+                type: 'fragment-register', fragmentId, nodeId, fileId, segmentIndex, partitionIndex, tag, timestamp
+            }, signature)) {
+                return res.status(401).json({ success: false, message: 'Invalid fragment registration signature' });
+            }
+            
+            const record = this.fragments.get(fragmentId) || {
+                fragmentId,
+                fileId: fileId || fileHash || null,
+                segmentIndex: segmentIndex !== undefined ? segmentIndex : null,
+                partitionIndex: partitionIndex !== undefined ? partitionIndex : null,
+                tag: tag || null,
+                nodes: [],
+                registeredAt: Date.now()
+            };
+            
+            if (!record.nodes.includes(nodeId)) {
+                record.nodes.push(nodeId);
+            }
+            // A fresh copy from a node that previously reported this fragment corrupted replaces the bad one
+            if (record.corrupted) {
+                record.corrupted = record.corrupted.filter(entry => entry.nodeId !== nodeId);
+            }
+            
+            this.fragments.set(fragmentId, record);
+            this.scheduleSave();
+            
+            res.json({ success: true });
+        });
+        
+        this.app.post('/fragment/unregister', (req, res) => {
+            const { fragmentIds, nodeId, timestamp, signature } = req.body;
+            
+            if (!Array.isArray(fragmentIds) || !nodeId) {
+                return res.status(400).json({ success: false, message: 'fragmentIds array and nodeId are required' });
+            }
+            const node = this.nodes.get(nodeId);
+            if (!node) {
+                return res.status(404).json({ success: false, message: 'Node not registered' });
+            }
+            if (!this.verifyNodeStatement(node, { type: 'fragment-unregister', nodeId, fragmentIds, timestamp }, signature)) {
+                return res.status(401).json({ success: false, message: 'Invalid fragment removal signature' });
+            }
+            
+            let removed = 0;
+            for (const fragmentId of fragmentIds) {
+                const record = this.fragments.get(fragmentId);
+                if (!record) continue;
+                
+                // A node drops only its own copy; the record goes with the last one
+                record.nodes = record.nodes.filter(id => id !== nodeId);
+                if (record.nodes.length === 0 && !(record.corrupted && record.corrupted.length > 0)) {
+                    this.fragments.delete(fragmentId);
+                }
+                removed++;
+            }
+            
+            if (removed > 0) {
+                this.scheduleSave();
+            }
+            
+            res.json({ success: true, removed });
+        });
+        
+        this.app.post('/fragment/moved', (req, res) => {
+            const { fragmentId, fromNodeId, toNodeId, timestamp, signature } = req.body;
+            
+            if (!fragmentId || !fromNodeId || !toNodeId) {
+                return res.status(400).json({ success: false, message: 'fragmentId, fromNodeId and toNodeId are required' });
+            }
+            const source = this.nodes.get(fromNodeId);
+            if (!source || !this.nodes.has(toNodeId)) {
+                return res.status(404).json({ success: false, message: 'Node not registered' });
+            }
+            // Only the node giving up the fragment may redirect readers to a new copy
+            if (source.publicKey && (!Signing.verify({
+                type: 'fragment-moved', fragmentId, fromNodeId, toNodeId, timestamp
+            }, signature, source.publicKey) || !Signing.isFresh(timestamp))) {
+                return res.status(401).json({ success: false, message: 'Invalid move signature' });
+            }
+            
+            const record = this.fragments.get(fragmentId) || {
+                fragmentId,
+                fileId: null,
+                segmentIndex: null,
+                partitionIndex: null,
+                nodes: [],
+                registeredAt: Date.now()
+            };
+            record.nodes = record.nodes.filter(id => id !== fromNodeId);
+            if (!record.nodes.includes(toNodeId)) {
+                record.nodes.push(toNodeId);
+            }
+            record.moves = (record.moves || []).concat({ from: fromNodeId, to: toNodeId, movedAt: Date.now() });
+            
+            this.fragments.set(fragmentId, record);
+            this.scheduleSave();
+            
+            res.json({ success: true });
+        });
+        
+        this.app.post('/fragment/corrupted', (req, res) => {
+            const { fragmentIds, nodeId, timestamp, signature } = req.body;
+            
+            if (!Array.isArray(fragmentIds) || !nodeId) {
+                return res.status(400).json({ success: false, message: 'fragmentIds array and nodeId are required' });
+            }
+            const node = this.nodes.get(nodeId);
+            if (!node) {
+                return res.status(404).json({ success: false, message: 'Node not registered' });
+            }
+            if (!this.verifyNodeStatement(node, { type: 'fragment-corrupted', nodeId, fragmentIds, timestamp }, signature)) {
+                return res.status(401).json({ success: false, message: 'Invalid corruption report signature' });
+            }
+            
+            let reported = 0;
+            for (const fragmentId of fragmentIds) {
+                const record = this.fragments.get(fragmentId);
+                if (!record) continue;
+                
+                // The record is kept even with no healthy copies left, so repair tooling can see what was lost
+                record.nodes = record.nodes.filter(id => id !== nodeId);
+                record.corrupted = (record.corrupted || []).filter(entry => entry.nodeId !== nodeId);
+                record.corrupted.push({ nodeId, reportedAt: Date.now() });
+                reported++;
+            }
+            
+            if (reported > 0) {
+                this.scheduleSave();
+                console.log(chalk.yellow(`Node ${nodeId.substring(0, 8)}... reported ${reported} corrupted fragments`));
+            }
+            
+            res.json({ success: true, reported });
+        });
+        
+        this.app.get('/fragment/:fragmentId', (req, res) => {
+            const record = this.fragments.get(req.params.fragmentId);
+            if (!record) {
+                return res.status(404).json({ success: false, message: 'Fragment not registered' });
+            }
+            
+            const describeNode = nodeId => {
+                const node = this.nodes.get(nodeId);
+                return node
+                    ? { id: node.id, address: node.address, port: node.port, status: node.status }
+                    : { id: nodeId, status: 'unregistered' };
+            };
+            
+            res.json({
+                fragmentId: record.fragmentId,
+                fileId: record.fileId,
+                segmentIndex: record.segmentIndex,
+                partitionIndex: record.partitionIndex,
+                registeredAt: record.registeredAt,
+                nodes: record.nodes.map(describeNode),
+                corrupted: (record.corrupted || []).map(entry => ({ ...describeNode(entry.nodeId), reportedAt: entry.reportedAt })),
+                moves: record.moves || [],
+                partitionNodes: this.getPartitionNodes(record)
+            });
+        });
+        
+        this.app.get('/node/:nodeId', (req, res) => {
+            const node = this.nodes.get(req.params.nodeId);
+            if (!node) {
+                return res.status(404).json({ success: false, message: 'Node not registered' });
+            }
+            
+            res.json({
+                id: node.id,
+                address: node.address,
+                port: node.port,
+                status: node.status,
+                draining: Boolean(node.draining),
+                country: node.country,
+                capabilities: node.capabilities || [],
+                publicKey: node.publicKey || null,
+                lastHeartbeat: node.lastHeartbeat
+            });
+        });
+        
+        this.app.get('/nodes', (req, res) => {
+            const count = parseInt(req.query.count) || Infinity;
+            const minSpace = parseInt(req.query.minSpace) || 0;
+            const allowRegions = this.parseRegionList(req.query.allowRegions);
+            const denyRegions = this.parseRegionList(req.query.denyRegions);
+            
+            const nodes = this.getActiveNodes()
+                .filter(node => !node.draining)
+                .filter(node => node.availableSpace >= minSpace)
+                .filter(node => !allowRegions || allowRegions.includes(node.country))
+                .filter(node => !denyRegions || !denyRegions.includes(node.country))
+                .map(node => ({ node, reliability: this.calculateReliability(node) }))
+                .sort((a, b) => b.reliability - a.reliability)
+                .slice(0, count)
+                .map(({ node, reliability }) => ({
+                    id: node.id,
+                    address: node.address,
+                    port: node.port,
+                    reliability,
+                    availableSpace: node.availableSpace,
+                    country: node.country,
+                    capabilities: node.capabilities || [],
+                    publicKey: node.publicKey || null
+                }));
+            
+            res.json({ nodes });
+        });
+        
+        this.app.get('/stats', (req, res) => {
+            const activeNodes = this.getActiveNodes();
+            const nodesByCountry = {};
+            let totalAvailableSpace = 0;
+            let totalFragments = 0;
+            let reliabilitySum = 0;
+            
+            for (const node of activeNodes) {
+                nodesByCountry[node.country] = (nodesByCountry[node.country] || 0) + 1;
+                totalAvailableSpace += node.availableSpace;
+                totalFragments += node.storedFragments;
+                reliabilitySum += this.calculateReliability(node);
+            }
+            
+            res.json({
+                totalNodes: this.nodes.size,
+                activeNodes: activeNodes.length,
+                totalAvailableSpace,
+                totalFragments,
+                registeredFragments: this.fragments.size,
+                averageReliability: activeNodes.length > 0
+                    ? Number((reliabilitySum / activeNodes.length).toFixed(2))
+                    : 0,
+                nodesByCountry
+            });
+        });
+    }
+    
+    /**
+     * Checks a statement against the node's identity key. Older nodes that
+     * registered unsigned have no lasting key, so their requests pass.
+     */
+    verifyNodeStatement(node, statement, signature) {
+        if (!node.publicKey) return true;
+        return Signing.verify(statement, signature, node.publicKey) && Signing.isFresh(statement.timestamp);
+    }
+    
+    resolveNodeAddress(publicIp, requestIp) {
+        // Nodes in local mode report "localhost"; the address they connected from is more useful
+        if (publicIp && publicIp !== 'localhost') {
+            return publicIp;
+        }
+        return requestIp || 'localhost';
+    }
+    
+    parseRegionList(value) {
+        if (!value) return null;
+        const regions = String(value).split(',').map(code => code.trim().toUpperCase()).filter(Boolean);
+        return regions.length > 0 ? regions : null;
+    }
+    
+    lookupCountry(address) {
+        const normalized = address.startsWith('::ffff:') ? address.substring(7) : address;
+        const geo = geoip.lookup(normalized);
+        return geo && geo.country ? geo.country : 'Unknown';
+    }
+    
+    calculateReliability(node) {
+        // Share of the expected heartbeats that actually arrived since the node first registered
+        const elapsed = Date.now() - node.registeredAt;
+        const expectedHeartbeats = Math.floor(elapsed / this.config.heartbeatInterval) + 1;
+        const ratio = Math.min(1, node.heartbeats / expectedHeartbeats);
+        return Math.max(1, Math.round(ratio * 100));
+    }
+    
+    /**
+     * Nodes holding any copy of the same partition as `record`, so a
+     * fragment moved off a draining node does not land beside a sibling.
+     */
+    getPartitionNodes(record) {
+        if (!record.tag && (!record.fileId || record.partitionIndex === null)) {
+            return record.nodes.slice();
+        }
+        
+        // Privacy-mode fragments are grouped by their partition tag alone
+        const samePartition = record.tag
+            ? other => other.tag === record.tag
+            : other => other.fileId === record.fileId && other.segmentIndex === record.segmentIndex && other.partitionIndex === record.partitionIndex;
+        
+        const nodes = new Set();
+        for (const other of this.fragments.values()) {
+            if (samePartition(other)) {
+                other.nodes.forEach(id => nodes.add(id));
+            }
+        }
+        return Array.from(nodes);
+    }
+    
+    getActiveNodes() {
+        return Array.from(this.nodes.values()).filter(node => node.status === 'active');
+    }
+    
+    expireNodes() {
+        const cutoff = Date.now() - this.config.nodeTimeout;
+        let expired = 0;
+        
+        for (const node of this.nodes.values()) {
+            if (node.status === 'active' && node.lastHeartbeat < cutoff) {
+                node.status = 'offline';
+                expired++;
+                console.log(chalk.yellow(`Node ${node.id.substring(0, 8)}... timed out (${node.address}:${node.port})`));
+            }
+        }
+        
+        if (expired > 0) {
+            this.scheduleSave();
+        }
+    }
+    
+    startExpiryCheck() {
+        setInterval(() => this.expireNodes(), Math.max(1000, Math.floor(this.config.nodeTimeout / 2)));
+    }
+    
+    async loadState() {
+        try {
+            const state = JSON.parse(await fs.readFile(this.stateFilePath, 'utf8'));
+            this.nodes = new Map((state.nodes || []).map(node => [node.id, node]));
+            this.fragments = new Map((state.fragments || []).map(record => [record.fragmentId, record]));
+            this.expireNodes();
+            console.log(chalk.cyan(`Loaded registry: ${this.nodes.size} nodes, ${this.fragments.size} fragment records`));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                console.log(chalk.cyan('No existing registry found. Starting with an empty one.'));
+            } else {
+                console.error(chalk.yellow('Could not read registry file:', error.message));
+            }
+        }
+    }
+    
+    async saveState() {
+        const state = {
+            savedAt: Date.now(),
+            nodes: Array.from(this.nodes.values()),
+            fragments: Array.from(this.fragments.values())
+        };
+        
+        // Write to a temporary file first so a crash never leaves a truncated registry behind
+        const tempPath = `${this.stateFilePath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(state), 'utf8');
+        await fs.rename(tempPath, this.stateFilePath);
+    }
+    
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(async () => {
+            this.saveTimer = null;
+            try {
+                await this.saveState();
+            } catch (error) {
+                console.error(chalk.red('Failed to save registry:', error.message));
+            }
+        }, 1000);
+    }
+    
+    async flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        await this.saveState();
+    }
+    
+    async initialize() {
+        try {
+            await fs.mkdir(this.config.dataPath, { recursive: true });
+            await this.loadState();
+            this.startExpiryCheck();
+            this.start();
+        } catch (error) {
+            console.error(chalk.red('Failed to initialize directory server:', error));
+            process.exit(1);
+        }
+    }
+    
+    start() {
+        this.app.listen(this.config.port, '0.0.0.0', () => {
+            console.log(chalk.green.bold(`
+=======================================
+   ${SERVICE_NAME}
+   Version: ${SERVICE_VERSION}
+   Port: ${this.config.port}
+---------------------------------------
+   Registry: ${this.stateFilePath}
+   Node Timeout: ${this.config.nodeTimeout}ms
+=======================================
+            `));
+        });
+    }
+}
+
+// --- Script Execution ---
+const args = process.argv.slice(2);
+
+async function main() {
+    const serverConfig = {
+        port: parseInt(args[0]) || parseInt(process.env.PORT) || config.directoryServer.port
+    };
+    if (args[1] && !args[1].startsWith('--')) serverConfig.dataPath = args[1];
+    
+    const server = new DirectoryServer(serverConfig);
+    await server.initialize();
+    
+    async function gracefulShutdown(signal) {
+        console.log(chalk.yellow(`\nReceived ${signal}. Saving registry...`));
+        try {
+            await server.flush();
+        } catch (error) {
+            console.error(chalk.red('Failed to save registry:', error.message));
+        }
+        process.exit(0);
+    }
+    
+    process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+    process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+}
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error(chalk.red.bold('A critical error occurred:'), err);
+        process.exit(1);
+    });
+}
+
+module.exports = DirectoryServer;
@@ -13,11 +13,59 @@ module.exports = {
         HEARTBEAT_INTERVAL: 30000,
         NODE_TIMEOUT: 60000,
         MAX_RETRIES: 3,
+        RETRY_BACKOFF: 500,
+        BLACKLIST_THRESHOLD: 3,
+        UPLOAD_CONCURRENCY: 4,
+        HEDGE_DELAY: 250,
+        LATENCY_PROBE_TIMEOUT: 1000,
         CHUNK_SIZE: 1024 * 1024,
         MIN_NODES_REQUIRED: 3
     },
     REED_SOLOMON: {
         DATA_SHARDS: 10,
         PARITY_SHARDS: 4
+    },
+    CAPABILITIES: {
+        BINARY_TRANSPORT: 'binary-transport',
+        FRAGMENT_DELETION: 'fragment-deletion',
+        STORAGE_CHALLENGE: 'storage-challenge',
+        FRAGMENT_LEASE: 'fragment-lease'
+    },
+    AUDIT: {
+        CHALLENGES_PER_FRAGMENT: 4,
+        MAX_CHALLENGES_PER_FRAGMENT: 1000,
+        CHALLENGE_LENGTH: 64 * 1024
+    },
+    COMPRESSION: {
+        AUTO_CODEC: 'brotli',
+        BROTLI_QUALITY: 5,
+        GZIP_LEVEL: 6,
+        SAMPLE_SIZE: 64 * 1024,
+        SAMPLES: 4,
+        MIN_SAVING: 0.05
+    },
+    PRIVACY: {
+        MIN_PADDED_LENGTH: 64 * 1024,
+        MIN_FRAGMENT_SIZE: 4 * 1024
+    },
+    STREAMING: {
+        SEGMENT_SIZE: 64 * 1024 * 1024,
+        CONCURRENCY: 2
+    },
+    KEY_SLOTS: {
+        KDF: 'scrypt',
+        SCRYPT_N: 131072,
+        SCRYPT_R: 8,
+        SCRYPT_P: 1,
+        PBKDF2_ITERATIONS: 600000,
+        MIN_KEY_FILE_SIZE: 32
+    },
+    RECOVERY_SEAL: {
+        SCRYPT_N: 32768,
+        SCRYPT_R: 8,
+        SCRYPT_P: 1
+    },
+    SIGNING: {
+        MAX_CLOCK_SKEW: 5 * 60 * 1000
     }
 };
\ No newline at end of file
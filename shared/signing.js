@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const constants = require('./constants');
+
+/**
+ * Signatures over the statements a storage node makes: registrations,
+ * heartbeats, store receipts and retrieve responses. Every statement is a
+ * flat object with a `type` field; it is serialised with sorted keys so the
+ * signer and the verifier always hash the same bytes.
+ */
+class Signing {
+    static generateKeyPair() {
+        return crypto.generateKeyPairSync('rsa', {
+            modulusLength: 2048,
+            publicKeyEncoding: { type: 'spki', format: 'pem' },
+            privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+        });
+    }
+    
+    static publicKeyFromPrivate(privateKey) {
+        return crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' });
+    }
+    
+    static fingerprint(publicKey) {
+        const der = crypto.createPublicKey(publicKey).export({ type: 'spki', format: 'der' });
+        return crypto.createHash('sha256').update(der).digest('hex');
+    }
+    
+    static canonicalize(statement) {
+        const sorted = {};
+        for (const key of Object.keys(statement).sort()) {
+            sorted[key] = statement[key] === undefined ? null : statement[key];
+        }
+        return Buffer.from(JSON.stringify(sorted), 'utf8');
+    }
+    
+    static sign(statement, privateKey) {
+        return crypto.sign('sha256', this.canonicalize(statement), privateKey).toString('base64');
+    }
+    
+    static verify(statement, signature, publicKey) {
+        if (!signature || !publicKey) return false;
+        try {
+            return crypto.verify('sha256', this.canonicalize(statement), publicKey, Buffer.from(signature, 'base64'));
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    static isFresh(timestamp, maxSkew = constants.SIGNING.MAX_CLOCK_SKEW) {
+        return Number.isFinite(timestamp) && Math.abs(Date.now() - timestamp) <= maxSkew;
+    }
+}
+
+module.exports = Signing;
\ No newline at end of file
@@ -0,0 +1,327 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const FRAGMENT_FILE_PATTERN = /^([a-f0-9]{64})\.frag$/;
+
+/**
+ * The fragments held by one storage node. Every `<id>.frag` file has a
+ * `<id>.meta.json` sidecar with its checksum, upload metadata and deletion
+ * hash, so the in-memory index survives restarts.
+ */
+class FragmentStore {
+    constructor(storagePath) {
+        this.storagePath = storagePath;
+        this.quarantinePath = path.join(storagePath, 'quarantine');
+        this.fragments = new Map();
+        this.usedSpace = 0;
+        this.unsavedServes = new Set();
+        this.commits = new Map();
+    }
+    
+    get count() {
+        return this.fragments.size;
+    }
+    
+    has(fragmentId) {
+        return this.fragments.has(fragmentId);
+    }
+    
+    get(fragmentId) {
+        return this.fragments.get(fragmentId) || null;
+    }
+    
+    /**
+     * Whether storing under this ID would replace another fragment, or the
+     * same one with a different deletion hash. Re-storing an identical copy
+     * is allowed.
+     */
+    conflicts(fragmentId, { checksum, deletionHash }) {
+        const existing = this.fragments.get(fragmentId);
+        return Boolean(existing) && (existing.checksum !== checksum || existing.deletionHash !== (deletionHash || null));
+    }
+    
+    getFragmentPath(fragmentId) {
+        return path.join(this.storagePath, `${fragmentId}.frag`);
+    }
+    
+    // Unique per upload, so two uploads of the same ID never write into one file
+    getTempPath(fragmentId) {
+        return `${this.getFragmentPath(fragmentId)}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    }
+    
+    getMetadataPath(fragmentId) {
+        return path.join(this.storagePath, `${fragmentId}.meta.json`);
+    }
+    
+    /**
+     * Builds the index from disk. With `repair` off nothing is written or
+     * removed, so the store can be inspected while a node is serving it.
+     */
+    async load({ repair = true } = {}) {
+        const files = await fs.readdir(this.storagePath);
+        const adopted = [];
+        let leftovers = 0;
+        
+        this.fragments = new Map();
+        this.usedSpace = 0;
+        
+        for (const file of files) {
+            // Leftovers from uploads that were interrupted mid-stream
+            if (file.endsWith('.tmp')) {
+                leftovers++;
+                if (!repair) continue;
+                await fs.rm(path.join(this.storagePath, file), { force: true });
+                continue;
+            }
+            
+            const match = file.match(FRAGMENT_FILE_PATTERN);
+            if (!match) continue;
+            
+            const fragmentId = match[1];
+            const stats = await fs.stat(this.getFragmentPath(fragmentId));
+            let record;
+            
+            try {
+                record = JSON.parse(await fs.readFile(this.getMetadataPath(fragmentId), 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+                
+                // Fragments stored before sidecars existed: trust the bytes as they are now and check from here on
+                record = {
+                    fragmentId,
+                    size: stats.size,
+                    checksum: await this.hashFragment(fragmentId),
+                    metadata: undefined,
+                    deletionHash: null,
+                    storedAt: Math.floor(stats.mtimeMs),
+                    adoptedAt: Date.now()
+                };
+                if (repair) {
+                    await this.writeRecord(record);
+                }
+                adopted.push(fragmentId);
+            }
+            
+            this.fragments.set(fragmentId, record);
+            this.usedSpace += stats.size;
+        }
+        
+        // Sidecars whose fragment is gone describe nothing
+        for (const file of files) {
+            if (file.endsWith('.meta.json') && !this.fragments.has(file.replace('.meta.json', ''))) {
+                leftovers++;
+                if (!repair) continue;
+                await fs.rm(path.join(this.storagePath, file), { force: true });
+            }
+        }
+        
+        return { count: this.fragments.size, usedSpace: this.usedSpace, adopted, leftovers };
+    }
+    
+    /**
+     * Moves a fully written upload into place and records it. Commits of
+     * one ID run one at a time, so a concurrent upload cannot slip between
+     * the conflict check and the rename.
+     */
+    async commit(fragmentId, tempPath, fields) {
+        const previous = this.commits.get(fragmentId) || Promise.resolve();
+        const current = previous.catch(() => {}).then(async () => {
+            this.checkConflict(fragmentId, fields);
+            await fs.rename(tempPath, this.getFragmentPath(fragmentId));
+            return this.add(fragmentId, fields);
+        });
+        this.commits.set(fragmentId, current);
+        
+        try {
+            return await current;
+        } finally {
+            if (this.commits.get(fragmentId) === current) {
+                this.commits.delete(fragmentId);
+            }
+        }
+    }
+    
+    checkConflict(fragmentId, fields) {
+        if (this.conflicts(fragmentId, fields)) {
+            const error = new Error('A different fragment is already stored under this ID');
+            error.code = 'FRAGMENT_EXISTS';
+            throw error;
+        }
+    }
+    
+    async add(fragmentId, { size, checksum, metadata, deletionHash, expiresAt }) {
+        this.checkConflict(fragmentId, { checksum, deletionHash });
+        
+        const record = {
+            fragmentId,
+            size,
+            checksum,
+            metadata,
+            deletionHash: deletionHash || null,
+            expiresAt: expiresAt || null,
+            storedAt: Date.now()
+        };
+        await this.writeRecord(record);
+        
+        const previous = this.fragments.get(fragmentId);
+        if (previous) {
+            this.usedSpace -= previous.size;
+        }
+        this.fragments.set(fragmentId, record);
+        this.usedSpace += size;
+        
+        return record;
+    }
+    
+    /**
+     * Moves a fragment's lease to `expiresAt`. Leases only ever grow, and a
+     * fragment stored without one stays permanent.
+     */
+    async renew(fragmentId, expiresAt) {
+        const record = this.fragments.get(fragmentId);
+        if (record.expiresAt && expiresAt > record.expiresAt) {
+            record.expiresAt = expiresAt;
+            await this.writeRecord(record);
+        }
+        return record;
+    }
+    
+    /**
+     * Removes every fragment whose lease ran out. Resolves to the records
+     * that were removed.
+     */
+    async removeExpired(now = Date.now()) {
+        const expired = Array.from(this.fragments.values()).filter(record => record.expiresAt && record.expiresAt <= now);
+        for (const record of expired) {
+            await this.remove(record.fragmentId);
+        }
+        return expired;
+    }
+    
+    /**
+     * Counts a fragment being served. Counts are kept in memory and only
+     * written to the sidecars by flushServes(), so reads cost no writes.
+     */
+    recordServe(fragmentId) {
+        const record = this.fragments.get(fragmentId);
+        if (!record) return;
+        
+        record.serveCount = (record.serveCount || 0) + 1;
+        record.lastServedAt = Date.now();
+        this.unsavedServes.add(fragmentId);
+    }
+    
+    async flushServes() {
+        const fragmentIds = Array.from(this.unsavedServes);
+        this.unsavedServes.clear();
+        
+        for (const fragmentId of fragmentIds) {
+            const record = this.fragments.get(fragmentId);
+            if (record) {
+                await this.writeRecord(record);
+            }
+        }
+    }
+    
+    async writeRecord(record) {
+        const metadataPath = this.getMetadataPath(record.fragmentId);
+        const tempPath = `${metadataPath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(record), 'utf8');
+        await fs.rename(tempPath, metadataPath);
+    }
+    
+    async remove(fragmentId) {
+        const record = this.fragments.get(fragmentId);
+        
+        await fs.rm(this.getFragmentPath(fragmentId), { force: true });
+        await fs.rm(this.getMetadataPath(fragmentId), { force: true });
+        
+        if (record) {
+            this.fragments.delete(fragmentId);
+            this.usedSpace = Math.max(0, this.usedSpace - record.size);
+        }
+    }
+    
+    /**
+     * Hashes a fragment from disk. A non-zero bytesPerSecond paces the
+     * reads so background checks do not starve the node's own traffic.
+     */
+    async hashFragment(fragmentId, bytesPerSecond = 0) {
+        const hash = crypto.createHash('sha256');
+        const started = Date.now();
+        let bytesRead = 0;
+        
+        for await (const chunk of fsSync.createReadStream(this.getFragmentPath(fragmentId))) {
+            hash.update(chunk);
+            bytesRead += chunk.length;
+            
+            if (bytesPerSecond > 0) {
+                const ahead = (bytesRead / bytesPerSecond) * 1000 - (Date.now() - started);
+                if (ahead > 0) {
+                    await new Promise(resolve => setTimeout(resolve, ahead));
+                }
+            }
+        }
+        
+        return hash.digest('hex');
+    }
+    
+    /**
+     * Re-hashes a fragment against its recorded checksum. Resolves to true
+     * or false, or null when the fragment was removed or replaced while
+     * it was being read.
+     */
+    async verify(fragmentId, bytesPerSecond = 0) {
+        const record = this.fragments.get(fragmentId);
+        if (!record) return null;
+        
+        let checksum;
+        let before;
+        try {
+            before = await fs.stat(this.getFragmentPath(fragmentId));
+            checksum = await this.hashFragment(fragmentId, bytesPerSecond);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            if (this.fragments.get(fragmentId) !== record) return null;
+            return false;
+        }
+        
+        if (this.fragments.get(fragmentId) !== record) return null;
+        if (checksum !== record.checksum) {
+            // An upload renames a new file over the old one before its record is replaced
+            const after = await fs.stat(this.getFragmentPath(fragmentId)).catch(() => null);
+            if (!after || after.ino !== before.ino || this.fragments.get(fragmentId) !== record) return null;
+            return false;
+        }
+        
+        record.verifiedAt = Date.now();
+        return true;
+    }
+    
+    /**
+     * Moves a fragment and its sidecar out of the served set into
+     * quarantine/, keeping them for inspection.
+     */
+    async quarantine(fragmentId) {
+        const record = this.fragments.get(fragmentId);
+        await fs.mkdir(this.quarantinePath, { recursive: true });
+        
+        const suffix = `.${Date.now()}`;
+        for (const source of [this.getFragmentPath(fragmentId), this.getMetadataPath(fragmentId)]) {
+            try {
+                await fs.rename(source, path.join(this.quarantinePath, path.basename(source) + suffix));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+        
+        if (record) {
+            this.fragments.delete(fragmentId);
+            this.usedSpace = Math.max(0, this.usedSpace - record.size);
+        }
+    }
+}
+
+module.exports = FragmentStore;
\ No newline at end of file
@@ -0,0 +1,517 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const { pipeline } = require('stream/promises');
+const path = require('path');
+const crypto = require('crypto');
+const chalk = require('chalk');
+const ora = require('ora');
+const FragmentStore = require('./fragment-store');
+const Signing = require('../shared/signing');
+
+const EXPORT_FORMAT = 'mysterium-node-export';
+const PID_FILE = 'node.pid';
+// Files beside the fragments that belong to the node, not to any one fragment
+const NODE_FILES = ['node_id.json', 'node_key.pem', 'drain.json'];
+const SORT_FIELDS = {
+    age: (a, b) => a.storedAt - b.storedAt,
+    size: (a, b) => b.size - a.size,
+    served: (a, b) => (b.serveCount || 0) - (a.serveCount || 0)
+};
+
+function formatAge(ms) {
+    const seconds = Math.max(0, Math.floor(ms / 1000));
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h`;
+    return `${Math.floor(seconds / 86400)}d`;
+}
+
+function formatSize(bytes) {
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(2)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+}
+
+/**
+ * Maintenance commands run against a node's fragment store from the
+ * command line, without starting its HTTP server. Commands that change
+ * the store claim it first, so they refuse to run while a node is
+ * serving the same directory.
+ */
+class NodeOperator {
+    constructor(node) {
+        this.node = node;
+        this.store = node.store;
+        this.storagePath = node.config.storagePath;
+    }
+    
+    static pidFilePath(storagePath) {
+        return path.join(storagePath, PID_FILE);
+    }
+    
+    /**
+     * The pid of another live process that has claimed the store, or null.
+     */
+    static async ownerOf(storagePath) {
+        let pid;
+        try {
+            pid = parseInt(await fs.readFile(this.pidFilePath(storagePath), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return null;
+        }
+        if (!pid || pid === process.pid) return null;
+        
+        try {
+            process.kill(pid, 0);
+            return pid;
+        } catch (error) {
+            // EPERM: alive, but owned by another user
+            return error.code === 'EPERM' ? pid : null;
+        }
+    }
+    
+    static async claimStore(storagePath) {
+        const owner = await this.ownerOf(storagePath);
+        if (owner) {
+            const error = new Error(`The fragment store at ${storagePath} is in use by process ${owner}; stop that node first`);
+            error.code = 'STORE_IN_USE';
+            throw error;
+        }
+        
+        const pidFile = this.pidFilePath(storagePath);
+        await fs.writeFile(pidFile, String(process.pid), 'utf8');
+        process.on('exit', () => {
+            try {
+                if (fsSync.readFileSync(pidFile, 'utf8') === String(process.pid)) {
+                    fsSync.rmSync(pidFile, { force: true });
+                }
+            } catch (error) {
+                // Already gone, e.g. after shutdown deleted the store
+            }
+        });
+    }
+    
+    /**
+     * Loads the store index. Only a claimed store is repaired on load;
+     * otherwise it is read as it is, even while a node is serving it.
+     */
+    async open({ claim = false } = {}) {
+        try {
+            await fs.access(this.storagePath);
+        } catch (error) {
+            const notFound = new Error(`No fragment store at ${this.storagePath}`);
+            notFound.code = 'STORE_NOT_FOUND';
+            throw notFound;
+        }
+        
+        if (claim) {
+            await NodeOperator.claimStore(this.storagePath);
+        }
+        
+        try {
+            this.node.nodeId = JSON.parse(await fs.readFile(this.node.nodeIdFilePath, 'utf8')).nodeId || null;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        // Reports to the directory are signed; a key made up here would not match the one bound to the node ID
+        try {
+            this.node.privateKey = await fs.readFile(this.node.keyFilePath, 'utf8');
+            this.node.publicKey = Signing.publicKeyFromPrivate(this.node.privateKey);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        
+        return this.store.load({ repair: claim });
+    }
+    
+    /**
+     * Whether removals can be reported to the directory. A node that never
+     * registered has nothing to report; one without its identity key cannot
+     * sign the report.
+     */
+    canReport() {
+        if (!this.node.nodeId) return false;
+        if (!this.node.privateKey) {
+            console.log(chalk.yellow(`No identity key at ${this.node.keyFilePath}; the directory was not told about these fragments`));
+            return false;
+        }
+        return true;
+    }
+    
+    async list({ sort = 'age', limit = null, json = false } = {}) {
+        if (!SORT_FIELDS[sort]) {
+            throw new Error(`Unknown sort field "${sort}" (expected one of: ${Object.keys(SORT_FIELDS).join(', ')})`);
+        }
+        
+        await this.open();
+        let records = Array.from(this.store.fragments.values()).sort(SORT_FIELDS[sort]);
+        if (limit) {
+            records = records.slice(0, limit);
+        }
+        
+        if (json) {
+            console.log(JSON.stringify(records, null, 2));
+            return records;
+        }
+        
+        const now = Date.now();
+        console.log(chalk.cyan.bold(`\nFragments in ${this.storagePath}`));
+        console.log(chalk.gray('----------------------------------------'));
+        console.log(chalk.white(`${'Fragment'.padEnd(19)} ${'Size'.padStart(11)} ${'Age'.padStart(5)} ${'Served'.padStart(7)}  ${'Expires'.padEnd(8)} File`));
+        
+        for (const record of records) {
+            const metadata = record.metadata || {};
+            const fileId = metadata.fileId || metadata.fileHash;
+            const expires = record.expiresAt
+                ? (record.expiresAt <= now ? 'expired' : `in ${formatAge(record.expiresAt - now)}`)
+                : '-';
+            const file = fileId
+                ? `${fileId.substring(0, 12)}... ${metadata.segmentIndex || 0}/${metadata.partitionIndex}-${metadata.redundancyIndex}`
+                : chalk.gray('(no metadata)');
+            
+            console.log(`${record.fragmentId.substring(0, 16)}... ${formatSize(record.size).padStart(11)} ${formatAge(now - record.storedAt).padStart(5)} ${String(record.serveCount || 0).padStart(7)}  ${expires.padEnd(8)} ${file}`);
+        }
+        
+        console.log(chalk.gray('----------------------------------------'));
+        console.log(chalk.gray(`${records.length} of ${this.store.count} fragments, sorted by ${sort}`));
+        return records;
+    }
+    
+    async stats({ json = false } = {}) {
+        await this.open();
+        const now = Date.now();
+        const records = Array.from(this.store.fragments.values());
+        const served = records.filter(record => record.serveCount > 0);
+        const leased = records.filter(record => record.expiresAt);
+        const diskInfo = await this.node.getDiskInfo();
+        const quarantine = await this.quarantineUsage();
+        const owner = await NodeOperator.ownerOf(this.storagePath);
+        
+        const stats = {
+            storagePath: this.storagePath,
+            nodeId: this.node.nodeId,
+            running: owner !== null,
+            fragments: records.length,
+            usedSpace: this.store.usedSpace,
+            configuredMax: this.node.config.maxStorage,
+            diskFree: diskInfo.free,
+            oldestStoredAt: records.reduce((oldest, record) => oldest === null || record.storedAt < oldest ? record.storedAt : oldest, null),
+            serves: records.reduce((sum, record) => sum + (record.serveCount || 0), 0),
+            fragmentsServed: served.length,
+            lastServedAt: served.reduce((latest, record) => Math.max(latest, record.lastServedAt || 0), 0) || null,
+            mostServed: served.sort(SORT_FIELDS.served).slice(0, 5).map(record => ({ fragmentId: record.fragmentId, serveCount: record.serveCount })),
+            leased: leased.length,
+            expired: leased.filter(record => record.expiresAt <= now).length,
+            quarantined: quarantine.count,
+            quarantinedSpace: quarantine.size
+        };
+        
+        if (json) {
+            console.log(JSON.stringify(stats, null, 2));
+            return stats;
+        }
+        
+        const percentUsed = stats.configuredMax > 0 ? ((stats.usedSpace / stats.configuredMax) * 100).toFixed(1) : '0.0';
+        
+        console.log(chalk.cyan.bold('\nStorage Node Statistics'));
+        console.log(chalk.gray('----------------------------------------'));
+        console.log(chalk.white('Store:'), stats.storagePath);
+        console.log(chalk.white('Node ID:'), stats.nodeId || chalk.gray('not registered yet'));
+        console.log(chalk.white('Status:'), owner ? chalk.green(`running (pid ${owner})`) : chalk.gray('stopped'));
+        console.log(chalk.white('Fragments:'), stats.fragments);
+        console.log(chalk.white('Used Space:'), `${formatSize(stats.usedSpace)} of ${formatSize(stats.configuredMax)} (${percentUsed}%)`);
+        console.log(chalk.white('Disk Free:'), formatSize(stats.diskFree));
+        if (stats.oldestStoredAt) {
+            console.log(chalk.white('Oldest Fragment:'), `${formatAge(now - stats.oldestStoredAt)} old`);
+        }
+        console.log(chalk.white('Leased:'), `${stats.leased} (${stats.expired} expired, awaiting sweep)`);
+        console.log(chalk.white('Quarantined:'), `${stats.quarantined} (${formatSize(stats.quarantinedSpace)})`);
+        console.log(chalk.gray('----------------------------------------'));
+        
+        console.log(chalk.cyan.bold('\nServing'));
+        console.log(chalk.gray('----------------------------------------'));
+        console.log(chalk.white('Total Serves:'), stats.serves);
+        console.log(chalk.white('Fragments Served:'), `${stats.fragmentsServed} (${stats.fragments - stats.fragmentsServed} never)`);
+        if (stats.lastServedAt) {
+            console.log(chalk.white('Last Served:'), `${formatAge(now - stats.lastServedAt)} ago`);
+        }
+        for (const entry of stats.mostServed) {
+            console.log(chalk.gray(`  ${entry.fragmentId.substring(0, 16)}...  ${entry.serveCount} serves`));
+        }
+        console.log(chalk.gray('----------------------------------------'));
+        if (owner) {
+            console.log(chalk.gray('The node writes serve counts to disk once a minute, so the latest serves may be missing.'));
+        }
+        
+        return stats;
+    }
+    
+    async quarantineUsage() {
+        let files;
+        try {
+            files = await fs.readdir(this.store.quarantinePath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return { count: 0, size: 0, files: [] };
+        }
+        
+        let count = 0;
+        let size = 0;
+        for (const file of files) {
+            const stats = await fs.stat(path.join(this.store.quarantinePath, file));
+            size += stats.size;
+            if (/\.frag\.\d+$/.test(file)) count++;
+        }
+        return { count, size, files };
+    }
+    
+    /**
+     * Re-hashes every fragment at full speed. Corrupted fragments are only
+     * reported unless `quarantine` is set, which needs the node stopped.
+     */
+    async verify({ quarantine = false } = {}) {
+        await this.open({ claim: quarantine });
+        const fragmentIds = Array.from(this.store.fragments.keys());
+        const corrupted = [];
+        let verified = 0;
+        
+        const spinner = ora(`Verifying ${fragmentIds.length} fragments...`).start();
+        for (const fragmentId of fragmentIds) {
+            spinner.text = `Verifying fragments... (${verified + corrupted.length}/${fragmentIds.length})`;
+            const intact = await this.store.verify(fragmentId);
+            if (intact === null) continue;
+            
+            if (intact) {
+                verified++;
+            } else {
+                corrupted.push(fragmentId);
+                if (quarantine) {
+                    await this.store.quarantine(fragmentId);
+                }
+            }
+        }
+        
+        if (corrupted.length === 0) {
+            spinner.succeed(`All ${verified} fragments match their checksums`);
+        } else {
+            spinner.fail(`${corrupted.length} of ${verified + corrupted.length} fragments do not match their checksums`);
+            for (const fragmentId of corrupted) {
+                console.log(chalk.red(`  ${fragmentId}`));
+            }
+            
+            if (quarantine) {
+                console.log(chalk.yellow(`Moved ${corrupted.length} fragments into ${this.store.quarantinePath}`));
+                if (this.canReport()) {
+                    await this.node.reportCorruptedFragments(corrupted);
+                }
+            } else {
+                console.log(chalk.gray('Run verify again with --quarantine (node stopped) to stop serving them.'));
+            }
+        }
+        
+        return { verified, corrupted };
+    }
+    
+    /**
+     * Removes fragments whose lease ran out, files left by interrupted
+     * uploads and sidecars without a fragment, and with `purgeQuarantine`
+     * everything in quarantine/.
+     */
+    async gc({ purgeQuarantine = false, dryRun = false } = {}) {
+        const { leftovers } = await this.open({ claim: !dryRun });
+        const now = Date.now();
+        const expired = Array.from(this.store.fragments.values()).filter(record => record.expiresAt && record.expiresAt <= now);
+        const quarantine = purgeQuarantine ? await this.quarantineUsage() : { count: 0, size: 0, files: [] };
+        const expiredSpace = expired.reduce((sum, record) => sum + record.size, 0);
+        
+        if (dryRun) {
+            console.log(chalk.cyan.bold('\nGarbage Collection (dry run)'));
+            console.log(chalk.gray(`Would remove ${expired.length} expired fragments (${formatSize(expiredSpace)})`));
+            console.log(chalk.gray(`Would remove ${leftovers} leftover files from interrupted uploads`));
+            if (purgeQuarantine) {
+                console.log(chalk.gray(`Would purge ${quarantine.count} quarantined fragments (${formatSize(quarantine.size)})`));
+            }
+            return { expired: expired.length, leftovers, quarantined: quarantine.count, freed: 0 };
+        }
+        
+        await this.store.removeExpired(now);
+        if (expired.length > 0 && this.canReport()) {
+            await this.node.reportFragmentRemoval(...expired.map(record => record.fragmentId));
+        }
+        for (const file of quarantine.files) {
+            await fs.rm(path.join(this.store.quarantinePath, file), { force: true });
+        }
+        
+        console.log(chalk.cyan.bold('\nGarbage Collection'));
+        console.log(chalk.green(`Removed ${expired.length} expired fragments (${formatSize(expiredSpace)})`));
+        console.log(chalk.green(`Removed ${leftovers} leftover files from interrupted uploads`));
+        if (purgeQuarantine) {
+            console.log(chalk.green(`Purged ${quarantine.count} quarantined fragments (${formatSize(quarantine.size)})`));
+        }
+        
+        return { expired: expired.length, leftovers, quarantined: quarantine.count, freed: expiredSpace + quarantine.size };
+    }
+    
+    /**
+     * Copies the store, with the node's identity, into an empty directory.
+     * Every fragment is checked against its checksum on the way; the
+     * result is itself a store a node can be started on with --storage.
+     */
+    async export(destination) {
+        const target = path.resolve(destination);
+        if (target === this.storagePath) {
+            throw new Error('Export destination is the store itself');
+        }
+        
+        await this.open({ claim: true });
+        
+        try {
+            const entries = await fs.readdir(target);
+            if (entries.length > 0) {
+                const error = new Error(`Export destination ${target} is not empty`);
+                error.code = 'EXPORT_DESTINATION_NOT_EMPTY';
+                throw error;
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            await fs.mkdir(target, { recursive: true });
+        }
+        
+        const { copied, skipped } = await this.copyFragments(this.store, new FragmentStore(target));
+        const nodeFiles = await this.copyNodeFiles(this.storagePath, target);
+        
+        const manifest = {
+            format: EXPORT_FORMAT,
+            version: 1,
+            nodeId: this.node.nodeId,
+            exportedAt: Date.now(),
+            source: this.storagePath,
+            fragments: copied.length,
+            size: copied.reduce((sum, record) => sum + record.size, 0),
+            skipped,
+            nodeFiles
+        };
+        await fs.writeFile(path.join(target, 'export.json'), JSON.stringify(manifest, null, 2), 'utf8');
+        
+        console.log(chalk.green.bold(`\nExported ${copied.length} fragments (${formatSize(manifest.size)}) to ${target}`));
+        if (skipped.length > 0) {
+            console.log(chalk.yellow(`${skipped.length} fragments failed their checksum and were left out; run verify --quarantine on the source`));
+        }
+        return manifest;
+    }
+    
+    /**
+     * Copies an export into this store. Fragments already here with the
+     * same checksum are left alone; an export from a different node is
+     * refused, since its fragments are registered under that node's ID.
+     */
+    async import(source) {
+        const origin = path.resolve(source);
+        let manifest;
+        try {
+            manifest = JSON.parse(await fs.readFile(path.join(origin, 'export.json'), 'utf8'));
+        } catch (error) {
+            manifest = null;
+        }
+        if (!manifest || manifest.format !== EXPORT_FORMAT) {
+            throw new Error(`${origin} is not a storage node export`);
+        }
+        
+        await fs.mkdir(this.storagePath, { recursive: true });
+        await this.open({ claim: true });
+        
+        if (this.node.nodeId && manifest.nodeId && this.node.nodeId !== manifest.nodeId) {
+            const error = new Error(`The export belongs to node ${manifest.nodeId}, but this store belongs to ${this.node.nodeId}`);
+            error.code = 'IMPORT_NODE_MISMATCH';
+            throw error;
+        }
+        
+        const sourceStore = new FragmentStore(origin);
+        await sourceStore.load({ repair: false });
+        
+        const { copied, skipped, present } = await this.copyFragments(sourceStore, this.store);
+        const nodeFiles = await this.copyNodeFiles(origin, this.storagePath);
+        
+        console.log(chalk.green.bold(`\nImported ${copied.length} fragments into ${this.storagePath}`));
+        if (present > 0) {
+            console.log(chalk.gray(`${present} fragments were already in the store`));
+        }
+        if (nodeFiles.length > 0) {
+            console.log(chalk.gray(`Node identity taken from the export: ${nodeFiles.join(', ')}`));
+        }
+        if (skipped.length > 0) {
+            console.log(chalk.yellow(`${skipped.length} fragments failed their checksum and were not imported`));
+        }
+        return { imported: copied.length, present, skipped };
+    }
+    
+    async copyFragments(sourceStore, targetStore) {
+        const records = Array.from(sourceStore.fragments.values());
+        const copied = [];
+        const skipped = [];
+        let present = 0;
+        
+        const spinner = ora(`Copying ${records.length} fragments...`).start();
+        for (const record of records) {
+            spinner.text = `Copying fragments... (${copied.length + skipped.length + present}/${records.length})`;
+            
+            const existing = targetStore.get(record.fragmentId);
+            if (existing && existing.checksum === record.checksum) {
+                present++;
+            } else if (await this.copyFragment(sourceStore, targetStore, record)) {
+                copied.push(record);
+            } else {
+                skipped.push(record.fragmentId);
+            }
+        }
+        
+        if (skipped.length === 0) {
+            spinner.succeed(`Copied ${copied.length} fragments`);
+        } else {
+            spinner.warn(`Copied ${copied.length} fragments, ${skipped.length} failed their checksum`);
+        }
+        return { copied, skipped, present };
+    }
+    
+    async copyFragment(sourceStore, targetStore, record) {
+        const tempPath = targetStore.getTempPath(record.fragmentId);
+        const hash = crypto.createHash('sha256');
+        
+        try {
+            const input = fsSync.createReadStream(sourceStore.getFragmentPath(record.fragmentId));
+            input.on('data', chunk => hash.update(chunk));
+            await pipeline(input, fsSync.createWriteStream(tempPath));
+        } catch (error) {
+            await fs.rm(tempPath, { force: true });
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+        
+        if (hash.digest('hex') !== record.checksum) {
+            await fs.rm(tempPath, { force: true });
+            return false;
+        }
+        
+        // Sidecar first: a fragment without one would be adopted with its metadata lost
+        await targetStore.writeRecord(record);
+        await fs.rename(tempPath, targetStore.getFragmentPath(record.fragmentId));
+        return true;
+    }
+    
+    async copyNodeFiles(sourcePath, targetPath) {
+        const copied = [];
+        for (const file of NODE_FILES) {
+            try {
+                // COPYFILE_EXCL keeps an existing identity in the target
+                await fs.copyFile(path.join(sourcePath, file), path.join(targetPath, file), fsSync.constants.COPYFILE_EXCL);
+                copied.push(file);
+            } catch (error) {
+                if (error.code !== 'ENOENT' && error.code !== 'EEXIST') throw error;
+            }
+        }
+        return copied;
+    }
+}
+
+module.exports = NodeOperator;
\ No newline at end of file
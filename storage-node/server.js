@@ -1,5 +1,7 @@
 const express = require('express');
 const fs = require('fs').promises;
+const fsSync = require('fs');
+const { pipeline } = require('stream/promises');
 const path = require('path');
 const crypto = require('crypto');
 const axios = require('axios');
@@ -8,9 +10,22 @@ const compression = require('compression');
 const checkDiskSpace = require('check-disk-space').default;
 const publicIp = require('public-ip');
 const ora = require('ora');
+const { Command, InvalidArgumentError } = require('commander');
+const FragmentStore = require('./fragment-store');
+const NodeOperator = require('./operator');
+const Signing = require('../shared/signing');
 const constants = require('../shared/constants');
 const config = require('../config');
 
+const CAPABILITIES = [
+    constants.CAPABILITIES.BINARY_TRANSPORT,
+    constants.CAPABILITIES.FRAGMENT_DELETION,
+    constants.CAPABILITIES.STORAGE_CHALLENGE,
+    constants.CAPABILITIES.FRAGMENT_LEASE
+];
+const FRAGMENT_ID_PATTERN = /^[a-f0-9]{64}$/;
+const DELETION_HASH_PATTERN = /^[a-f0-9]{64}$/;
+
 class StorageNode {
     constructor(nodeConfig = {}) {
         this.app = express();
@@ -23,37 +38,46 @@ class StorageNode {
             directoryServer: nodeConfig.directoryServer || config.directoryServer.url,
             storagePath: storagePath,
             maxStorage: nodeConfig.maxStorage || (config.storageNode.maxStorageGB * 1024 * 1024 * 1024),
-            publicKey: nodeConfig.publicKey || this.generateKeyPair().publicKey,
             usePublicIp: nodeConfig.usePublicIp !== false
         };
         
         this.nodeId = null;
         this.publicIp = null;
-        this.fragments = new Map();
-        this.usedSpace = 0;
+        this.store = new FragmentStore(this.config.storagePath);
+        this.integrityCheckRunning = false;
         this.nodeIdFilePath = path.join(this.config.storagePath, 'node_id.json');
+        this.keyFilePath = path.join(this.config.storagePath, 'node_key.pem');
+        this.drainFilePath = path.join(this.config.storagePath, 'drain.json');
+        this.privateKey = null;
+        this.publicKey = null;
+        this.draining = false;
         
         this.setupMiddleware();
         this.setupRoutes();
         // The initialize method is now called from the main script execution part
     }
     
-    generateKeyPair() {
-        const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
-            modulusLength: 2048,
-            publicKeyEncoding: { type: 'spki', format: 'pem' },
-            privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
-        });
-        return { publicKey, privateKey };
-    }
-    
     setupMiddleware() {
         this.app.use(compression());
         this.app.use(express.json({ limit: '50mb' }));
-        this.app.use(express.raw({ 
-            type: 'application/octet-stream', 
-            limit: '50mb' 
-        }));
+        // application/octet-stream bodies are deliberately left unparsed: PUT /fragments streams them to disk
+        
+        this.app.param('fragmentId', (req, res, next, fragmentId) => {
+            if (!FRAGMENT_ID_PATTERN.test(fragmentId)) {
+                return res.status(400).json({ success: false, message: 'Invalid fragment ID' });
+            }
+            next();
+        });
+        
+        // A draining node keeps serving what it has but takes nothing new
+        const refuseWhileDraining = (req, res, next) => {
+            if (this.draining) {
+                return res.status(503).json({ success: false, message: 'Node is draining and no longer accepts fragments' });
+            }
+            next();
+        };
+        this.app.post('/store', refuseWhileDraining);
+        this.app.put('/fragments/:fragmentId', refuseWhileDraining);
     }
     
     setupRoutes() {
@@ -62,12 +86,13 @@ class StorageNode {
             const diskInfo = await this.getDiskInfo();
             
             res.json({
-                status: 'active',
+                status: this.draining ? 'draining' : 'active',
                 nodeId: this.nodeId,
                 publicIp: this.publicIp,
+                capabilities: CAPABILITIES,
                 availableSpace,
-                usedSpace: this.usedSpace,
-                fragments: this.fragments.size,
+                usedSpace: this.store.usedSpace,
+                fragments: this.store.count,
                 uptime: process.uptime(),
                 diskInfo: {
                     actualFree: diskInfo.free,
@@ -78,8 +103,20 @@ class StorageNode {
         });
         
         this.app.post('/store', async (req, res) => {
+            let tempPath = null;
             try {
-                const { fragmentId, data, checksum, metadata } = req.body;
+                const { fragmentId, data, checksum, metadata, deletionHash } = req.body;
+                const expiresAt = this.parseExpiry(req.body.expiresAt);
+                
+                if (!FRAGMENT_ID_PATTERN.test(fragmentId || '')) {
+                    return res.status(400).json({ success: false, message: 'Invalid fragment ID' });
+                }
+                if (deletionHash && !DELETION_HASH_PATTERN.test(deletionHash)) {
+                    return res.status(400).json({ success: false, message: 'Invalid deletion hash' });
+                }
+                if (expiresAt === false) {
+                    return res.status(400).json({ success: false, message: 'expiresAt must be a future time in milliseconds since the epoch' });
+                }
                 
                 const fragmentSize = Buffer.from(data, 'base64').length;
                 const availableSpace = await this.getAvailableSpace();
@@ -92,18 +129,22 @@ class StorageNode {
                 if (calculatedChecksum !== checksum) {
                     return res.status(400).json({ success: false, message: 'Checksum mismatch' });
                 }
+                if (this.store.conflicts(fragmentId, { checksum, deletionHash })) {
+                    return res.status(409).json({ success: false, message: 'A different fragment is already stored under this ID' });
+                }
                 
-                const fragmentPath = path.join(this.config.storagePath, `${fragmentId}.frag`);
-                await fs.writeFile(fragmentPath, data, 'base64');
-                
-                this.fragments.set(fragmentId, { path: fragmentPath, size: fragmentSize, checksum, metadata });
-                this.usedSpace += fragmentSize;
-                
-                this.reportFragmentStorage(fragmentId, metadata);
+                tempPath = this.store.getTempPath(fragmentId);
+                await fs.writeFile(tempPath, data, 'base64');
                 
-                console.log(chalk.green(`Stored fragment: ${fragmentId} (${(fragmentSize / 1024).toFixed(2)} KB)`));
-                res.json({ success: true, fragmentId, size: fragmentSize });
+                const record = await this.recordFragment(fragmentId, tempPath, { size: fragmentSize, checksum, metadata, deletionHash, expiresAt });
+                res.json({ success: true, fragmentId, size: fragmentSize, ...this.signReceipt(record) });
             } catch (error) {
+                if (tempPath) {
+                    await fs.rm(tempPath, { force: true });
+                }
+                if (error.code === 'FRAGMENT_EXISTS') {
+                    return res.status(409).json({ success: false, message: error.message });
+                }
                 console.error(chalk.red(`Error storing fragment:`, error));
                 res.status(500).json({ success: false, message: error.message });
             }
@@ -112,10 +153,17 @@ class StorageNode {
         this.app.get('/retrieve/:fragmentId', async (req, res) => {
             try {
                 const { fragmentId } = req.params;
-                const fragmentPath = path.join(this.config.storagePath, `${fragmentId}.frag`);
-                const data = await fs.readFile(fragmentPath, 'base64');
+                const fragmentPath = this.store.getFragmentPath(fragmentId);
+                const data = await fs.readFile(fragmentPath);
+                const checksum = crypto.createHash('sha256').update(data).digest('hex');
+                this.store.recordServe(fragmentId);
                 console.log(chalk.cyan(`Retrieved fragment: ${fragmentId}`));
-                res.json({ success: true, data });
+                res.json({
+                    success: true,
+                    data: data.toString('base64'),
+                    nodeId: this.nodeId,
+                    signature: this.signStatement({ type: 'retrieve', nodeId: this.nodeId, fragmentId, checksum })
+                });
             } catch (error) {
                 if (error.code === 'ENOENT') {
                     res.status(404).json({ success: false, message: 'Fragment not found' });
@@ -126,22 +174,274 @@ class StorageNode {
             }
         });
         
+        this.app.put('/fragments/:fragmentId', async (req, res) => {
+            const { fragmentId } = req.params;
+            const checksum = req.get('X-Fragment-Checksum');
+            const deletionHash = req.get('X-Deletion-Hash');
+            const expiresAt = this.parseExpiry(req.get('X-Fragment-Expires'));
+            const declaredSize = parseInt(req.get('Content-Length'));
+            const tempPath = this.store.getTempPath(fragmentId);
+            
+            try {
+                if (!req.is('application/octet-stream')) {
+                    return res.status(415).json({ success: false, message: 'Expected application/octet-stream' });
+                }
+                if (!checksum) {
+                    return res.status(400).json({ success: false, message: 'Missing X-Fragment-Checksum header' });
+                }
+                if (deletionHash && !DELETION_HASH_PATTERN.test(deletionHash)) {
+                    return res.status(400).json({ success: false, message: 'Invalid X-Deletion-Hash header' });
+                }
+                if (expiresAt === false) {
+                    return res.status(400).json({ success: false, message: 'Invalid X-Fragment-Expires header' });
+                }
+                if (this.store.conflicts(fragmentId, { checksum, deletionHash })) {
+                    return res.status(409).json({ success: false, message: 'A different fragment is already stored under this ID' });
+                }
+                
+                let metadata;
+                try {
+                    metadata = this.decodeMetadataHeader(req.get('X-Fragment-Metadata'));
+                } catch (error) {
+                    return res.status(400).json({ success: false, message: 'Invalid X-Fragment-Metadata header' });
+                }
+                
+                const availableSpace = await this.getAvailableSpace();
+                if (!isNaN(declaredSize) && declaredSize > availableSpace) {
+                    return res.status(507).json({ success: false, message: 'Insufficient storage space' });
+                }
+                
+                const hash = crypto.createHash('sha256');
+                let fragmentSize = 0;
+                req.on('data', chunk => {
+                    hash.update(chunk);
+                    fragmentSize += chunk.length;
+                    if (fragmentSize > availableSpace) {
+                        req.destroy(new Error('Insufficient storage space'));
+                    }
+                });
+                
+                await pipeline(req, fsSync.createWriteStream(tempPath));
+                
+                if (hash.digest('hex') !== checksum) {
+                    await fs.rm(tempPath, { force: true });
+                    return res.status(400).json({ success: false, message: 'Checksum mismatch' });
+                }
+                
+                const record = await this.recordFragment(fragmentId, tempPath, { size: fragmentSize, checksum, metadata, deletionHash, expiresAt });
+                res.json({ success: true, fragmentId, size: fragmentSize, ...this.signReceipt(record) });
+            } catch (error) {
+                await fs.rm(tempPath, { force: true });
+                if (error.message === 'Insufficient storage space') {
+                    return res.status(507).json({ success: false, message: error.message });
+                }
+                if (error.code === 'FRAGMENT_EXISTS') {
+                    return res.status(409).json({ success: false, message: error.message });
+                }
+                console.error(chalk.red(`Error storing fragment:`, error));
+                if (!res.headersSent) {
+                    res.status(500).json({ success: false, message: error.message });
+                }
+            }
+        });
+        
+        this.app.get('/fragments/:fragmentId', async (req, res) => {
+            const { fragmentId } = req.params;
+            const fragmentPath = this.store.getFragmentPath(fragmentId);
+            
+            try {
+                const stats = await fs.stat(fragmentPath);
+                const record = this.store.get(fragmentId);
+                
+                res.set('Content-Type', 'application/octet-stream');
+                res.set('Content-Length', String(stats.size));
+                if (record && record.checksum) {
+                    // The signature covers the recorded checksum, so it vouches for exactly these bytes
+                    res.set('X-Fragment-Checksum', record.checksum);
+                    res.set('X-Node-Id', this.nodeId || '');
+                    res.set('X-Node-Signature', this.signStatement({
+                        type: 'retrieve', nodeId: this.nodeId, fragmentId, checksum: record.checksum
+                    }));
+                }
+                
+                if (req.method === 'HEAD') {
+                    return res.end();
+                }
+                
+                await pipeline(fsSync.createReadStream(fragmentPath), res);
+                this.store.recordServe(fragmentId);
+                console.log(chalk.cyan(`Retrieved fragment: ${fragmentId}`));
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    res.status(404).json({ success: false, message: 'Fragment not found' });
+                } else {
+                    console.error(chalk.red(`Error retrieving fragment:`, error));
+                    if (!res.headersSent) {
+                        res.status(500).json({ success: false, message: error.message });
+                    }
+                }
+            }
+        });
+        
+        this.app.delete('/fragments/:fragmentId', async (req, res) => {
+            const { fragmentId } = req.params;
+            const secret = req.get('X-Deletion-Secret');
+            
+            try {
+                const record = this.store.get(fragmentId);
+                if (!record) {
+                    return res.status(404).json({ success: false, message: 'Fragment not found' });
+                }
+                
+                // Only whoever stored the fragment knows the secret behind the hash sent at store time
+                if (!secret || !record.deletionHash || !this.verifyDeletionSecret(secret, record.deletionHash)) {
+                    console.log(chalk.yellow(`Rejected unauthorized delete for fragment: ${fragmentId}`));
+                    return res.status(403).json({ success: false, message: 'Deletion not authorized' });
+                }
+                
+                await this.store.remove(fragmentId);
+                this.reportFragmentRemoval(fragmentId);
+                
+                console.log(chalk.yellow(`Deleted fragment: ${fragmentId}`));
+                res.json({ success: true, fragmentId });
+            } catch (error) {
+                console.error(chalk.red(`Error deleting fragment:`, error));
+                res.status(500).json({ success: false, message: error.message });
+            }
+        });
+        
+        this.app.post('/fragments/:fragmentId/lease', async (req, res) => {
+            const { fragmentId } = req.params;
+            const secret = req.get('X-Deletion-Secret');
+            const expiresAt = this.parseExpiry(req.body.expiresAt);
+            
+            try {
+                const record = this.store.get(fragmentId);
+                if (!record) {
+                    return res.status(404).json({ success: false, message: 'Fragment not found' });
+                }
+                if (!expiresAt) {
+                    return res.status(400).json({ success: false, message: 'expiresAt must be a future time in milliseconds since the epoch' });
+                }
+                
+                // Whoever may delete a fragment may also keep it alive
+                if (!secret || !record.deletionHash || !this.verifyDeletionSecret(secret, record.deletionHash)) {
+                    return res.status(403).json({ success: false, message: 'Lease renewal not authorized' });
+                }
+                
+                const renewed = await this.store.renew(fragmentId, expiresAt);
+                res.json({ success: true, fragmentId, expiresAt: renewed.expiresAt });
+            } catch (error) {
+                console.error(chalk.red(`Error renewing lease:`, error));
+                res.status(500).json({ success: false, message: error.message });
+            }
+        });
+        
+        this.app.post('/fragments/:fragmentId/challenge', async (req, res) => {
+            const { fragmentId } = req.params;
+            const { nonce, offset = 0, length } = req.body;
+            
+            try {
+                if (!nonce || typeof nonce !== 'string') {
+                    return res.status(400).json({ success: false, message: 'A nonce is required' });
+                }
+                
+                const stats = await fs.stat(this.store.getFragmentPath(fragmentId));
+                const start = parseInt(offset);
+                const rangeLength = length === undefined ? stats.size - start : parseInt(length);
+                
+                if (isNaN(start) || isNaN(rangeLength) || start < 0 || rangeLength < 0 || start + rangeLength > stats.size) {
+                    return res.status(400).json({ success: false, message: 'Requested range is outside the fragment' });
+                }
+                
+                // Answering requires the actual bytes: the nonce is fresh, so the HMAC cannot be precomputed
+                const hmac = crypto.createHmac('sha256', Buffer.from(nonce, 'base64'));
+                if (rangeLength > 0) {
+                    const stream = fsSync.createReadStream(this.store.getFragmentPath(fragmentId), {
+                        start,
+                        end: start + rangeLength - 1
+                    });
+                    for await (const chunk of stream) {
+                        hmac.update(chunk);
+                    }
+                }
+                
+                res.json({ success: true, fragmentId, hmac: hmac.digest('hex') });
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    res.status(404).json({ success: false, message: 'Fragment not found' });
+                } else {
+                    console.error(chalk.red(`Error answering challenge:`, error));
+                    res.status(500).json({ success: false, message: error.message });
+                }
+            }
+        });
+        
         this.app.get('/ping', (req, res) => {
-            res.json({ timestamp: Date.now(), nodeId: this.nodeId, publicIp: this.publicIp });
+            res.json({ timestamp: Date.now(), nodeId: this.nodeId, publicIp: this.publicIp, capabilities: CAPABILITIES });
         });
     }
     
+    decodeMetadataHeader(header) {
+        if (!header) return undefined;
+        return JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
+    }
+    
+    /**
+     * Reads a lease expiry (milliseconds since the epoch). Resolves to null
+     * when none was given and false when it is not a time in the future.
+     */
+    parseExpiry(value) {
+        if (value === undefined || value === null || value === '') return null;
+        const expiresAt = Number(value);
+        return Number.isSafeInteger(expiresAt) && expiresAt > Date.now() ? expiresAt : false;
+    }
+    
+    async recordFragment(fragmentId, tempPath, { size, checksum, metadata, deletionHash, expiresAt }) {
+        const record = await this.store.commit(fragmentId, tempPath, { size, checksum, metadata, deletionHash, expiresAt });
+        this.reportFragmentStorage(fragmentId, metadata);
+        
+        console.log(chalk.green(`Stored fragment: ${fragmentId} (${(size / 1024).toFixed(2)} KB)`));
+        return record;
+    }
+    
+    signStatement(statement) {
+        return Signing.sign(statement, this.privateKey);
+    }
+    
+    signReceipt(record) {
+        const receipt = {
+            nodeId: this.nodeId,
+            fragmentId: record.fragmentId,
+            checksum: record.checksum,
+            size: record.size,
+            storedAt: record.storedAt
+        };
+        return { receipt, signature: this.signStatement({ type: 'store-receipt', ...receipt }) };
+    }
+    
+    verifyDeletionSecret(secret, deletionHash) {
+        const actual = crypto.createHash('sha256').update(Buffer.from(secret, 'base64')).digest();
+        const expected = Buffer.from(deletionHash, 'hex');
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+    
+    
     async initialize() {
         try {
             await this.detectPublicIp();
             await fs.mkdir(this.config.storagePath, { recursive: true });
+            await NodeOperator.claimStore(this.config.storagePath);
             await this.loadNodeId();
+            await this.loadKeyPair();
             await this.scanExistingFragments();
             await this.checkDiskSpace();
             await this.registerWithDirectory();
             
             this.startHeartbeat();
             this.startIntegrityCheck();
+            this.startLeaseSweep();
+            this.startServeCountFlush();
             this.startDiskSpaceMonitor();
             this.start();
         } catch (error) {
@@ -176,6 +476,27 @@ class StorageNode {
         }
     }
     
+    /**
+     * The node's identity key lives beside node_id.json. The directory binds
+     * the public half to the node ID on first signed registration, so losing
+     * this file means registering as a new node.
+     */
+    async loadKeyPair() {
+        try {
+            this.privateKey = await fs.readFile(this.keyFilePath, 'utf8');
+            this.publicKey = Signing.publicKeyFromPrivate(this.privateKey);
+            console.log(chalk.green(`Loaded node identity key (${Signing.fingerprint(this.publicKey).substring(0, 16)})`));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            
+            const { publicKey, privateKey } = Signing.generateKeyPair();
+            await fs.writeFile(this.keyFilePath, privateKey, { encoding: 'utf8', mode: 0o600 });
+            this.privateKey = privateKey;
+            this.publicKey = publicKey;
+            console.log(chalk.cyan(`Generated node identity key (${Signing.fingerprint(publicKey).substring(0, 16)})`));
+        }
+    }
+    
     async detectPublicIp() {
         const spinner = ora('Detecting public IP address...').start();
         try {
@@ -194,22 +515,12 @@ class StorageNode {
     
     async scanExistingFragments() {
         try {
-            const files = await fs.readdir(this.config.storagePath);
-            let totalSize = 0;
-            let fragmentCount = 0;
+            const { count, usedSpace, adopted } = await this.store.load();
             
-            for (const file of files) {
-                if (file.endsWith('.frag')) {
-                    const filePath = path.join(this.config.storagePath, file);
-                    const stats = await fs.stat(filePath);
-                    totalSize += stats.size;
-                    fragmentCount++;
-                }
+            console.log(chalk.cyan(`Found ${count} existing fragments (${(usedSpace / 1024 / 1024).toFixed(2)} MB)`));
+            if (adopted.length > 0) {
+                console.log(chalk.yellow(`Recorded checksums for ${adopted.length} fragments stored without metadata`));
             }
-            this.usedSpace = totalSize;
-            this.fragments = new Map(files.filter(f => f.endsWith('.frag')).map(f => [f.replace('.frag', ''), {}]));
-            
-            console.log(chalk.cyan(`Found ${fragmentCount} existing fragments (${(this.usedSpace / 1024 / 1024).toFixed(2)} MB)`));
         } catch (error) {
             console.error(chalk.yellow('Error scanning fragments:', error));
         }
@@ -234,7 +545,7 @@ class StorageNode {
     
     async getAvailableSpace() {
         const diskInfo = await this.getDiskInfo();
-        const configuredAvailable = this.config.maxStorage - this.usedSpace;
+        const configuredAvailable = this.config.maxStorage - this.store.usedSpace;
         const bufferSpace = 100 * 1024 * 1024;
         const availableWithBuffer = Math.max(0, diskInfo.free - bufferSpace);
         return Math.min(configuredAvailable, availableWithBuffer);
@@ -246,9 +557,18 @@ class StorageNode {
             const availableSpace = await this.getAvailableSpace();
             const registrationPayload = {
                 port: this.config.port, availableSpace,
-                publicKey: this.config.publicKey, publicIp: this.publicIp,
-                nodeId: this.nodeId
+                publicKey: this.publicKey, publicIp: this.publicIp,
+                nodeId: this.nodeId, capabilities: CAPABILITIES,
+                timestamp: Date.now()
             };
+            registrationPayload.signature = this.signStatement({
+                type: 'register',
+                nodeId: this.nodeId,
+                port: this.config.port,
+                publicIp: this.publicIp,
+                publicKey: this.publicKey,
+                timestamp: registrationPayload.timestamp
+            });
             
             const response = await axios.post(`${this.config.directoryServer}/register`, registrationPayload, { headers: { 'Content-Type': 'application/json' }, timeout: 10000 });
             
@@ -264,7 +584,12 @@ class StorageNode {
                 console.log(chalk.yellow('\nWARNING: Node is in local mode. To accept connections from the internet, ensure port forwarding is configured.'));
             }
         } catch (error) {
-            console.error(chalk.red('Failed to register with directory:', error.message));
+            if (error.response && error.response.status === 409) {
+                console.error(chalk.red(`Directory refused registration: ${error.response.data.message}`));
+                console.error(chalk.yellow(`If this node's identity key was lost, remove ${this.nodeIdFilePath} to register as a new node.`));
+            } else {
+                console.error(chalk.red('Failed to register with directory:', error.message));
+            }
             throw error;
         }
     }
@@ -273,20 +598,98 @@ class StorageNode {
         setInterval(async () => {
             if (!this.nodeId) return;
             try {
-                const availableSpace = await this.getAvailableSpace();
-                await axios.post(`${this.config.directoryServer}/heartbeat/${this.nodeId}`, { availableSpace, storedFragments: this.fragments.size });
+                const heartbeat = {
+                    availableSpace: await this.getAvailableSpace(),
+                    storedFragments: this.store.count,
+                    timestamp: Date.now()
+                };
+                heartbeat.signature = this.signStatement({ type: 'heartbeat', nodeId: this.nodeId, ...heartbeat });
+                await axios.post(`${this.config.directoryServer}/heartbeat/${this.nodeId}`, heartbeat);
             } catch (error) {
                 console.error(chalk.yellow('Heartbeat failed:', error.message));
                 if (error.response && error.response.status === 404) {
                     console.log(chalk.red('Node not found on directory. Re-registering...'));
-                    await this.registerWithDirectory();
+                    try {
+                        await this.registerWithDirectory();
+                        if (this.draining) {
+                            await this.announceDrain();
+                        }
+                    } catch (registerError) {
+                        // Nothing awaits this callback, so an error left here would be an unhandled rejection
+                        console.error(chalk.yellow('Re-registration failed, retrying on the next heartbeat:', registerError.message));
+                    }
                 }
             }
         }, config.network.heartbeatInterval);
     }
     
     startIntegrityCheck() {
-        console.log(chalk.cyan('Integrity check process started (runs hourly).'));
+        const interval = config.storageNode.integrityCheckInterval;
+        setInterval(() => this.runIntegrityCheck(), interval);
+        console.log(chalk.cyan(`Integrity check process started (runs every ${Math.round(interval / 60000)} min).`));
+    }
+    
+    async runIntegrityCheck() {
+        // A slow pass over a large store may outlast the interval
+        if (this.integrityCheckRunning) return;
+        this.integrityCheckRunning = true;
+        
+        const bytesPerSecond = config.storageNode.integrityCheckRateMB * 1024 * 1024;
+        const corrupted = [];
+        let verified = 0;
+        
+        try {
+            for (const fragmentId of Array.from(this.store.fragments.keys())) {
+                const intact = await this.store.verify(fragmentId, bytesPerSecond);
+                if (intact === null) continue;
+                
+                if (intact) {
+                    verified++;
+                } else {
+                    await this.store.quarantine(fragmentId);
+                    corrupted.push(fragmentId);
+                    console.log(chalk.red(`Quarantined corrupted fragment: ${fragmentId}`));
+                }
+            }
+            
+            if (corrupted.length > 0) {
+                await this.reportCorruptedFragments(corrupted);
+            }
+            console.log(chalk.gray(`Integrity check: ${verified} fragments intact, ${corrupted.length} quarantined`));
+        } catch (error) {
+            console.error(chalk.yellow('Integrity check failed:', error.message));
+        } finally {
+            this.integrityCheckRunning = false;
+        }
+    }
+    
+    startLeaseSweep() {
+        setInterval(() => this.collectExpiredFragments(), config.storageNode.leaseSweepInterval);
+    }
+    
+    async collectExpiredFragments() {
+        try {
+            const expired = await this.store.removeExpired();
+            if (expired.length === 0) return;
+            
+            const freed = expired.reduce((sum, record) => sum + record.size, 0);
+            console.log(chalk.yellow(`Lease sweep: removed ${expired.length} expired fragments, freed ${(freed / 1024 / 1024).toFixed(2)} MB`));
+            await this.reportFragmentRemoval(...expired.map(record => record.fragmentId));
+        } catch (error) {
+            console.error(chalk.yellow('Lease sweep failed:', error.message));
+        }
+    }
+    
+    startServeCountFlush() {
+        setInterval(() => this.flushServeCounts(), 60000);
+    }
+    
+    async flushServeCounts() {
+        try {
+            await this.store.flushServes();
+        } catch (error) {
+            console.error(chalk.yellow('Failed to save serve counts:', error.message));
+        }
     }
     
     startDiskSpaceMonitor() {
@@ -299,31 +702,257 @@ class StorageNode {
     async reportFragmentStorage(fragmentId, metadata) {
         if (!this.nodeId || !metadata) return;
         try {
-            if (metadata.fileHash && metadata.partitionIndex !== undefined) {
-                await axios.post(`${this.config.directoryServer}/fragment/register`, {
-                    fragmentId, nodeId: this.nodeId,
-                    fileHash: metadata.fileHash,
-                    partitionIndex: metadata.partitionIndex
-                });
+            // Privacy-mode uploads identify only the partition; a fileHash from older clients is never passed on
+            let location;
+            if (metadata.tag) {
+                location = { fileId: null, segmentIndex: null, partitionIndex: null, tag: metadata.tag };
+            } else if (metadata.fileId && metadata.partitionIndex !== undefined) {
+                location = {
+                    fileId: metadata.fileId,
+                    segmentIndex: metadata.segmentIndex !== undefined ? metadata.segmentIndex : null,
+                    partitionIndex: metadata.partitionIndex,
+                    tag: null
+                };
+            } else {
+                return;
             }
+            
+            const statement = { type: 'fragment-register', fragmentId, nodeId: this.nodeId, ...location, timestamp: Date.now() };
+            await axios.post(`${this.config.directoryServer}/fragment/register`, {
+                fragmentId,
+                nodeId: this.nodeId,
+                ...location,
+                timestamp: statement.timestamp,
+                signature: this.signStatement(statement)
+            });
         } catch (error) {
             console.error(chalk.yellow('Failed to report fragment storage:', error.message));
         }
     }
-
+    
+    async reportFragmentRemoval(...fragmentIds) {
+        if (!this.nodeId) return;
+        try {
+            const statement = { type: 'fragment-unregister', nodeId: this.nodeId, fragmentIds, timestamp: Date.now() };
+            await axios.post(`${this.config.directoryServer}/fragment/unregister`, {
+                fragmentIds,
+                nodeId: this.nodeId,
+                timestamp: statement.timestamp,
+                signature: this.signStatement(statement)
+            });
+        } catch (error) {
+            console.error(chalk.yellow('Failed to report fragment removal:', error.message));
+        }
+    }
+    
+    async reportCorruptedFragments(fragmentIds) {
+        if (!this.nodeId) return;
+        try {
+            const statement = { type: 'fragment-corrupted', nodeId: this.nodeId, fragmentIds, timestamp: Date.now() };
+            await axios.post(`${this.config.directoryServer}/fragment/corrupted`, {
+                fragmentIds,
+                nodeId: this.nodeId,
+                timestamp: statement.timestamp,
+                signature: this.signStatement(statement)
+            });
+        } catch (error) {
+            console.error(chalk.yellow('Failed to report corrupted fragments:', error.message));
+        }
+    }
+    
     async unregister() {
         if (!this.nodeId) return;
         console.log(chalk.yellow(`Unregistering node ${this.nodeId} from directory...`));
         try {
-            await axios.post(`${this.config.directoryServer}/unregister/${this.nodeId}`, {}, { timeout: 5000 });
+            const timestamp = Date.now();
+            await axios.post(`${this.config.directoryServer}/unregister/${this.nodeId}`, {
+                timestamp,
+                signature: this.signStatement({ type: 'unregister', nodeId: this.nodeId, timestamp })
+            }, { timeout: 5000 });
             console.log(chalk.green('Successfully unregistered.'));
         } catch (error) {
             console.error(chalk.red('Failed to unregister node:', error.message));
         }
     }
     
+    async announceDrain() {
+        const timestamp = Date.now();
+        await axios.post(`${this.config.directoryServer}/node/${this.nodeId}/drain`, {
+            timestamp,
+            signature: this.signStatement({ type: 'drain', nodeId: this.nodeId, timestamp })
+        }, { timeout: 10000 });
+    }
+    
+    async loadDrainProgress() {
+        try {
+            return JSON.parse(await fs.readFile(this.drainFilePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return {};
+        }
+    }
+    
+    async saveDrainProgress(progress) {
+        const tempPath = `${this.drainFilePath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(progress), 'utf8');
+        await fs.rename(tempPath, this.drainFilePath);
+    }
+    
+    /**
+     * Hands every fragment to other nodes before this one retires. Local
+     * data is only deleted once every fragment has a confirmed new home;
+     * progress is kept in drain.json, so an interrupted drain picks up
+     * where it stopped. Resolves to true when the node was retired.
+     */
+    async drain() {
+        console.log(chalk.yellow.bold('\n--- DRAINING NODE ---'));
+        this.draining = true;
+        await this.announceDrain();
+        
+        const progress = await this.loadDrainProgress();
+        const fragmentIds = Array.from(this.store.fragments.keys());
+        const load = new Map();
+        let failed = 0;
+        
+        console.log(chalk.cyan(`Handing off ${fragmentIds.length} fragments (${Object.keys(progress).length} already copied)`));
+        
+        for (const fragmentId of fragmentIds) {
+            try {
+                let entry = progress[fragmentId];
+                if (!entry) {
+                    // An expired lease means the uploader let the fragment go; it leaves with the rest
+                    const record = this.store.get(fragmentId);
+                    if (record && record.expiresAt && record.expiresAt <= Date.now()) {
+                        continue;
+                    }
+                    
+                    const intact = await this.store.verify(fragmentId);
+                    if (!intact) {
+                        // A corrupted copy is worth nothing elsewhere; report it like the integrity check would
+                        if (intact === false) {
+                            await this.store.quarantine(fragmentId);
+                            await this.reportCorruptedFragments([fragmentId]);
+                            console.log(chalk.red(`Quarantined corrupted fragment instead of handing it off: ${fragmentId}`));
+                        }
+                        continue;
+                    }
+                    
+                    const target = await this.handOffFragment(fragmentId, load);
+                    entry = { nodeId: target.id, address: `${target.address}:${target.port}`, reported: false };
+                    progress[fragmentId] = entry;
+                    await this.saveDrainProgress(progress);
+                }
+                
+                if (!entry.reported) {
+                    await this.reportFragmentMove(fragmentId, entry.nodeId);
+                    entry.reported = true;
+                    await this.saveDrainProgress(progress);
+                }
+                console.log(chalk.green(`Handed off fragment ${fragmentId.substring(0, 16)}... to ${entry.address}`));
+            } catch (error) {
+                failed++;
+                console.error(chalk.red(`Could not hand off fragment ${fragmentId.substring(0, 16)}...: ${error.message}`));
+            }
+        }
+        
+        if (failed > 0) {
+            console.log(chalk.red.bold(`\n${failed} fragment(s) could not be handed off. Local data was kept; run drain again when more nodes are online.`));
+            return false;
+        }
+        
+        await this.unregister();
+        await fs.rm(this.config.storagePath, { recursive: true, force: true });
+        console.log(chalk.green(`All fragments handed off; deleted ${this.config.storagePath}`));
+        return true;
+    }
+    
+    /**
+     * Copies one fragment, with its metadata and deletion hash, to a node
+     * holding no other copy of the same partition. The least loaded
+     * candidates are tried first, so the fragments spread out.
+     */
+    async handOffFragment(fragmentId, load) {
+        const record = this.store.get(fragmentId);
+        const response = await axios.get(`${this.config.directoryServer}/nodes`, {
+            params: { minSpace: record.size + 1024 },
+            timeout: 10000
+        });
+        
+        let partitionNodes = [];
+        try {
+            const location = await axios.get(`${this.config.directoryServer}/fragment/${fragmentId}`, { timeout: 10000 });
+            partitionNodes = location.data.partitionNodes || [];
+        } catch (error) {
+            if (!error.response || error.response.status !== 404) throw error;
+        }
+        
+        const candidates = response.data.nodes
+            .filter(node => node.id !== this.nodeId && !partitionNodes.includes(node.id))
+            .sort((a, b) => (load.get(a.id) || 0) - (load.get(b.id) || 0))
+            .slice(0, constants.NETWORK.MAX_RETRIES + 1);
+        if (candidates.length === 0) {
+            throw new Error('no healthy node outside those already holding this partition');
+        }
+        
+        let lastError = null;
+        for (const node of candidates) {
+            try {
+                await this.sendFragment(fragmentId, record, node);
+                load.set(node.id, (load.get(node.id) || 0) + 1);
+                return node;
+            } catch (error) {
+                lastError = error;
+                console.log(chalk.yellow(`  ${node.address}:${node.port} refused fragment ${fragmentId.substring(0, 16)}...: ${error.message}`));
+            }
+        }
+        throw lastError;
+    }
+    
+    async sendFragment(fragmentId, record, node) {
+        const address = node.address.startsWith('::ffff:') ? node.address.substring(7) : node.address;
+        const headers = {
+            'Content-Type': 'application/octet-stream',
+            'Content-Length': String(record.size),
+            'X-Fragment-Checksum': record.checksum,
+            'X-Fragment-Metadata': Buffer.from(JSON.stringify(record.metadata || {})).toString('base64')
+        };
+        // The owner's deletion secret and lease carry over to the new copy
+        if (record.deletionHash) {
+            headers['X-Deletion-Hash'] = record.deletionHash;
+        }
+        if (record.expiresAt) {
+            headers['X-Fragment-Expires'] = String(record.expiresAt);
+        }
+        
+        const response = await axios.put(`http://${address}:${node.port}/fragments/${fragmentId}`,
+            fsSync.createReadStream(this.store.getFragmentPath(fragmentId)), {
+                headers,
+                timeout: 60000,
+                maxBodyLength: Infinity
+            });
+        
+        const { receipt, signature } = response.data;
+        const confirmed = receipt && receipt.fragmentId === fragmentId && receipt.checksum === record.checksum
+            && (!node.publicKey || Signing.verify({ type: 'store-receipt', ...receipt }, signature, node.publicKey));
+        if (!confirmed) {
+            throw new Error('store receipt did not match the fragment');
+        }
+    }
+    
+    async reportFragmentMove(fragmentId, toNodeId) {
+        const statement = { type: 'fragment-moved', fragmentId, fromNodeId: this.nodeId, toNodeId, timestamp: Date.now() };
+        await axios.post(`${this.config.directoryServer}/fragment/moved`, {
+            fragmentId,
+            fromNodeId: this.nodeId,
+            toNodeId,
+            timestamp: statement.timestamp,
+            signature: this.signStatement(statement)
+        }, { timeout: 10000 });
+    }
+    
     async shutdownAndDelete() {
         console.log(chalk.red.bold('\n--- INITIATING NODE SHUTDOWN AND DELETION ---'));
+        console.log(chalk.yellow('Fragments are deleted without being copied elsewhere; use drain to hand them off first.'));
         await this.unregister();
         try {
             console.log(chalk.yellow(`Deleting storage directory: ${this.config.storagePath}`));
@@ -355,21 +984,91 @@ class StorageNode {
 }
 
 // --- Script Execution ---
-const args = process.argv.slice(2);
-const command = args[0];
+const program = new Command();
 
-// The main async function to run our logic
-async function main() {
-    if (command === 'shutdown') {
-        const port = args[1];
-        if (!port) {
-            console.error(chalk.red('Error: You must specify the port of the node to shut down.'));
-            console.error(chalk.yellow('Usage: node storage-node/server.js shutdown <port>'));
-            process.exit(1);
+function parsePort(value) {
+    const port = parseInt(value);
+    if (isNaN(port) || port <= 0 || port > 65535) {
+        throw new InvalidArgumentError('Not a valid port.');
+    }
+    return port;
+}
+
+function parsePositiveInt(value) {
+    const number = parseInt(value);
+    if (isNaN(number) || number <= 0) {
+        throw new InvalidArgumentError('Must be a positive number.');
+    }
+    return number;
+}
+
+function createNode(port, options, nodeConfig = {}) {
+    return new StorageNode({
+        port,
+        storagePath: options.storage,
+        directoryServer: options.server,
+        usePublicIp: !options.local,
+        ...nodeConfig
+    });
+}
+
+// Operator commands work on the store directly; the HTTP server is never started
+function operatorCommand(name, description) {
+    return program
+        .command(name)
+        .description(description)
+        .argument('<port>', 'Port of the node whose store to use', parsePort)
+        .option('--storage <path>', 'Fragment store directory (default: ./storage/node<port>)');
+}
+
+async function runOperator(port, options, action) {
+    try {
+        const maxStorage = options.maxStorage ? options.maxStorage * 1024 * 1024 * 1024 : undefined;
+        return await action(new NodeOperator(createNode(port, options, { maxStorage })));
+    } catch (error) {
+        console.error(chalk.red.bold('\nError:'), error.message);
+        process.exit(1);
+    }
+}
+
+program
+    .name('storage-node')
+    .description('Mysterium Network - Storage Node');
+
+program
+    .command('start', { isDefault: true })
+    .description('Run the storage node (the default command)')
+    .argument('[port]', 'Port to listen on', parsePort, config.storageNode.defaultPort)
+    .argument('[directoryServer]', 'Directory server URL')
+    .argument('[maxStorageGB]', 'Storage offered to the network, in GB', parsePositiveInt)
+    .option('--storage <path>', 'Fragment store directory (default: ./storage/node<port>)')
+    .option('--local', 'Advertise localhost instead of the public IP')
+    .action(async (port, directoryServer, maxStorageGB, options) => {
+        const node = createNode(port, options, {
+            directoryServer,
+            maxStorage: maxStorageGB ? maxStorageGB * 1024 * 1024 * 1024 : undefined
+        });
+        await node.initialize();
+        
+        async function gracefulShutdown(signal) {
+            console.log(chalk.yellow(`\nReceived ${signal}. Unregistering node...`));
+            await node.flushServeCounts();
+            await node.unregister();
+            process.exit(0);
         }
         
-        const nodeConfig = { port: parseInt(port), usePublicIp: !args.includes('--local') };
-        const node = new StorageNode(nodeConfig);
+        process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+        process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+    });
+
+program
+    .command('shutdown')
+    .description('Unregister a node and permanently delete its store')
+    .argument('<port>', 'Port of the node to shut down', parsePort)
+    .option('--storage <path>', 'Fragment store directory (default: ./storage/node<port>)')
+    .option('--local', 'Advertise localhost instead of the public IP')
+    .action(async (port, options) => {
+        const node = createNode(port, options);
         
         // Initialize just enough to perform the shutdown
         await fs.mkdir(node.config.storagePath, { recursive: true });
@@ -384,30 +1083,68 @@ async function main() {
             console.log(chalk.green('Directory deleted.'));
             process.exit(0);
         }
-    } else {
-        const nodeConfig = {
-            port: args[0] ? parseInt(args[0]) : config.storageNode.defaultPort,
-            usePublicIp: !args.includes('--local')
-        };
+    });
 
-        if (args[1] && !args[1].startsWith('--')) nodeConfig.directoryServer = args[1];
-        if (args[2] && !args[2].startsWith('--')) nodeConfig.maxStorage = parseInt(args[2]) * 1024 * 1024 * 1024;
-        
-        const node = new StorageNode(nodeConfig);
+program
+    .command('drain')
+    .description('Hand every fragment to other nodes, then retire the node')
+    .argument('<port>', 'Port of the node to drain', parsePort)
+    .argument('[directoryServer]', 'Directory server URL')
+    .option('--storage <path>', 'Fragment store directory (default: ./storage/node<port>)')
+    .option('--local', 'Advertise localhost instead of the public IP')
+    .action(async (port, directoryServer, options) => {
+        // The node serves reads while it drains, so downloads keep working until the copies are in place
+        const node = createNode(port, options, { directoryServer });
+        node.draining = true;
         await node.initialize();
-
-        async function gracefulShutdown(signal) {
-            console.log(chalk.yellow(`\nReceived ${signal}. Unregistering node...`));
-            await node.unregister();
-            process.exit(0);
-        }
         
-        process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
-        process.on('SIGINT', () => gracefulShutdown('SIGINT'));
-    }
+        process.on('SIGINT', () => {
+            console.log(chalk.yellow('\nDrain interrupted; local data was kept. Run drain again to continue.'));
+            process.exit(1);
+        });
+        
+        const retired = await node.drain();
+        process.exit(retired ? 0 : 1);
+    });
+
+operatorCommand('list', 'List stored fragments with their size, age and metadata')
+    .option('--sort <field>', 'Sort by age, size or served', 'age')
+    .option('--limit <n>', 'Show at most this many fragments', parsePositiveInt)
+    .option('--json', 'Print the fragment records as JSON')
+    .action((port, options) => runOperator(port, options, operator => operator.list(options)));
+
+operatorCommand('stats', 'Show disk usage, leases and how often fragments are served')
+    .option('--max-storage <gb>', 'Storage the node offers, in GB (default: STORAGE_NODE_MAX_STORAGE_GB)', parsePositiveInt)
+    .option('--json', 'Print the statistics as JSON')
+    .action((port, options) => runOperator(port, options, operator => operator.stats(options)));
+
+operatorCommand('verify', 'Re-hash every fragment against its recorded checksum')
+    .option('--quarantine', 'Move corrupted fragments into quarantine/ (node must be stopped)')
+    .option('-s, --server <url>', 'Directory server to report quarantined fragments to', config.directoryServer.url)
+    .action(async (port, options) => {
+        const { corrupted } = await runOperator(port, options, operator => operator.verify(options));
+        process.exit(corrupted.length > 0 ? 1 : 0);
+    });
+
+operatorCommand('gc', 'Remove expired fragments and leftovers of interrupted uploads (node must be stopped)')
+    .option('--purge-quarantine', 'Also delete everything in quarantine/')
+    .option('--dry-run', 'Only report what would be removed')
+    .option('-s, --server <url>', 'Directory server to report removed fragments to', config.directoryServer.url)
+    .action((port, options) => runOperator(port, options, operator => operator.gc(options)));
+
+operatorCommand('export', 'Copy the store and node identity to another directory (node must be stopped)')
+    .argument('<destination>', 'Empty or new directory, e.g. on the new disk')
+    .action((port, destination, options) => runOperator(port, options, operator => operator.export(destination)));
+
+operatorCommand('import', 'Copy an export into this node\'s store (node must be stopped)')
+    .argument('<source>', 'Directory written by export')
+    .action((port, source, options) => runOperator(port, options, operator => operator.import(source)));
+
+if (require.main === module) {
+    program.parseAsync(process.argv).catch(err => {
+        console.error(chalk.red.bold('A critical error occurred:'), err);
+        process.exit(1);
+    });
 }
 
-main().catch(err => {
-    console.error(chalk.red.bold('A critical error occurred:'), err);
-    process.exit(1);
-});
\ No newline at end of file
+module.exports = StorageNode;
\ No newline at end of file
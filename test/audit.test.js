@@ -0,0 +1,68 @@
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const Auditor = require('../client/audit');
+const { CryptoUtils } = require('../client/utils');
+const { startNode, storeFragment } = require('./helpers/network');
+
+let running;
+
+beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    running = await startNode();
+});
+
+afterEach(async () => {
+    mock.restoreAll();
+    await running.close();
+});
+
+// No directory is running, so only the address in the recovery file is tried
+const auditor = () => new Auditor('http://127.0.0.1:1');
+
+async function storeWithChallenges(count) {
+    const { fragment, data } = await storeFragment(running.address);
+    return { ...fragment, challenges: CryptoUtils.createStorageChallenges(data, count) };
+}
+
+test('a node holding the bytes answers a challenge, which is then used up', async () => {
+    const fragment = await storeWithChallenges(2);
+    
+    const result = await auditor().auditFragment(fragment);
+    
+    assert.strictEqual(result.status, 'proven');
+    assert.strictEqual(result.remaining, 1);
+    assert.ok(fragment.challenges[0].usedAt);
+    assert.strictEqual(fragment.challenges[1].usedAt, undefined);
+});
+
+test('a node whose copy changed fails the challenge', async () => {
+    const fragment = await storeWithChallenges(1);
+    const fragmentPath = running.node.store.getFragmentPath(fragment.fragmentId);
+    const data = await fs.readFile(fragmentPath);
+    await fs.writeFile(fragmentPath, data.map(byte => byte ^ 0xff));
+    
+    const result = await auditor().auditFragment(fragment);
+    
+    assert.strictEqual(result.status, 'failed');
+    assert.strictEqual(result.challengeUsed, true);
+});
+
+test('a missing fragment leaves its challenges unused', async () => {
+    const fragment = await storeWithChallenges(1);
+    await running.node.store.remove(fragment.fragmentId);
+    
+    const result = await auditor().auditFragment(fragment);
+    
+    assert.strictEqual(result.status, 'missing');
+    assert.strictEqual(fragment.challenges[0].usedAt, undefined);
+});
+
+test('once every challenge is used nothing more can be proven', async () => {
+    const fragment = await storeWithChallenges(1);
+    await auditor().auditFragment(fragment);
+    
+    const result = await auditor().auditFragment(fragment);
+    
+    assert.strictEqual(result.status, 'no-challenges');
+});
\ No newline at end of file
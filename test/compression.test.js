@@ -0,0 +1,72 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const Uploader = require('../client/upload');
+const Downloader = require('../client/download');
+const RecoveryFile = require('../client/recovery');
+const { CompressionUtils } = require('../client/utils');
+const { startNetwork } = require('./helpers/network');
+
+const text = length => Buffer.from('the quick brown fox jumps over the lazy dog\n'.repeat(Math.ceil(length / 44)).substring(0, length));
+
+test('every codec reads back what it wrote', () => {
+    const data = text(20000);
+    
+    for (const codec of ['brotli', 'gzip', 'deflate', 'none']) {
+        assert.deepStrictEqual(CompressionUtils.decompress(CompressionUtils.compress(data, codec), codec), data);
+    }
+    assert.throws(() => CompressionUtils.compress(data, 'zstd'), /Unknown compression codec "zstd"/);
+});
+
+test('decompression stops at the size the data is known to have', () => {
+    const compressed = CompressionUtils.compress(text(20000), 'brotli');
+    
+    assert.throws(() => CompressionUtils.decompress(compressed, 'brotli', 1000));
+    assert.throws(() => CompressionUtils.decompress(CompressionUtils.compress(text(20000), 'gzip'), 'gzip', 1000));
+});
+
+test('auto compresses only data that shrinks', () => {
+    assert.strictEqual(CompressionUtils.choose(text(200000), 'auto'), 'brotli');
+    assert.strictEqual(CompressionUtils.choose(crypto.randomBytes(200000), 'auto'), 'none');
+    assert.strictEqual(CompressionUtils.choose(Buffer.alloc(0), 'auto'), 'none');
+    assert.strictEqual(CompressionUtils.choose(crypto.randomBytes(1000), 'gzip'), 'gzip');
+});
+
+test('an upload picks a codec per segment and downloads intact', async () => {
+    mock.method(console, 'log', () => {});
+    const network = await startNetwork(3);
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mysterium-compression-'));
+    process.chdir(dir);
+    try {
+        const data = Buffer.concat([text(10000), crypto.randomBytes(10000)]);
+        await fs.writeFile('file.bin', data);
+        
+        await new Uploader(network.directory.url).uploadFile('file.bin', { partitions: 2, redundancy: 1, segmentSize: 10000 });
+        
+        const recoveryData = await RecoveryFile.load('file.bin.myst');
+        assert.deepStrictEqual(RecoveryFile.getSegments(recoveryData).map(segment => segment.codec), ['brotli', 'none']);
+        assert.deepStrictEqual(recoveryData.compression, { codec: 'auto', stage: 'before-encryption', segmentsCompressed: 1 });
+        
+        await new Downloader(network.directory.url).downloadFile('file.bin.myst', 'restored.bin');
+        assert.deepStrictEqual(await fs.readFile('restored.bin'), data);
+    } finally {
+        mock.restoreAll();
+        process.chdir(os.tmpdir());
+        await network.close();
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('an unknown codec is refused before anything is uploaded', async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    try {
+        await assert.rejects(new Uploader('http://127.0.0.1:1').uploadFile('file.bin', { compression: 'zstd' }),
+            /Unknown compression codec "zstd" \(expected one of: auto, brotli, gzip, none\)/);
+    } finally {
+        mock.restoreAll();
+    }
+});
\ No newline at end of file
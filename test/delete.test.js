@@ -0,0 +1,58 @@
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const Deleter = require('../client/delete');
+const { startNode, storeFragment } = require('./helpers/network');
+
+let running;
+
+beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    running = await startNode();
+});
+
+afterEach(async () => {
+    mock.restoreAll();
+    await running.close();
+});
+
+// No directory is running, so only the address in the recovery file is tried
+const deleter = () => new Deleter('http://127.0.0.1:1');
+
+test('the deletion secret removes a fragment and its sidecar', async () => {
+    const { fragment } = await storeFragment(running.address);
+    
+    const result = await deleter().deleteFragment(fragment);
+    
+    assert.strictEqual(result.status, 'deleted');
+    assert.strictEqual(running.node.store.has(fragment.fragmentId), false);
+    assert.deepStrictEqual(await fs.readdir(running.storagePath), []);
+});
+
+test('a wrong secret is refused and the fragment stays', async () => {
+    const { fragment } = await storeFragment(running.address);
+    
+    const result = await deleter().deleteFragment({ ...fragment, deletionSecret: crypto.randomBytes(32).toString('base64') });
+    
+    assert.strictEqual(result.status, 'forbidden');
+    assert.strictEqual(running.node.store.has(fragment.fragmentId), true);
+});
+
+test('a fragment stored without a deletion hash cannot be deleted at all', async () => {
+    const { fragment } = await storeFragment(running.address, { deletionSecret: null });
+    
+    const result = await deleter().deleteFragment({ ...fragment, deletionSecret: crypto.randomBytes(32).toString('base64') });
+    
+    assert.strictEqual(result.status, 'forbidden');
+    assert.strictEqual(running.node.store.has(fragment.fragmentId), true);
+});
+
+test('deleting a fragment that is already gone reports it as not found', async () => {
+    const { fragment } = await storeFragment(running.address);
+    await deleter().deleteFragment(fragment);
+    
+    const result = await deleter().deleteFragment(fragment);
+    
+    assert.strictEqual(result.status, 'not-found');
+});
\ No newline at end of file
@@ -0,0 +1,125 @@
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const axios = require('axios');
+const DirectoryServer = require('../directory-server/server');
+const Signing = require('../shared/signing');
+const { startDirectory, registerNode } = require('./helpers/network');
+
+let directory;
+
+beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    directory = await startDirectory();
+});
+
+afterEach(async () => {
+    mock.restoreAll();
+    await directory.close();
+});
+
+async function drain(identity) {
+    const timestamp = Date.now();
+    await axios.post(`${directory.url}/node/${identity.nodeId}/drain`, {
+        timestamp,
+        signature: Signing.sign({ type: 'drain', nodeId: identity.nodeId, timestamp }, identity.privateKey)
+    });
+}
+
+test('a draining node stays draining when it registers again', async () => {
+    const identity = await registerNode(directory.url);
+    await drain(identity);
+    
+    await registerNode(directory.url, { nodeId: identity.nodeId, keyPair: identity });
+    
+    const { data: node } = await axios.get(`${directory.url}/node/${identity.nodeId}`);
+    assert.strictEqual(node.draining, true);
+    const { data: nodes } = await axios.get(`${directory.url}/nodes`);
+    assert.ok(!JSON.stringify(nodes).includes(identity.nodeId));
+});
+
+async function registerFragment(identity, fragmentId, { privateKey = identity.privateKey } = {}) {
+    const statement = {
+        type: 'fragment-register',
+        fragmentId,
+        nodeId: identity.nodeId,
+        fileId: 'f'.repeat(32),
+        segmentIndex: 0,
+        partitionIndex: 1,
+        tag: null,
+        timestamp: Date.now()
+    };
+    return axios.post(`${directory.url}/fragment/register`, { ...statement, signature: Signing.sign(statement, privateKey) }, {
+        validateStatus: () => true
+    });
+}
+
+async function unregisterFragments(identity, fragmentIds) {
+    const statement = { type: 'fragment-unregister', nodeId: identity.nodeId, fragmentIds, timestamp: Date.now() };
+    return axios.post(`${directory.url}/fragment/unregister`, { ...statement, signature: Signing.sign(statement, identity.privateKey) });
+}
+
+test('a node ID stays bound to the key it first registered with', async () => {
+    const identity = await registerNode(directory.url);
+    
+    await assert.rejects(registerNode(directory.url, { nodeId: identity.nodeId }), error => error.response.status === 409);
+    await registerNode(directory.url, { nodeId: identity.nodeId, keyPair: identity, port: 9002 });
+    
+    const { data: node } = await axios.get(`${directory.url}/node/${identity.nodeId}`);
+    assert.strictEqual(node.port, 9002);
+    assert.strictEqual(node.publicKey, identity.publicKey);
+});
+
+test('fragment registrations must be signed by the node they name', async () => {
+    const identity = await registerNode(directory.url);
+    const fragmentId = crypto.randomBytes(32).toString('hex');
+    
+    const forged = await registerFragment(identity, fragmentId, { privateKey: Signing.generateKeyPair().privateKey });
+    assert.strictEqual(forged.status, 401);
+    assert.strictEqual((await axios.get(`${directory.url}/fragment/${fragmentId}`, { validateStatus: () => true })).status, 404);
+    
+    assert.strictEqual((await registerFragment(identity, fragmentId)).status, 200);
+    const { data: record } = await axios.get(`${directory.url}/fragment/${fragmentId}`);
+    assert.deepStrictEqual(record.nodes.map(node => node.id), [identity.nodeId]);
+    assert.strictEqual(record.partitionIndex, 1);
+});
+
+test('a fragment record lasts until its last holder drops it', async () => {
+    const first = await registerNode(directory.url);
+    const second = await registerNode(directory.url, { port: 9002 });
+    const fragmentId = crypto.randomBytes(32).toString('hex');
+    await registerFragment(first, fragmentId);
+    await registerFragment(second, fragmentId);
+    
+    await unregisterFragments(first, [fragmentId]);
+    const { data: record } = await axios.get(`${directory.url}/fragment/${fragmentId}`);
+    assert.deepStrictEqual(record.nodes.map(node => node.id), [second.nodeId]);
+    
+    await unregisterFragments(second, [fragmentId]);
+    assert.strictEqual((await axios.get(`${directory.url}/fragment/${fragmentId}`, { validateStatus: () => true })).status, 404);
+});
+
+test('the registry survives a restart', async () => {
+    const identity = await registerNode(directory.url);
+    const fragmentId = crypto.randomBytes(32).toString('hex');
+    await registerFragment(identity, fragmentId);
+    await directory.server.saveState();
+    
+    const restarted = new DirectoryServer({ dataPath: directory.server.config.dataPath });
+    await restarted.loadState();
+    
+    assert.strictEqual(restarted.nodes.get(identity.nodeId).publicKey, identity.publicKey);
+    assert.deepStrictEqual(restarted.fragments.get(fragmentId).nodes, [identity.nodeId]);
+});
+
+test('node lists can be limited to or kept out of regions', async () => {
+    const german = await registerNode(directory.url);
+    const american = await registerNode(directory.url, { port: 9002 });
+    directory.server.nodes.get(german.nodeId).country = 'DE';
+    directory.server.nodes.get(american.nodeId).country = 'US';
+    const listed = async params => (await axios.get(`${directory.url}/nodes`, { params })).data.nodes.map(node => node.id);
+    
+    assert.deepStrictEqual(await listed({ allowRegions: 'de,fr' }), [german.nodeId]);
+    assert.deepStrictEqual(await listed({ denyRegions: 'DE' }), [american.nodeId]);
+    assert.strictEqual((await listed({})).length, 2);
+});
\ No newline at end of file
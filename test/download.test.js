@@ -0,0 +1,79 @@
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const Downloader = require('../client/download');
+const RecoveryFile = require('../client/recovery');
+const { startDirectory, registerNode, startNode } = require('./helpers/network');
+
+let directory;
+let running;
+let dir;
+
+beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    directory = await startDirectory();
+    running = await startNode();
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mysterium-download-'));
+});
+
+afterEach(async () => {
+    mock.restoreAll();
+    await running.close();
+    await directory.close();
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+// A recovery file with one fragment, recorded under an address its node no longer uses
+async function writeRecoveryFile(nodeId, placement = undefined) {
+    const recoveryFilePath = path.join(dir, 'file.myst');
+    await RecoveryFile.save(recoveryFilePath, {
+        fileName: 'file',
+        placement,
+        originalSize: 1,
+        timestamp: 1,
+        segments: [{
+            index: 0,
+            offset: 0,
+            size: 1,
+            partitions: [{ index: 0, fragments: [{ fragmentId: crypto.randomBytes(32).toString('hex'), nodeId, nodeAddress: '127.0.0.1:1' }] }]
+        }],
+        security: { masterEncryption: { algorithm: 'AES-256-GCM' } }
+    });
+    return recoveryFilePath;
+}
+
+test('verify finds a node at the address the directory has for it', async () => {
+    const port = parseInt(running.address.split(':')[1]);
+    const { nodeId } = await registerNode(directory.url, { port });
+    const recoveryFilePath = await writeRecoveryFile(nodeId);
+    
+    const result = await new Downloader(directory.url).verifyAvailability(recoveryFilePath);
+    
+    assert.strictEqual(result.available, 1);
+    assert.strictEqual(result.recoverable, true);
+});
+
+test('verify counts a fragment as offline when no location answers', async () => {
+    const recoveryFilePath = await writeRecoveryFile(crypto.randomUUID());
+    
+    const result = await new Downloader(directory.url).verifyAvailability(recoveryFilePath);
+    
+    assert.strictEqual(result.available, 0);
+    assert.strictEqual(result.recoverable, false);
+});
+
+test('verify reports fragments held outside the allowed regions', async () => {
+    const port = parseInt(running.address.split(':')[1]);
+    const { nodeId } = await registerNode(directory.url, { port });
+    directory.server.nodes.get(nodeId).country = 'US';
+    
+    const allowed = await new Downloader(directory.url).verifyAvailability(await writeRecoveryFile(nodeId, { allowRegions: ['US'] }));
+    assert.deepStrictEqual(allowed.residencyViolations, []);
+    
+    const outside = await new Downloader(directory.url).verifyAvailability(await writeRecoveryFile(nodeId, { allowRegions: ['DE', 'FR'] }));
+    assert.strictEqual(outside.residencyViolations.length, 1);
+    assert.strictEqual(outside.residencyViolations[0].country, 'US');
+});
\ No newline at end of file
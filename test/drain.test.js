@@ -0,0 +1,63 @@
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const Uploader = require('../client/upload');
+const Downloader = require('../client/download');
+const { startNetwork, storeFragment } = require('./helpers/network');
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+test('a drained node hands its fragments off and the file still downloads', async () => {
+    const network = await startNetwork(4);
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mysterium-drain-'));
+    process.chdir(dir);
+    try {
+        const data = crypto.randomBytes(20000);
+        await fs.writeFile('file.bin', data);
+        await new Uploader(network.directory.url).uploadFile('file.bin', { partitions: 2, redundancy: 1 });
+        const draining = network.nodes.find(running => running.node.store.count > 0);
+        const fragmentIds = Array.from(draining.node.store.fragments.keys());
+        
+        assert.strictEqual(await draining.node.drain(), true);
+        
+        await assert.rejects(fs.access(draining.storagePath));
+        assert.strictEqual(network.directory.server.nodes.has(draining.node.nodeId), false);
+        const others = network.nodes.filter(running => running !== draining);
+        for (const fragmentId of fragmentIds) {
+            assert.strictEqual(others.filter(running => running.node.store.get(fragmentId)).length, 1);
+        }
+        
+        await new Downloader(network.directory.url).downloadFile('file.bin.myst', 'restored.bin');
+        assert.deepStrictEqual(await fs.readFile('restored.bin'), data);
+    } finally {
+        process.chdir(os.tmpdir());
+        await network.close();
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('a drain with nowhere to go keeps the local data', async () => {
+    const network = await startNetwork(1);
+    try {
+        const [running] = network.nodes;
+        const { fragment } = await storeFragment(running.address);
+        
+        assert.strictEqual(await running.node.drain(), false);
+        
+        assert.ok(running.node.store.get(fragment.fragmentId));
+        await fs.access(running.node.store.getFragmentPath(fragment.fragmentId));
+        assert.strictEqual(network.directory.server.nodes.get(running.node.nodeId).draining, true);
+    } finally {
+        await network.close();
+    }
+});
\ No newline at end of file
@@ -0,0 +1,121 @@
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const FragmentStore = require('../storage-node/fragment-store');
+const { startNode } = require('./helpers/network');
+
+let storagePath;
+let store;
+
+beforeEach(async () => {
+    storagePath = await fs.mkdtemp(path.join(os.tmpdir(), 'mysterium-store-'));
+    store = new FragmentStore(storagePath);
+    await store.load();
+});
+
+afterEach(async () => {
+    await fs.rm(storagePath, { recursive: true, force: true });
+});
+
+async function addFragment(fields = {}) {
+    const fragmentId = crypto.randomBytes(32).toString('hex');
+    const data = crypto.randomBytes(1024);
+    await fs.writeFile(store.getFragmentPath(fragmentId), data);
+    await store.add(fragmentId, {
+        size: data.length,
+        checksum: crypto.createHash('sha256').update(data).digest('hex'),
+        metadata: { fileId: 'f'.repeat(32), segmentIndex: 0, partitionIndex: 0 },
+        deletionHash: null,
+        ...fields
+    });
+    return fragmentId;
+}
+
+test('the index is rebuilt from the sidecars', async () => {
+    const fragmentId = await addFragment();
+    const record = store.get(fragmentId);
+    
+    const reloaded = new FragmentStore(storagePath);
+    const { count, usedSpace } = await reloaded.load();
+    
+    assert.strictEqual(count, 1);
+    assert.strictEqual(usedSpace, 1024);
+    assert.deepStrictEqual(reloaded.get(fragmentId), record);
+});
+
+test('loading adopts fragments without a sidecar and clears leftovers only when repairing', async () => {
+    const fragmentId = crypto.randomBytes(32).toString('hex');
+    const data = crypto.randomBytes(100);
+    await fs.writeFile(store.getFragmentPath(fragmentId), data);
+    await fs.writeFile(`${store.getFragmentPath(fragmentId)}.abc.tmp`, 'partial');
+    await fs.writeFile(store.getMetadataPath('0'.repeat(64)), '{}');
+    
+    const inspected = await new FragmentStore(storagePath).load({ repair: false });
+    assert.deepStrictEqual(inspected.adopted, [fragmentId]);
+    assert.strictEqual(inspected.leftovers, 2);
+    assert.strictEqual((await fs.readdir(storagePath)).length, 3);
+    
+    const repaired = new FragmentStore(storagePath);
+    await repaired.load({ repair: true });
+    assert.strictEqual(repaired.get(fragmentId).checksum, crypto.createHash('sha256').update(data).digest('hex'));
+    assert.deepStrictEqual((await fs.readdir(storagePath)).sort(), [`${fragmentId}.frag`, `${fragmentId}.meta.json`]);
+});
+
+test('verify tells intact fragments from altered ones', async () => {
+    const intact = await addFragment();
+    const altered = await addFragment();
+    await fs.appendFile(store.getFragmentPath(altered), 'x');
+    
+    assert.strictEqual(await store.verify(intact), true);
+    assert.strictEqual(await store.verify(altered), false);
+    assert.strictEqual(await store.verify(crypto.randomBytes(32).toString('hex')), null);
+});
+
+test('quarantine moves a fragment and its sidecar aside', async () => {
+    const fragmentId = await addFragment();
+    
+    await store.quarantine(fragmentId);
+    
+    assert.strictEqual(store.has(fragmentId), false);
+    assert.strictEqual(store.usedSpace, 0);
+    assert.deepStrictEqual(await fs.readdir(storagePath), ['quarantine']);
+    const kept = await fs.readdir(store.quarantinePath);
+    assert.strictEqual(kept.length, 2);
+    assert.ok(kept.some(file => file.startsWith(`${fragmentId}.frag.`)));
+});
+
+test('the integrity check quarantines and reports only corrupted fragments', async () => {
+    mock.method(console, 'log', () => {});
+    const running = await startNode();
+    try {
+        store = running.node.store;
+        const intact = await addFragment();
+        const corrupted = await addFragment();
+        await fs.writeFile(store.getFragmentPath(corrupted), crypto.randomBytes(1024));
+        mock.method(running.node, 'reportCorruptedFragments', async () => {});
+        
+        await running.node.runIntegrityCheck();
+        
+        assert.strictEqual(store.has(intact), true);
+        assert.strictEqual(store.has(corrupted), false);
+        assert.deepStrictEqual(running.node.reportCorruptedFragments.mock.calls[0].arguments, [[corrupted]]);
+    } finally {
+        mock.restoreAll();
+        await running.close();
+    }
+});
+
+test('a stored fragment is only replaced by an identical copy', async () => {
+    const deletionHash = 'a'.repeat(64);
+    const fragmentId = await addFragment({ deletionHash });
+    const { checksum } = store.get(fragmentId);
+    
+    assert.strictEqual(store.conflicts(fragmentId, { checksum, deletionHash }), false);
+    assert.strictEqual(store.conflicts(fragmentId, { checksum, deletionHash: 'b'.repeat(64) }), true);
+    assert.strictEqual(store.conflicts(fragmentId, { checksum: 'c'.repeat(64), deletionHash }), true);
+    await assert.rejects(store.add(fragmentId, { size: 1, checksum, deletionHash: null }), error => error.code === 'FRAGMENT_EXISTS');
+    assert.strictEqual(store.get(fragmentId).deletionHash, deletionHash);
+});
\ No newline at end of file
@@ -0,0 +1,89 @@
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const http = require('http');
+const { startNode } = require('./helpers/network');
+
+let running;
+
+beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    running = await startNode();
+});
+
+afterEach(async () => {
+    mock.restoreAll();
+    await running.close();
+});
+
+// Starts a PUT and returns a handle to feed its body by hand, so uploads can be interleaved
+function startPut(fragmentId, size, checksum) {
+    const request = http.request(`${running.url}/fragments/${fragmentId}`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/octet-stream',
+            'Content-Length': size,
+            'X-Fragment-Checksum': checksum
+        }
+    });
+    const response = new Promise((resolve, reject) => {
+        request.on('response', res => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+        });
+        request.on('error', reject);
+    });
+    return { request, response };
+}
+
+test('a PUT streams the raw bytes to disk and GET returns them', async () => {
+    const data = crypto.randomBytes(100000);
+    const fragmentId = crypto.randomBytes(32).toString('hex');
+    const checksum = crypto.createHash('sha256').update(data).digest('hex');
+    
+    const upload = startPut(fragmentId, data.length, checksum);
+    upload.request.end(data);
+    const { status, body } = await upload.response;
+    
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.size, data.length);
+    const downloaded = await fetch(`${running.url}/fragments/${fragmentId}`);
+    assert.deepStrictEqual(Buffer.from(await downloaded.arrayBuffer()), data);
+});
+
+test('a PUT whose bytes do not match the checksum is refused and leaves nothing behind', async () => {
+    const fragmentId = crypto.randomBytes(32).toString('hex');
+    const upload = startPut(fragmentId, 1000, 'a'.repeat(64));
+    upload.request.end(crypto.randomBytes(1000));
+    
+    assert.strictEqual((await upload.response).status, 400);
+    assert.deepStrictEqual(await fs.readdir(running.storagePath), []);
+});
+
+test('two interleaved uploads of one ID never mix their bytes', async () => {
+    const fragmentId = crypto.randomBytes(32).toString('hex');
+    const first = crypto.randomBytes(64 * 1024);
+    const second = crypto.randomBytes(64 * 1024);
+    const uploads = [first, second].map(data => ({
+        data,
+        ...startPut(fragmentId, data.length, crypto.createHash('sha256').update(data).digest('hex'))
+    }));
+    
+    // Half of each body, then the rest, so both are on disk at the same time
+    for (const upload of uploads) {
+        upload.request.write(upload.data.subarray(0, 32 * 1024));
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+    for (const upload of uploads) {
+        upload.request.end(upload.data.subarray(32 * 1024));
+    }
+    const statuses = (await Promise.all(uploads.map(upload => upload.response))).map(response => response.status);
+    
+    assert.deepStrictEqual(statuses.slice().sort(), [200, 409]);
+    const stored = await fs.readFile(running.node.store.getFragmentPath(fragmentId));
+    assert.deepStrictEqual(stored, uploads[statuses.indexOf(200)].data);
+    assert.strictEqual(crypto.createHash('sha256').update(stored).digest('hex'), running.node.store.get(fragmentId).checksum);
+    assert.deepStrictEqual((await fs.readdir(running.storagePath)).filter(file => file.endsWith('.tmp')), []);
+});
\ No newline at end of file
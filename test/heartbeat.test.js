@@ -0,0 +1,52 @@
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { startDirectory, startNode } = require('./helpers/network');
+
+let directory;
+let running;
+
+beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    directory = await startDirectory();
+    // A node ID the directory has never seen, so every heartbeat gets a 404
+    running = await startNode({ directoryUrl: directory.url, nodeId: crypto.randomBytes(16).toString('hex') });
+});
+
+afterEach(async () => {
+    mock.restoreAll();
+    await running.close();
+    await directory.close();
+});
+
+// Runs one heartbeat by hand instead of waiting for the interval
+function captureHeartbeat(node) {
+    let tick = null;
+    mock.method(global, 'setInterval', callback => {
+        tick = callback;
+        return 0;
+    });
+    node.startHeartbeat();
+    return tick;
+}
+
+test('a failed re-registration is logged instead of rejecting the heartbeat', async () => {
+    const tick = captureHeartbeat(running.node);
+    mock.method(running.node, 'registerWithDirectory', async () => {
+        throw new Error('Directory unreachable');
+    });
+    
+    await assert.doesNotReject(tick());
+    assert.strictEqual(running.node.registerWithDirectory.mock.callCount(), 1);
+    assert.ok(console.error.mock.calls.some(call => call.arguments.join(' ').includes('Directory unreachable')));
+});
+
+test('a heartbeat the directory does not recognise re-registers the node', async () => {
+    const tick = captureHeartbeat(running.node);
+    const nodeId = running.node.nodeId;
+    
+    await tick();
+    
+    assert.ok(directory.server.nodes.has(nodeId));
+});
\ No newline at end of file
@@ -0,0 +1,90 @@
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const Downloader = require('../client/download');
+const constants = require('../shared/constants');
+
+const spinner = { text: '' };
+const fragment = id => ({ fragmentId: id.repeat(64), nodeAddress: `${id}.example:9001` });
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+let downloader;
+let requested;
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    downloader = new Downloader('http://127.0.0.1:1');
+    requested = [];
+    mock.method(downloader, 'rankFragments', async fragments => fragments);
+});
+
+afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+});
+
+// Fetches answer from the table; a missing entry hangs until the request is cancelled
+function answer(table) {
+    mock.method(downloader, 'fetchFragment', (candidate, label, spinner, signal) => {
+        const id = candidate.fragmentId[0];
+        const request = { id, signal };
+        requested.push(request);
+        if (table[id] === 'fail') return Promise.reject(new Error('unavailable'));
+        if (table[id]) return Promise.resolve({ data: Buffer.from(table[id]), location: { nodeAddress: candidate.nodeAddress } });
+        return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))));
+    });
+}
+
+test('a copy that has not answered in time is hedged with the next one', async () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    answer({ b: 'from b' });
+    const result = downloader.downloadPartition({ fragments: [fragment('a'), fragment('b')] }, 0, 0, spinner, new AbortController().signal);
+    
+    await settle();
+    assert.deepStrictEqual(requested.map(request => request.id), ['a']);
+    mock.timers.tick(constants.NETWORK.HEDGE_DELAY);
+    
+    assert.deepStrictEqual((await result).data, Buffer.from('from b'));
+    assert.deepStrictEqual(requested.map(request => request.id), ['a', 'b']);
+    assert.strictEqual(requested[0].signal.aborted, true);
+});
+
+test('a failed copy moves on to the next at once', async () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    answer({ a: 'fail', b: 'from b' });
+    
+    const result = await downloader.downloadPartition({ fragments: [fragment('a'), fragment('b')] }, 0, 0, spinner, new AbortController().signal);
+    
+    assert.strictEqual(result.fragment.fragmentId, fragment('b').fragmentId);
+});
+
+test('a partition with no copy left comes back empty', async () => {
+    answer({ a: 'fail', b: 'fail' });
+    
+    const result = await downloader.downloadPartition({ fragments: [fragment('a'), fragment('b')] }, 0, 0, spinner, new AbortController().signal);
+    
+    assert.strictEqual(result, null);
+});
+
+test('partitions still in flight are cancelled once enough shards arrived', async () => {
+    answer({ a: 'from a', b: 'from b' });
+    const partitionMap = [{ fragments: [fragment('a')] }, { fragments: [fragment('b')] }, { fragments: [fragment('c')] }];
+    
+    const results = await downloader.downloadFragmentsWithRetry(partitionMap, spinner, 0, { needed: 2 });
+    
+    assert.deepStrictEqual(results.map(result => result && result.data.toString()), ['from a', 'from b', null]);
+    assert.strictEqual(requested.find(request => request.id === 'c').signal.aborted, true);
+    assert.strictEqual(console.error.mock.callCount(), 0);
+});
+
+test('copies are ranked by round trip, unreachable nodes last', async () => {
+    mock.restoreAll();
+    mock.method(console, 'log', () => {});
+    const latencies = { 'a.example:9001': Infinity, 'b.example:9001': 80, 'c.example:9001': 15 };
+    mock.method(downloader, 'resolveNodeIdentity', async () => null);
+    mock.method(downloader, 'measureLatency', async nodeAddress => latencies[nodeAddress]);
+    
+    const ranked = await downloader.rankFragments([fragment('a'), fragment('b'), fragment('c')]);
+    
+    assert.deepStrictEqual(ranked.map(candidate => candidate.fragmentId[0]), ['c', 'b', 'a']);
+});
\ No newline at end of file
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const DirectoryServer = require('../../directory-server/server');
+const StorageNode = require('../../storage-node/server');
+const NodeClient = require('../../client/node-client');
+const Signing = require('../../shared/signing');
+const constants = require('../../shared/constants');
+
+/**
+ * A directory server on a free local port, with its registry in a
+ * temporary directory that close() removes again.
+ */
+async function startDirectory() {
+    const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'mysterium-directory-'));
+    const server = new DirectoryServer({ dataPath });
+    const listener = await new Promise(resolve => {
+        const http = server.app.listen(0, '127.0.0.1', () => resolve(http));
+    });
+    
+    return {
+        server,
+        url: `http://127.0.0.1:${listener.address().port}`,
+        async close() {
+            clearTimeout(server.saveTimer);
+            listener.closeAllConnections();
+            await new Promise(resolve => listener.close(resolve));
+            await fs.rm(dataPath, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * Registers a node the way a storage node does, with a signed statement
+ * that binds a fresh identity key to the returned node ID.
+ */
+async function registerNode(directoryUrl, { port = 9001, nodeId = null, keyPair = Signing.generateKeyPair(), capabilities = [] } = {}) {
+    const timestamp = Date.now();
+    const statement = { type: 'register', nodeId, port, publicIp: '127.0.0.1', publicKey: keyPair.publicKey, timestamp };
+    const response = await axios.post(`${directoryUrl}/register`, {
+        ...statement,
+        availableSpace: 1024 * 1024 * 1024,
+        capabilities,
+        signature: Signing.sign(statement, keyPair.privateKey)
+    });
+    return { nodeId: response.data.nodeId, ...keyPair };
+}
+
+/**
+ * A storage node serving a fresh store in a temporary directory on a free
+ * local port. Without a directory URL it never registers, so nothing is
+ * reported anywhere.
+ */
+async function startNode({ directoryUrl = 'http://127.0.0.1:1', nodeId = null, keyPair = Signing.generateKeyPair() } = {}) {
+    const storagePath = await fs.mkdtemp(path.join(os.tmpdir(), 'mysterium-node-'));
+    const node = new StorageNode({ port: 9001, storagePath, directoryServer: directoryUrl, usePublicIp: false });
+    node.nodeId = nodeId;
+    node.privateKey = keyPair.privateKey;
+    node.publicKey = keyPair.publicKey;
+    await node.store.load({ repair: true });
+    
+    const listener = await new Promise(resolve => {
+        const http = node.app.listen(0, '127.0.0.1', () => resolve(http));
+    });
+    
+    return {
+        node,
+        storagePath,
+        address: `127.0.0.1:${listener.address().port}`,
+        url: `http://127.0.0.1:${listener.address().port}`,
+        async close() {
+            listener.closeAllConnections();
+            await new Promise(resolve => listener.close(resolve));
+            await fs.rm(storagePath, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * A directory with `count` storage nodes registered under their own
+ * identity keys, enough for a client to upload to.
+ */
+async function startNetwork(count) {
+    const directory = await startDirectory();
+    const nodes = [];
+    for (let i = 0; i < count; i++) {
+        const running = await startNode({ directoryUrl: directory.url });
+        const { nodeId } = await registerNode(directory.url, {
+            port: parseInt(running.address.split(':')[1]),
+            keyPair: { publicKey: running.node.publicKey, privateKey: running.node.privateKey },
+            capabilities: Object.values(constants.CAPABILITIES)
+        });
+        running.node.nodeId = nodeId;
+        nodes.push(running);
+    }
+    
+    return {
+        directory,
+        nodes,
+        async close() {
+            for (const running of nodes) {
+                await running.close();
+            }
+            await directory.close();
+        }
+    };
+}
+
+/**
+ * Stores random bytes on a node the way an upload does. Resolves to the
+ * fragment as a recovery file records it, plus the bytes themselves.
+ */
+async function storeFragment(nodeAddress, { size = 4096, deletionSecret = crypto.randomBytes(32), expiresAt = null, identity = null } = {}) {
+    const data = crypto.randomBytes(size);
+    const fragment = {
+        fragmentId: crypto.randomBytes(32).toString('hex'),
+        nodeAddress,
+        nodeId: identity ? identity.id : undefined,
+        checksum: crypto.createHash('sha256').update(data).digest('hex'),
+        deletionSecret: deletionSecret ? deletionSecret.toString('base64') : undefined
+    };
+    await NodeClient.fromAddress(nodeAddress, identity).storeFragment(fragment.fragmentId, data, {
+        checksum: fragment.checksum,
+        metadata: { fileId: 'f'.repeat(32), segmentIndex: 0, partitionIndex: 0 },
+        deletionHash: deletionSecret ? crypto.createHash('sha256').update(deletionSecret).digest('hex') : undefined,
+        expiresAt
+    });
+    return { fragment, data };
+}
+
+module.exports = { startDirectory, registerNode, startNode, startNetwork, storeFragment };
\ No newline at end of file
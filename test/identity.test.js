@@ -0,0 +1,78 @@
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const Signing = require('../shared/signing');
+const StorageNode = require('../storage-node/server');
+const NodeClient = require('../client/node-client');
+const { startDirectory, registerNode, startNode, storeFragment } = require('./helpers/network');
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+test('signatures cover the statement, not the order of its fields', () => {
+    const { publicKey, privateKey } = Signing.generateKeyPair();
+    const signature = Signing.sign({ type: 'heartbeat', nodeId: 'a', availableSpace: 1 }, privateKey);
+    
+    assert.strictEqual(Signing.verify({ availableSpace: 1, nodeId: 'a', type: 'heartbeat' }, signature, publicKey), true);
+    assert.strictEqual(Signing.verify({ type: 'heartbeat', nodeId: 'a', availableSpace: 2 }, signature, publicKey), false);
+    assert.strictEqual(Signing.verify({ type: 'heartbeat', nodeId: 'a', availableSpace: 1 }, signature, Signing.generateKeyPair().publicKey), false);
+    assert.strictEqual(Signing.isFresh(Date.now()), true);
+    assert.strictEqual(Signing.isFresh(Date.now() - 24 * 60 * 60 * 1000), false);
+});
+
+test('a node keeps its identity key across restarts', async () => {
+    const storagePath = await fs.mkdtemp(path.join(os.tmpdir(), 'mysterium-identity-'));
+    try {
+        const first = new StorageNode({ port: 9001, storagePath, directoryServer: 'http://127.0.0.1:1', usePublicIp: false });
+        await first.loadKeyPair();
+        const second = new StorageNode({ port: 9001, storagePath, directoryServer: 'http://127.0.0.1:1', usePublicIp: false });
+        await second.loadKeyPair();
+        
+        assert.strictEqual(second.publicKey, first.publicKey);
+        assert.strictEqual((await fs.stat(first.keyFilePath)).mode & 0o777, 0o600);
+    } finally {
+        await fs.rm(storagePath, { recursive: true, force: true });
+    }
+});
+
+test('receipts and retrieved fragments must be signed by the expected node', async () => {
+    const running = await startNode({ nodeId: 'node-a' });
+    try {
+        const identity = { id: 'node-a', publicKey: running.node.publicKey };
+        const { fragment, data } = await storeFragment(running.address, { identity });
+        assert.deepStrictEqual(await NodeClient.fromAddress(running.address, identity).retrieveFragment(fragment.fragmentId), data);
+        
+        const impostor = { id: 'node-a', publicKey: Signing.generateKeyPair().publicKey };
+        await assert.rejects(storeFragment(running.address, { identity: impostor }), error => error.code === 'NODE_IDENTITY_MISMATCH');
+        await assert.rejects(NodeClient.fromAddress(running.address, impostor).retrieveFragment(fragment.fragmentId),
+            error => error.code === 'NODE_IDENTITY_MISMATCH');
+    } finally {
+        await running.close();
+    }
+});
+
+test('the directory refuses heartbeats not signed by the node key', async () => {
+    const directory = await startDirectory();
+    try {
+        const identity = await registerNode(directory.url);
+        const heartbeat = { availableSpace: 1, storedFragments: 0, timestamp: Date.now() };
+        const statement = { type: 'heartbeat', nodeId: identity.nodeId, ...heartbeat };
+        const send = privateKey => axios.post(`${directory.url}/heartbeat/${identity.nodeId}`, {
+            ...heartbeat,
+            signature: Signing.sign(statement, privateKey)
+        }, { validateStatus: () => true });
+        
+        assert.strictEqual((await send(Signing.generateKeyPair().privateKey)).status, 401);
+        assert.strictEqual((await send(identity.privateKey)).status, 200);
+    } finally {
+        await directory.close();
+    }
+});
\ No newline at end of file
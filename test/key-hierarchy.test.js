@@ -0,0 +1,58 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const Uploader = require('../client/upload');
+const Downloader = require('../client/download');
+const RecoveryFile = require('../client/recovery');
+const { CryptoUtils } = require('../client/utils');
+const { startNetwork } = require('./helpers/network');
+
+test('fragment keys differ per file and per replica, and derive the same way every time', () => {
+    const masterKey = crypto.randomBytes(32);
+    const rootKey = CryptoUtils.deriveFragmentRootKey(masterKey, 'a'.repeat(32));
+    
+    assert.deepStrictEqual(CryptoUtils.deriveFragmentRootKey(masterKey, 'a'.repeat(32)), rootKey);
+    assert.notDeepStrictEqual(CryptoUtils.deriveFragmentRootKey(masterKey, 'b'.repeat(32)), rootKey);
+    assert.deepStrictEqual(CryptoUtils.deriveFragmentKey(rootKey, 0, 1, 0), CryptoUtils.deriveFragmentKey(rootKey, 0, 1, 0));
+    assert.notDeepStrictEqual(CryptoUtils.deriveFragmentKey(rootKey, 0, 1, 0), CryptoUtils.deriveFragmentKey(rootKey, 0, 1, 1));
+    assert.notDeepStrictEqual(CryptoUtils.deriveFragmentKey(rootKey, 0, 1, 0), CryptoUtils.deriveFragmentKey(rootKey, 1, 0, 0));
+});
+
+test('a sealed fragment opens only with its own key', () => {
+    const data = crypto.randomBytes(1000);
+    const key = crypto.randomBytes(32);
+    const blob = CryptoUtils.sealFragment(data, key);
+    
+    assert.deepStrictEqual(CryptoUtils.openFragment(blob, key), data);
+    assert.throws(() => CryptoUtils.openFragment(blob, crypto.randomBytes(32)));
+});
+
+test('a key-hierarchy upload stores no fragment keys and still downloads', async () => {
+    mock.method(console, 'log', () => {});
+    const network = await startNetwork(3);
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mysterium-hierarchy-'));
+    process.chdir(dir);
+    try {
+        const data = crypto.randomBytes(20000);
+        await fs.writeFile('file.bin', data);
+        
+        await new Uploader(network.directory.url).uploadFile('file.bin', { partitions: 2, redundancy: 1, keyHierarchy: true });
+        
+        const recoveryData = await RecoveryFile.load('file.bin.myst');
+        const fragments = RecoveryFile.getPartitions(recoveryData).flatMap(partition => partition.fragments);
+        assert.strictEqual(fragments.length, 3);
+        assert.ok(fragments.every(fragment => !fragment.encryption));
+        assert.strictEqual(recoveryData.security.fragmentEncryption.keyHierarchy, true);
+        
+        await new Downloader(network.directory.url).downloadFile('file.bin.myst', 'restored.bin');
+        assert.deepStrictEqual(await fs.readFile('restored.bin'), data);
+    } finally {
+        mock.restoreAll();
+        process.chdir(os.tmpdir());
+        await network.close();
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
\ No newline at end of file
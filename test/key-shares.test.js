@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const KeyShares = require('../client/key-shares');
+
+test('any threshold of the shares rebuilds the secret', () => {
+    const secret = crypto.randomBytes(32);
+    const shares = KeyShares.split(secret, { shares: 5, threshold: 3 });
+    
+    assert.strictEqual(shares.length, 5);
+    for (const picked of [[0, 1, 2], [0, 2, 4], [1, 3, 4], [4, 3, 0]]) {
+        assert.deepStrictEqual(KeyShares.combine(picked.map(i => shares[i])), secret, `shares ${picked}`);
+    }
+});
+
+test('fewer than the threshold do not rebuild the secret', () => {
+    const secret = crypto.randomBytes(32);
+    const shares = KeyShares.split(secret, { shares: 5, threshold: 3 });
+    
+    assert.notDeepStrictEqual(KeyShares.combine(shares.slice(0, 2)), secret);
+});
+
+test('rejects a threshold below 2 or more shares than the field allows', () => {
+    const secret = crypto.randomBytes(32);
+    
+    assert.throws(() => KeyShares.split(secret, { shares: 3, threshold: 1 }), /threshold/);
+    assert.throws(() => KeyShares.split(secret, { shares: 2, threshold: 3 }), /number of shares/);
+    assert.throws(() => KeyShares.split(secret, { shares: 256, threshold: 2 }), /number of shares/);
+});
+
+test('printed shares of a recovery file recover the secret and catch typos', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mysterium-shares-'));
+    try {
+        const recoveryFilePath = path.join(dir, 'file.myst');
+        await fs.writeFile(recoveryFilePath, JSON.stringify({ fileName: 'file', originalSize: 1, timestamp: 1 }));
+        
+        const secret = crypto.randomBytes(32);
+        const shares = await KeyShares.create(recoveryFilePath, secret, 'key', { shares: 3, threshold: 2 });
+        
+        const recovered = await KeyShares.recover(recoveryFilePath, [shares[2], shares[0]]);
+        assert.strictEqual(recovered.kind, 'master-key');
+        assert.deepStrictEqual(recovered.secret, secret);
+        
+        await assert.rejects(KeyShares.recover(recoveryFilePath, [shares[1]]), /2 different shares are needed/);
+        
+        const hex = shares[0].split('-')[7];
+        const typo = shares[0].replace(hex, (hex[0] === 'a' ? 'b' : 'a') + hex.substring(1));
+        assert.throws(() => KeyShares.decode(typo), /typo/);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
\ No newline at end of file
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const KeySlots = require('../client/key-slots');
+
+// The cheapest parameters new slots accept, so the suite stays fast
+const SCRYPT = KeySlots.parseKdf('scrypt:N=16384');
+const PBKDF2 = KeySlots.parseKdf('pbkdf2:iterations=100000');
+
+test('a password slot unwraps the master key with scrypt and PBKDF2', async () => {
+    const masterKey = crypto.randomBytes(32);
+    const credentials = await KeySlots.credentials({ password: 'correct horse' });
+    
+    for (const kdf of [SCRYPT, PBKDF2]) {
+        const slot = await KeySlots.create(masterKey, credentials, kdf);
+        const unlocked = await KeySlots.unlock([slot], credentials);
+        
+        assert.deepStrictEqual(unlocked.masterKey, masterKey);
+        assert.strictEqual(unlocked.slot, slot);
+    }
+});
+
+test('a wrong password opens no slot', async () => {
+    const masterKey = crypto.randomBytes(32);
+    const slot = await KeySlots.create(masterKey, await KeySlots.credentials({ password: 'right' }), SCRYPT);
+    
+    assert.strictEqual(await KeySlots.unlock([slot], await KeySlots.credentials({ password: 'wrong' })), null);
+});
+
+test('a password and key file slot needs both factors', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mysterium-slots-'));
+    try {
+        const keyFile = path.join(dir, 'my.key');
+        await fs.writeFile(keyFile, crypto.randomBytes(64));
+        
+        const masterKey = crypto.randomBytes(32);
+        const both = await KeySlots.credentials({ password: 'pw', keyFile });
+        const slots = [await KeySlots.create(masterKey, both, SCRYPT)];
+        
+        assert.deepStrictEqual(slots[0].factors, ['password', 'key-file']);
+        assert.deepStrictEqual((await KeySlots.unlock(slots, both)).masterKey, masterKey);
+        assert.strictEqual(await KeySlots.unlock(slots, await KeySlots.credentials({ password: 'pw' })), null);
+        assert.strictEqual(await KeySlots.unlock(slots, await KeySlots.credentials({ keyFile })), null);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('weakened KDF parameters in a slot no longer unwrap it', async () => {
+    const masterKey = crypto.randomBytes(32);
+    const credentials = await KeySlots.credentials({ password: 'pw' });
+    const slot = await KeySlots.create(masterKey, credentials, PBKDF2);
+    
+    const tampered = { ...slot, kdf: { ...slot.kdf, iterations: 1000 } };
+    assert.strictEqual(await KeySlots.unlock([tampered], credentials), null);
+});
+
+test('parseKdf reads parameters and rejects unsafe ones', () => {
+    assert.deepStrictEqual(KeySlots.parseKdf('scrypt:N=32768,r=8,p=2'), { algorithm: 'scrypt', N: 32768, r: 8, p: 2 });
+    assert.strictEqual(KeySlots.parseKdf('pbkdf2:iterations=200000').iterations, 200000);
+    
+    assert.throws(() => KeySlots.parseKdf('argon2'), /Unknown KDF/);
+    assert.throws(() => KeySlots.parseKdf('scrypt:N=1024'), /power of two/);
+    assert.throws(() => KeySlots.parseKdf('scrypt:N=20000'), /power of two/);
+    assert.throws(() => KeySlots.parseKdf('pbkdf2:iterations=1000'), /100,000/);
+    assert.throws(() => KeySlots.parseKdf('pbkdf2:hash=md5'), /Unknown PBKDF2 parameter/);
+});
\ No newline at end of file
@@ -0,0 +1,45 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const KeySlots = require('../client/key-slots');
+const RecoveryFile = require('../client/recovery');
+const KeySplitter = require('../client/key-split');
+
+test('shares from split-key open the file with a new password through combine-key', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mysterium-split-'));
+    const recoveryFilePath = path.join(dir, 'file.myst');
+    const masterKey = crypto.randomBytes(32);
+    const kdf = KeySlots.parseKdf('scrypt:N=16384');
+    await RecoveryFile.save(recoveryFilePath, {
+        fileName: 'file',
+        originalSize: 1,
+        timestamp: 1,
+        segments: [],
+        security: {
+            masterEncryption: {
+                algorithm: 'AES-256-GCM',
+                key: null,
+                keyDerivation: 'ENVELOPE',
+                keySlots: [await KeySlots.create(masterKey, await KeySlots.credentials({ password: 'pw' }), kdf)],
+                passwordProtected: true
+            }
+        }
+    });
+    
+    mock.method(console, 'log', () => {});
+    try {
+        const splitter = new KeySplitter();
+        const { shares } = await splitter.splitKey(recoveryFilePath, { shares: 3, threshold: 2, masterPassword: 'pw' });
+        await splitter.combineKey(recoveryFilePath, [shares[2], shares[0]], { newPassword: 'new', kdf: 'scrypt:N=16384' });
+        
+        const { keySlots } = (await RecoveryFile.load(recoveryFilePath)).security.masterEncryption;
+        assert.strictEqual(keySlots.length, 2);
+        assert.deepStrictEqual((await KeySlots.unlock(keySlots, await KeySlots.credentials({ password: 'new' }))).masterKey, masterKey);
+    } finally {
+        mock.restoreAll();
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
\ No newline at end of file
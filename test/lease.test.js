@@ -0,0 +1,95 @@
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const Uploader = require('../client/upload');
+const Renewer = require('../client/renew');
+const RecoveryFile = require('../client/recovery');
+const NodeClient = require('../client/node-client');
+const { startNode, startNetwork, storeFragment } = require('./helpers/network');
+
+const HOUR = 60 * 60 * 1000;
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+test('leases only grow, and a fragment stored without one stays permanent', async () => {
+    const running = await startNode();
+    try {
+        const expiresAt = Date.now() + HOUR;
+        const leased = (await storeFragment(running.address, { expiresAt })).fragment;
+        const permanent = (await storeFragment(running.address)).fragment;
+        const client = NodeClient.fromAddress(running.address);
+        
+        assert.strictEqual((await client.renewLease(leased.fragmentId, leased.deletionSecret, expiresAt + HOUR)).expiresAt, expiresAt + HOUR);
+        assert.strictEqual((await client.renewLease(leased.fragmentId, leased.deletionSecret, expiresAt)).expiresAt, expiresAt + HOUR);
+        assert.strictEqual((await client.renewLease(permanent.fragmentId, permanent.deletionSecret, expiresAt)).expiresAt, null);
+        assert.strictEqual(running.node.store.get(leased.fragmentId).expiresAt, expiresAt + HOUR);
+    } finally {
+        await running.close();
+    }
+});
+
+test('a lease is only extended with the deletion secret and to a future time', async () => {
+    mock.method(console, 'error', () => {});
+    const running = await startNode();
+    try {
+        const { fragment } = await storeFragment(running.address, { expiresAt: Date.now() + HOUR });
+        const client = NodeClient.fromAddress(running.address);
+        const status = error => error.response && error.response.status;
+        
+        await assert.rejects(client.renewLease(fragment.fragmentId, crypto.randomBytes(32).toString('base64'), Date.now() + 2 * HOUR),
+            error => status(error) === 403);
+        await assert.rejects(client.renewLease(fragment.fragmentId, fragment.deletionSecret, Date.now() - HOUR), error => status(error) === 400);
+        await assert.rejects(client.renewLease('0'.repeat(64), fragment.deletionSecret, Date.now() + 2 * HOUR), error => status(error) === 404);
+    } finally {
+        await running.close();
+    }
+});
+
+test('the lease sweep removes fragments whose lease ran out', async () => {
+    const running = await startNode();
+    try {
+        const expiring = (await storeFragment(running.address, { expiresAt: Date.now() + 200 })).fragment;
+        const kept = (await storeFragment(running.address, { expiresAt: Date.now() + HOUR })).fragment;
+        await new Promise(resolve => setTimeout(resolve, 250));
+        
+        await running.node.collectExpiredFragments();
+        
+        assert.strictEqual(running.node.store.get(expiring.fragmentId), null);
+        assert.ok(running.node.store.get(kept.fragmentId));
+        await assert.rejects(fs.access(running.node.store.getFragmentPath(expiring.fragmentId)));
+    } finally {
+        await running.close();
+    }
+});
+
+test('renewing a file extends every fragment and the lease in its recovery file', async () => {
+    const network = await startNetwork(3);
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mysterium-lease-'));
+    process.chdir(dir);
+    try {
+        await fs.writeFile('file.bin', crypto.randomBytes(20000));
+        await new Uploader(network.directory.url).uploadFile('file.bin', { partitions: 2, redundancy: 1, ttl: HOUR });
+        
+        const result = await new Renewer(network.directory.url).renewFile('file.bin.myst', { ttl: 2 * HOUR });
+        
+        assert.strictEqual(result.renewed, 3);
+        const recoveryData = await RecoveryFile.load('file.bin.myst');
+        assert.deepStrictEqual(recoveryData.lease, { ttl: 2 * HOUR, expiresAt: result.expiresAt });
+        const records = network.nodes.flatMap(running => Array.from(running.node.store.fragments.values()));
+        assert.strictEqual(records.length, 3);
+        assert.ok(records.every(record => record.expiresAt === result.expiresAt));
+    } finally {
+        process.chdir(os.tmpdir());
+        await network.close();
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
\ No newline at end of file
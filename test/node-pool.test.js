@@ -0,0 +1,97 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const NodePool = require('../client/node-pool');
+const NodeClient = require('../client/node-client');
+const Uploader = require('../client/upload');
+const Downloader = require('../client/download');
+const RecoveryFile = require('../client/recovery');
+const { runConcurrently } = require('../client/pipeline');
+const { startNetwork } = require('./helpers/network');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+const nodes = ['a', 'b', 'c'].map(id => ({ id, address: '127.0.0.1', port: 9001 }));
+
+test('candidates rotate past the node used last', () => {
+    const pool = new NodePool(nodes);
+    
+    pool.markUsed(nodes[0]);
+    
+    assert.deepStrictEqual(pool.candidates().map(node => node.id), ['b', 'c', 'a']);
+    assert.deepStrictEqual(pool.candidates(new Set(['c'])).map(node => node.id), ['b', 'a']);
+});
+
+test('only failures in a row blacklist a node', () => {
+    mock.method(console, 'log', () => {});
+    const pool = new NodePool(nodes, { blacklistThreshold: 2 });
+    
+    assert.strictEqual(pool.reportFailure(nodes[1]), false);
+    pool.reportSuccess(nodes[1]);
+    assert.strictEqual(pool.reportFailure(nodes[1]), false);
+    assert.strictEqual(pool.reportFailure(nodes[1]), true);
+    
+    assert.deepStrictEqual(pool.candidates().map(node => node.id), ['a', 'c']);
+    mock.restoreAll();
+});
+
+test('concurrent callers share one request for more nodes', async () => {
+    mock.method(console, 'log', () => {});
+    const fetchMore = mock.fn(async known => {
+        await delay(5);
+        return [...nodes, { id: 'd' }].filter(node => !known.has(node.id));
+    });
+    const pool = new NodePool(nodes.slice(0, 2), { fetchMore });
+    
+    assert.deepStrictEqual(await Promise.all([pool.replenish(), pool.replenish()]), [2, 2]);
+    assert.strictEqual(fetchMore.mock.callCount(), 1);
+    assert.deepStrictEqual(pool.nodes.map(node => node.id), ['a', 'b', 'c', 'd']);
+    mock.restoreAll();
+});
+
+
+test('runConcurrently starts nothing new after a failure', async () => {
+    const started = [];
+    
+    await assert.rejects(runConcurrently([0, 1, 2, 3, 4, 5], 2, async item => {
+        started.push(item);
+        // Item 0 is still running when item 1 fails
+        await delay(item === 0 ? 20 : 5);
+        if (item === 1) throw new Error('item 1 failed');
+    }), /item 1 failed/);
+    
+    assert.deepStrictEqual(started, [0, 1]);
+});
+
+test('an upload routes around a node that keeps failing', async () => {
+    mock.method(console, 'log', () => {});
+    const network = await startNetwork(4);
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mysterium-pool-'));
+    process.chdir(dir);
+    try {
+        const data = crypto.randomBytes(20000);
+        await fs.writeFile('file.bin', data);
+        const broken = network.nodes[0];
+        const storeFragment = NodeClient.prototype.storeFragment;
+        mock.method(NodeClient.prototype, 'storeFragment', function (...args) {
+            if (this.baseUrl.endsWith(`:${broken.address.split(':')[1]}`)) return Promise.reject(new Error('connection reset'));
+            return storeFragment.apply(this, args);
+        });
+        
+        await new Uploader(network.directory.url).uploadFile('file.bin', { partitions: 2, redundancy: 1, segmentSize: 5000 });
+        
+        const fragments = RecoveryFile.getPartitions(await RecoveryFile.load('file.bin.myst')).flatMap(partition => partition.fragments);
+        assert.strictEqual(fragments.length, 12);
+        assert.ok(!fragments.some(fragment => fragment.nodeAddress === broken.address));
+        assert.strictEqual(broken.node.store.count, 0);
+        await new Downloader(network.directory.url).downloadFile('file.bin.myst', 'restored.bin');
+        assert.deepStrictEqual(await fs.readFile('restored.bin'), data);
+    } finally {
+        mock.restoreAll();
+        process.chdir(os.tmpdir());
+        await network.close();
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
\ No newline at end of file
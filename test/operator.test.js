@@ -0,0 +1,100 @@
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const StorageNode = require('../storage-node/server');
+const NodeOperator = require('../storage-node/operator');
+const { startDirectory, registerNode } = require('./helpers/network');
+
+let directory;
+let storagePath;
+let identity;
+
+async function storeFragment(node, { expiresAt = null } = {}) {
+    const fragmentId = crypto.randomBytes(32).toString('hex');
+    const data = crypto.randomBytes(1024);
+    await fs.writeFile(node.store.getFragmentPath(fragmentId), data);
+    await node.store.add(fragmentId, {
+        size: data.length,
+        checksum: crypto.createHash('sha256').update(data).digest('hex'),
+        metadata: { fileId: 'f'.repeat(32), segmentIndex: 0, partitionIndex: 0 },
+        deletionHash: null,
+        expiresAt
+    });
+    await node.reportFragmentStorage(fragmentId, node.store.get(fragmentId).metadata);
+    return fragmentId;
+}
+
+// An operator command runs with a node built from the command line, holding nothing but its config
+function operator() {
+    return new NodeOperator(new StorageNode({ port: 9001, storagePath, directoryServer: directory.url }));
+}
+
+beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    directory = await startDirectory();
+    storagePath = await fs.mkdtemp(path.join(os.tmpdir(), 'mysterium-store-'));
+    
+    identity = await registerNode(directory.url);
+    await fs.writeFile(path.join(storagePath, 'node_id.json'), JSON.stringify({ nodeId: identity.nodeId }));
+    await fs.writeFile(path.join(storagePath, 'node_key.pem'), identity.privateKey);
+});
+
+afterEach(async () => {
+    mock.restoreAll();
+    await directory.close();
+    await fs.rm(storagePath, { recursive: true, force: true });
+});
+
+async function runningNode() {
+    const node = new StorageNode({ port: 9001, storagePath, directoryServer: directory.url });
+    await node.store.load({ repair: true });
+    node.nodeId = identity.nodeId;
+    node.privateKey = identity.privateKey;
+    return node;
+}
+
+test('gc tells the directory which expired fragments it removed', async () => {
+    const node = await runningNode();
+    const expired = await storeFragment(node, { expiresAt: Date.now() + 50 });
+    const kept = await storeFragment(node);
+    assert.ok(directory.server.fragments.has(expired));
+    await new Promise(resolve => setTimeout(resolve, 60));
+    
+    const result = await operator().gc();
+    
+    assert.strictEqual(result.expired, 1);
+    assert.ok(!directory.server.fragments.has(expired));
+    assert.deepStrictEqual(directory.server.fragments.get(kept).nodes, [identity.nodeId]);
+});
+
+test('verify --quarantine reports the corrupted fragments to the directory', async () => {
+    const node = await runningNode();
+    const corrupted = await storeFragment(node);
+    const intact = await storeFragment(node);
+    await fs.writeFile(node.store.getFragmentPath(corrupted), crypto.randomBytes(1024));
+    
+    const result = await operator().verify({ quarantine: true });
+    
+    assert.deepStrictEqual(result.corrupted, [corrupted]);
+    const record = directory.server.fragments.get(corrupted);
+    assert.deepStrictEqual(record.nodes, []);
+    assert.deepStrictEqual(record.corrupted.map(entry => entry.nodeId), [identity.nodeId]);
+    assert.deepStrictEqual(directory.server.fragments.get(intact).nodes, [identity.nodeId]);
+});
+
+test('without the identity key nothing is reported and no new key is made', async () => {
+    const node = await runningNode();
+    const expired = await storeFragment(node, { expiresAt: Date.now() + 50 });
+    await fs.rm(path.join(storagePath, 'node_key.pem'));
+    await new Promise(resolve => setTimeout(resolve, 60));
+    
+    const result = await operator().gc();
+    
+    assert.strictEqual(result.expired, 1);
+    assert.deepStrictEqual(directory.server.fragments.get(expired).nodes, [identity.nodeId]);
+    assert.ok(console.log.mock.calls.some(call => String(call.arguments[0]).includes('No identity key')));
+    await assert.rejects(fs.access(path.join(storagePath, 'node_key.pem')), { code: 'ENOENT' });
+});
\ No newline at end of file
@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { SegmentChunker, ConcurrentWriter, OrderedSegmentReader } = require('../client/pipeline');
+
+async function collect(readable) {
+    const items = [];
+    for await (const item of readable) {
+        items.push(item);
+    }
+    return items;
+}
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('the chunker cuts unevenly sized writes into fixed segments', async () => {
+    const data = crypto.randomBytes(1000);
+    const writes = [data.subarray(0, 7), data.subarray(7, 300), data.subarray(300, 301), data.subarray(301)];
+    const chunker = new SegmentChunker(256);
+    
+    const segments = await collect(Readable.from(writes).pipe(chunker));
+    
+    assert.deepStrictEqual(segments.map(segment => segment.data.length), [256, 256, 256, 232]);
+    assert.deepStrictEqual(segments.map(segment => segment.offset), [0, 256, 512, 768]);
+    assert.deepStrictEqual(Buffer.concat(segments.map(segment => segment.data)), data);
+    assert.strictEqual(chunker.digest(), crypto.createHash('sha256').update(data).digest('hex'));
+});
+
+test('an empty input still yields one empty segment', async () => {
+    const segments = await collect(Readable.from([]).pipe(new SegmentChunker(256)));
+    
+    assert.strictEqual(segments.length, 1);
+    assert.strictEqual(segments[0].data.length, 0);
+});
+
+test('the ordered reader emits in index order however the loads finish', async () => {
+    // Later segments finish loading first
+    const reader = new OrderedSegmentReader(5, async index => {
+        await delay((5 - index) * 5);
+        return Buffer.from([index]);
+    }, 3);
+    
+    const output = Buffer.concat(await collect(reader));
+    
+    assert.deepStrictEqual([...output], [0, 1, 2, 3, 4]);
+});
+
+test('the ordered reader never loads more than its concurrency ahead', async () => {
+    let active = 0;
+    let peak = 0;
+    const reader = new OrderedSegmentReader(8, async index => {
+        active++;
+        peak = Math.max(peak, active);
+        await delay(5);
+        active--;
+        return Buffer.from([index]);
+    }, 2);
+    
+    await collect(reader);
+    
+    assert.strictEqual(peak, 2);
+});
+
+test('the concurrent writer bounds work in flight and reports the first failure', async () => {
+    let active = 0;
+    let peak = 0;
+    const writer = new ConcurrentWriter(async item => {
+        active++;
+        peak = Math.max(peak, active);
+        await delay(5);
+        active--;
+        if (item === 4) throw new Error('segment 4 failed');
+    }, 3);
+    
+    await assert.rejects(pipeline(Readable.from([0, 1, 2, 3, 4, 5, 6, 7]), writer), /segment 4 failed/);
+    assert.strictEqual(peak, 3);
+});
\ No newline at end of file
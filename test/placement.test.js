@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const PlacementPolicy = require('../client/placement');
+
+const node = (id, address, country) => ({ id, address, country });
+
+test('subnets group IPv4 by /24 and IPv6 by /48', () => {
+    assert.strictEqual(PlacementPolicy.subnetOf('198.51.100.7'), '198.51.100.0/24');
+    assert.strictEqual(PlacementPolicy.subnetOf('::ffff:198.51.100.7'), '198.51.100.0/24');
+    assert.strictEqual(PlacementPolicy.subnetOf('2001:db8:1::5'), '2001:db8:1::/48');
+    assert.strictEqual(PlacementPolicy.subnetOf('2001:db8::5'), PlacementPolicy.subnetOf('2001:0db8:0000:ffff::1'));
+});
+
+test('copies of a partition never share a failure domain', () => {
+    const nodes = [
+        node('a', '198.51.100.1', 'DE'),
+        node('b', '198.51.100.2', 'DE'),
+        node('c', '203.0.113.1', 'FR')
+    ];
+    const placement = new PlacementPolicy('subnet').forSegment();
+    
+    assert.strictEqual(placement.choose(0, nodes).id, 'a');
+    assert.strictEqual(placement.choose(0, nodes).id, 'c');
+    assert.strictEqual(placement.choose(0, nodes), null);
+});
+
+test('the least loaded node comes first, so shards of a segment spread out', () => {
+    const nodes = [node('a', '198.51.100.1'), node('b', '203.0.113.1'), node('c', '192.0.2.1')];
+    const placement = new PlacementPolicy('node').forSegment();
+    
+    const chosen = [0, 1, 2].map(partitionIndex => placement.choose(partitionIndex, nodes).id);
+    
+    assert.deepStrictEqual(chosen, ['a', 'b', 'c']);
+});
+
+test('removing a reservation frees the node for that partition again', () => {
+    const nodes = [node('a', '198.51.100.1')];
+    const placement = new PlacementPolicy('node').forSegment();
+    const chosen = placement.choose(0, nodes);
+    
+    placement.remove(0, chosen);
+    
+    assert.strictEqual(placement.choose(0, nodes).id, 'a');
+});
+
+test('an upload that cannot spread its copies fails up front', () => {
+    const nodes = [node('a', '198.51.100.1', 'DE'), node('b', '203.0.113.1', 'DE')];
+    
+    assert.doesNotThrow(() => new PlacementPolicy('subnet').check(nodes, 2));
+    assert.throws(() => new PlacementPolicy('country').check(nodes, 2), error => error.code === 'PLACEMENT_UNSATISFIABLE');
+});
+
+test('unknown failure domains are refused', () => {
+    assert.throws(() => new PlacementPolicy('rack'), /Unknown failure domain "rack"/);
+});
+
+test('region lists are normalised and checked', () => {
+    assert.deepStrictEqual(PlacementPolicy.parseRegions(' de, fr ,DE'), ['DE', 'FR']);
+    assert.deepStrictEqual(PlacementPolicy.parseRegions(['ch']), ['CH']);
+    assert.strictEqual(PlacementPolicy.parseRegions(''), null);
+    assert.throws(() => PlacementPolicy.parseRegions('Germany'), /Invalid region "GERMANY"/);
+});
+
+test('a node of unknown country is never allowed in, but is not denied either', () => {
+    const allowing = new PlacementPolicy('node', { allowRegions: 'DE,FR' });
+    const denying = new PlacementPolicy('node', { denyRegions: 'US' });
+    
+    assert.strictEqual(allowing.allows(node('a', '198.51.100.1', 'DE')), true);
+    assert.strictEqual(allowing.allows(node('b', '198.51.100.2', 'US')), false);
+    assert.strictEqual(allowing.allows(node('c', '198.51.100.3')), false);
+    assert.strictEqual(denying.allows(node('b', '198.51.100.2', 'US')), false);
+    assert.strictEqual(denying.allows(node('c', '198.51.100.3')), true);
+});
+
+test('region rules travel with the recovery file', () => {
+    const policy = new PlacementPolicy('country', { allowRegions: 'DE,FR', denyRegions: 'FR' });
+    const restored = PlacementPolicy.fromRecovery({ placement: policy.describe() });
+    
+    assert.strictEqual(restored.failureDomain, 'country');
+    assert.deepStrictEqual(restored.allowRegions, ['DE', 'FR']);
+    assert.deepStrictEqual(restored.denyRegions, ['FR']);
+    assert.strictEqual(restored.describeRegions(), 'only DE, FR; not FR');
+});
\ No newline at end of file
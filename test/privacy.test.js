@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const PrivacyPolicy = require('../client/privacy');
+const constants = require('../shared/constants');
+
+test('pads to a Padmé bucket no smaller than the minimum', () => {
+    const policy = new PrivacyPolicy();
+    
+    assert.strictEqual(policy.paddedLength(100), constants.PRIVACY.MIN_PADDED_LENGTH);
+    for (const length of [100000, 1234567, 64 * 1024 * 1024 + 1]) {
+        const padded = policy.paddedLength(length);
+        assert.ok(padded >= length && padded <= length * 1.12, `${length} padded to ${padded}`);
+    }
+});
+
+test('lengths in the same bucket pad to the same size', () => {
+    const policy = new PrivacyPolicy();
+    
+    assert.strictEqual(policy.paddedLength(1000001), policy.paddedLength(1000100));
+});
+
+test('padding keeps the data and fills a fixed-size segment exactly', () => {
+    const policy = new PrivacyPolicy({ fragmentSize: 8 * 1024 });
+    const capacity = policy.segmentCapacity(4, true);
+    const data = crypto.randomBytes(20000);
+    const padded = policy.pad(data, capacity);
+    
+    assert.strictEqual(capacity, (8 * 1024 - constants.ENCRYPTION.IV_LENGTH - constants.ENCRYPTION.TAG_LENGTH) * 4);
+    assert.strictEqual(padded.length, capacity);
+    assert.deepStrictEqual(padded.subarray(0, data.length), data);
+    assert.throws(() => policy.pad(crypto.randomBytes(capacity + 1), capacity), /does not fit/);
+});
+
+test('partition tags are stable for a policy and differ between partitions and uploads', () => {
+    const policy = new PrivacyPolicy();
+    const restored = new PrivacyPolicy(policy.describe());
+    
+    assert.strictEqual(restored.tag(0, 1), policy.tag(0, 1));
+    assert.notStrictEqual(policy.tag(0, 1), policy.tag(0, 2));
+    assert.notStrictEqual(new PrivacyPolicy().tag(0, 1), policy.tag(0, 1));
+});
\ No newline at end of file
@@ -0,0 +1,67 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const RecoveryFile = require('../client/recovery');
+
+let dir;
+let recoveryFilePath;
+let recoveryData;
+
+beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mysterium-recovery-'));
+    recoveryFilePath = path.join(dir, 'file.myst');
+    recoveryData = {
+        fileName: 'report.pdf',
+        originalSize: 1234,
+        timestamp: 1,
+        segments: [{ index: 0, partitions: [{ index: 0, fragments: [{ fragmentId: 'a'.repeat(64), nodeAddress: '203.0.113.7:9001' }] }] }],
+        security: { masterEncryption: { algorithm: 'AES-256-GCM', key: crypto.randomBytes(32).toString('base64') } }
+    };
+});
+
+afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('a sealed file keeps keys and node addresses out of the file on disk', async () => {
+    await RecoveryFile.save(recoveryFilePath, recoveryData, { passphrase: 'correct horse' });
+    
+    const text = await fs.readFile(recoveryFilePath, 'utf8');
+    assert.ok(!text.includes(recoveryData.security.masterEncryption.key));
+    assert.ok(!text.includes('203.0.113.7'));
+    const envelope = await RecoveryFile.readEnvelope(recoveryFilePath);
+    assert.strictEqual(RecoveryFile.isSealed(envelope), true);
+    assert.deepStrictEqual(envelope.metadata, { fileName: 'report.pdf', originalSize: 1234, timestamp: 1, segments: 1, fragments: 1 });
+    
+    assert.deepStrictEqual(await RecoveryFile.load(recoveryFilePath, { passphrase: 'correct horse' }), recoveryData);
+});
+
+test('a sealed file does not open without the right passphrase', async () => {
+    await RecoveryFile.save(recoveryFilePath, recoveryData, { passphrase: 'correct horse' });
+    
+    await assert.rejects(RecoveryFile.load(recoveryFilePath), error => error.code === 'RECOVERY_SEALED');
+    await assert.rejects(RecoveryFile.load(recoveryFilePath, { passphrase: 'wrong' }), /Incorrect recovery passphrase/);
+});
+
+test('changing the readable metadata of a sealed file breaks it', async () => {
+    await RecoveryFile.save(recoveryFilePath, recoveryData, { passphrase: 'correct horse' });
+    const envelope = await RecoveryFile.readEnvelope(recoveryFilePath);
+    envelope.metadata.fileName = 'other.pdf';
+    await fs.writeFile(recoveryFilePath, JSON.stringify(envelope));
+    
+    await assert.rejects(RecoveryFile.load(recoveryFilePath, { passphrase: 'correct horse' }), /tampered/);
+});
+
+test('a sealed file stays sealed when saved again after loading', async () => {
+    await RecoveryFile.save(recoveryFilePath, recoveryData, { passphrase: 'correct horse' });
+    const loaded = await RecoveryFile.load(recoveryFilePath, { passphrase: 'correct horse' });
+    loaded.timestamp = 2;
+    
+    await RecoveryFile.save(recoveryFilePath, loaded);
+    
+    assert.strictEqual(RecoveryFile.isSealed(await RecoveryFile.readEnvelope(recoveryFilePath)), true);
+    assert.strictEqual((await RecoveryFile.load(recoveryFilePath, { passphrase: 'correct horse' })).timestamp, 2);
+});
\ No newline at end of file
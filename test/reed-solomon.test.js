@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { ReedSolomon } = require('../client/utils');
+
+test('decodes the original data from the data shards alone', () => {
+    const data = crypto.randomBytes(10000);
+    const shards = ReedSolomon.encode(data, 4, 2);
+    
+    assert.strictEqual(shards.length, 6);
+    assert.deepStrictEqual(ReedSolomon.decode(shards, 4, 2, data.length), data);
+});
+
+test('rebuilds the data with as many shards missing as there are parity shards', () => {
+    const data = crypto.randomBytes(12345);
+    const shards = ReedSolomon.encode(data, 5, 3);
+    
+    for (const missing of [[0, 1, 2], [2, 5, 7], [5, 6, 7], [0, 4, 6]]) {
+        const damaged = shards.map((shard, i) => missing.includes(i) ? null : shard);
+        assert.deepStrictEqual(ReedSolomon.decode(damaged, 5, 3, data.length), data, `missing ${missing}`);
+    }
+});
+
+test('fails when more shards are missing than parity can cover', () => {
+    const data = crypto.randomBytes(4096);
+    const shards = ReedSolomon.encode(data, 4, 2);
+    
+    assert.throws(() => ReedSolomon.decode([null, null, null, shards[3], shards[4], shards[5]], 4, 2, data.length), /Not enough shards for recovery\. Have 3, need 4/);
+});
\ No newline at end of file
@@ -0,0 +1,72 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const KeySlots = require('../client/key-slots');
+const RecoveryFile = require('../client/recovery');
+const Rekeyer = require('../client/rekey');
+
+async function withRecoveryFile(slots, callback) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mysterium-rekey-'));
+    const recoveryFilePath = path.join(dir, 'file.myst');
+    await RecoveryFile.save(recoveryFilePath, {
+        fileName: 'file',
+        originalSize: 1,
+        timestamp: 1,
+        segments: [],
+        security: {
+            masterEncryption: { algorithm: 'AES-256-GCM', key: null, keyDerivation: 'ENVELOPE', keySlots: slots, passwordProtected: true }
+        }
+    });
+    
+    mock.method(console, 'log', () => {});
+    try {
+        await callback(recoveryFilePath);
+    } finally {
+        mock.restoreAll();
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+}
+
+test('--kdf alone wraps the current slot again with the new KDF', async () => {
+    const masterKey = crypto.randomBytes(32);
+    const credentials = await KeySlots.credentials({ password: 'pw' });
+    const slot = await KeySlots.create(masterKey, credentials, KeySlots.parseKdf('pbkdf2:iterations=100000'));
+    
+    await withRecoveryFile([slot], async (recoveryFilePath) => {
+        await new Rekeyer().rekeyFile(recoveryFilePath, { masterPassword: 'pw', kdf: 'scrypt:N=16384' });
+        
+        const { keySlots } = (await RecoveryFile.load(recoveryFilePath)).security.masterEncryption;
+        assert.strictEqual(keySlots.length, 1);
+        assert.strictEqual(keySlots[0].kdf.algorithm, 'scrypt');
+        assert.deepStrictEqual((await KeySlots.unlock(keySlots, credentials)).masterKey, masterKey);
+    });
+});
+
+test('changing the password replaces the slot it opened', async () => {
+    const masterKey = crypto.randomBytes(32);
+    const kdf = KeySlots.parseKdf('scrypt:N=16384');
+    const slot = await KeySlots.create(masterKey, await KeySlots.credentials({ password: 'old' }), kdf);
+    
+    await withRecoveryFile([slot], async (recoveryFilePath) => {
+        await new Rekeyer().rekeyFile(recoveryFilePath, { masterPassword: 'old', newPassword: 'new', kdf: 'scrypt:N=16384' });
+        
+        const { keySlots } = (await RecoveryFile.load(recoveryFilePath)).security.masterEncryption;
+        assert.strictEqual(await KeySlots.unlock(keySlots, await KeySlots.credentials({ password: 'old' })), null);
+        assert.deepStrictEqual((await KeySlots.unlock(keySlots, await KeySlots.credentials({ password: 'new' }))).masterKey, masterKey);
+    });
+});
+
+test('wrong credentials leave the recovery file unchanged', async () => {
+    const slot = await KeySlots.create(crypto.randomBytes(32), await KeySlots.credentials({ password: 'pw' }), KeySlots.parseKdf('scrypt:N=16384'));
+    
+    await withRecoveryFile([slot], async (recoveryFilePath) => {
+        mock.method(console, 'error', () => {});
+        const before = await fs.readFile(recoveryFilePath, 'utf8');
+        
+        await assert.rejects(new Rekeyer().rekeyFile(recoveryFilePath, { masterPassword: 'nope', newPassword: 'x' }), /open none/);
+        assert.strictEqual(await fs.readFile(recoveryFilePath, 'utf8'), before);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,83 @@
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const Uploader = require('../client/upload');
+const Downloader = require('../client/download');
+const Repairer = require('../client/repair');
+const RecoveryFile = require('../client/recovery');
+const { startNetwork } = require('./helpers/network');
+
+let network;
+let dir;
+let data;
+
+beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    network = await startNetwork(4);
+    // Uploads write the recovery file next to where they run
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mysterium-repair-'));
+    process.chdir(dir);
+    data = crypto.randomBytes(20000);
+    await fs.writeFile('file.bin', data);
+});
+
+afterEach(async () => {
+    mock.restoreAll();
+    process.chdir(os.tmpdir());
+    await network.close();
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+// Removes the fragment from whichever node holds it, as if that disk had failed
+async function loseFragment(fragment) {
+    for (const running of network.nodes) {
+        if (running.node.store.has(fragment.fragmentId)) {
+            await running.node.store.remove(fragment.fragmentId);
+        }
+    }
+}
+
+async function downloadsIntact() {
+    await new Downloader(network.directory.url).downloadFile('file.bin.myst', 'restored.bin');
+    return (await fs.readFile('restored.bin')).equals(data);
+}
+
+test('a lost copy is replaced from a surviving one', async () => {
+    await new Uploader(network.directory.url).uploadFile('file.bin', { partitions: 2, redundancy: 2, reedSolomon: false });
+    const partition = RecoveryFile.getPartitions(await RecoveryFile.load('file.bin.myst'))[0];
+    await loseFragment(partition.fragments[0]);
+    
+    const result = await new Repairer(network.directory.url).repairFile('file.bin.myst');
+    
+    assert.strictEqual(result.repaired, 1);
+    const repaired = RecoveryFile.getPartitions(await RecoveryFile.load('file.bin.myst'))[0];
+    assert.strictEqual(repaired.fragments.length, 2);
+    assert.ok(!repaired.fragments.some(fragment => fragment.fragmentId === partition.fragments[0].fragmentId));
+    assert.strictEqual(new Set(repaired.fragments.map(fragment => fragment.nodeId)).size, 2);
+    assert.ok(await downloadsIntact());
+});
+
+test('a partition with no copy left is rebuilt from parity', async () => {
+    await new Uploader(network.directory.url).uploadFile('file.bin', { partitions: 2, redundancy: 1 });
+    const partition = RecoveryFile.getPartitions(await RecoveryFile.load('file.bin.myst'))[0];
+    await loseFragment(partition.fragments[0]);
+    
+    const result = await new Repairer(network.directory.url).repairFile('file.bin.myst');
+    
+    assert.strictEqual(result.repaired, 1);
+    assert.strictEqual(result.results[0].source, 'rebuilt');
+    assert.ok(await downloadsIntact());
+});
+
+test('a file with every copy in place is left alone', async () => {
+    await new Uploader(network.directory.url).uploadFile('file.bin', { partitions: 2, redundancy: 2, reedSolomon: false });
+    const before = await fs.readFile('file.bin.myst');
+    
+    const result = await new Repairer(network.directory.url).repairFile('file.bin.myst');
+    
+    assert.strictEqual(result.repaired, 0);
+    assert.deepStrictEqual(await fs.readFile('file.bin.myst'), before);
+});
\ No newline at end of file
@@ -0,0 +1,101 @@
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const UploadJournal = require('../client/upload-journal');
+const Uploader = require('../client/upload');
+const Downloader = require('../client/download');
+const NodeClient = require('../client/node-client');
+const { startNetwork } = require('./helpers/network');
+
+let dir;
+
+beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mysterium-journal-'));
+});
+
+afterEach(async () => {
+    mock.restoreAll();
+    process.chdir(os.tmpdir());
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('a journal reads back the segments and fragments recorded in it', async () => {
+    const journalPath = path.join(dir, 'file.myst.journal');
+    const journal = await UploadJournal.create(journalPath, { fileId: 'f'.repeat(32), fileName: 'file' });
+    await journal.recordSegment({ index: 0, iv: 'iv' });
+    await Promise.all([
+        journal.recordFragment(0, 0, { fragmentId: 'a' }),
+        journal.recordFragment(0, 0, { fragmentId: 'b' }),
+        journal.recordFragment(0, 1, { fragmentId: 'c' })
+    ]);
+    
+    const loaded = await UploadJournal.load(journalPath);
+    
+    assert.strictEqual(loaded.header.fileId, 'f'.repeat(32));
+    assert.deepStrictEqual(loaded.getSegment(0), { index: 0, iv: 'iv' });
+    assert.deepStrictEqual(loaded.getFragments(0, 0).map(fragment => fragment.fragmentId), ['a', 'b']);
+    assert.strictEqual(loaded.fragmentCount, 3);
+    assert.strictEqual((await fs.stat(journalPath)).mode & 0o777, 0o600);
+});
+
+test('a last line cut short by a crash is dropped, a damaged earlier one is not', async () => {
+    const journalPath = path.join(dir, 'file.myst.journal');
+    const journal = await UploadJournal.create(journalPath, { fileId: 'f'.repeat(32) });
+    await journal.recordFragment(0, 0, { fragmentId: 'a' });
+    await fs.appendFile(journalPath, '{"type":"fragm');
+    
+    const loaded = await UploadJournal.load(journalPath);
+    assert.strictEqual(loaded.fragmentCount, 1);
+    await loaded.recordFragment(0, 1, { fragmentId: 'b' });
+    assert.strictEqual((await UploadJournal.load(journalPath)).fragmentCount, 2);
+    
+    const lines = (await fs.readFile(journalPath, 'utf8')).split('\n');
+    lines[1] = '{"type":';
+    await fs.writeFile(journalPath, lines.join('\n'));
+    await assert.rejects(UploadJournal.load(journalPath), /corrupted at line 2/);
+});
+
+test('a file that is not a journal is refused', async () => {
+    const journalPath = path.join(dir, 'file.myst');
+    await fs.writeFile(journalPath, JSON.stringify({ fileName: 'file' }));
+    
+    await assert.rejects(UploadJournal.load(journalPath), /is not an upload journal/);
+});
+
+test('a resumed upload stores only the fragments the journal is missing', async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    const network = await startNetwork(3);
+    process.chdir(dir);
+    try {
+        const data = crypto.randomBytes(50000);
+        await fs.writeFile('file.bin', data);
+        const options = { partitions: 2, redundancy: 1, segmentSize: 10000, uploadConcurrency: 1, concurrency: 1 };
+        
+        // The nodes stop accepting fragments partway through the upload
+        const storeFragment = NodeClient.prototype.storeFragment;
+        let accepted = 0;
+        mock.method(NodeClient.prototype, 'storeFragment', function (...args) {
+            if (accepted >= 4) return Promise.reject(new Error('connection reset'));
+            accepted++;
+            return storeFragment.apply(this, args);
+        });
+        await assert.rejects(new Uploader(network.directory.url).uploadFile('file.bin', options));
+        const journal = await UploadJournal.load('file.bin.myst.journal');
+        assert.strictEqual(journal.fragmentCount, 4);
+        
+        mock.method(NodeClient.prototype, 'storeFragment', storeFragment);
+        await new Uploader(network.directory.url).resumeUpload('file.bin.myst.journal');
+        
+        // 5 segments of 2 data and 1 parity shard each, every one stored exactly once
+        assert.strictEqual(network.nodes.reduce((sum, running) => sum + running.node.store.count, 0), 15);
+        await assert.rejects(fs.access('file.bin.myst.journal'));
+        await new Downloader(network.directory.url).downloadFile('file.bin.myst', 'restored.bin');
+        assert.deepStrictEqual(await fs.readFile('restored.bin'), data);
+    } finally {
+        await network.close();
+    }
+});
\ No newline at end of file